@@ -0,0 +1,4439 @@
+/**
+ * ARP Simulator — headless simulation engine
+ *
+ * Everything the UI simulates, without React: frame builders and wire
+ * encoding, addressing helpers, lab topologies, switching, the scenario
+ * script builder and a deterministic engine that plays it.
+ * The UI (arp_simulator_ui_react_colored_layers_pause.jsx) subscribes to it;
+ * arp_engine.test.mjs runs it with `node --test`.
+ */
+
+export const BROADCAST = "ff:ff:ff:ff:ff:ff";
+export const ZEROMAC = "00:00:00:00:00:00";
+export const ZEROIP = "0.0.0.0";
+export const ALL_NODES = "ff02::1"; // IPv6 all-nodes multicast group
+export const ALL_NODES_MAC = "33:33:00:00:00:01";
+const PROBE_NUM = 3; // RFC 5227 timing constants (seconds)
+const PROBE_MAX = 2;
+const ANNOUNCE_WAIT = 2;
+const ANNOUNCE_NUM = 2;
+const ANNOUNCE_INTERVAL = 2;
+const DAD_TRANSMITS = 1; // RFC 4862 DupAddrDetectTransmits
+export const STEP_SECONDS = 1; // simulated time that passes per step
+export const MAC_AGING_OPTIONS = [10, 30, 300]; // seconds (300 = IEEE 802.1D default)
+export const ARP_TIMEOUT_OPTIONS = [10, 30, 60, 300]; // seconds an entry stays REACHABLE
+export const ARP_RETRIES = 3; // requests before an entry is FAILED (Linux mcast_solicit)
+const ARP_RETRANS = 1; // seconds between them (Linux retrans_time)
+const MAX_SWITCH_PORTS = 24;
+const DEFAULT_VLAN = 1; // every port's access VLAN until configured, and the trunks' native VLAN
+const MAX_VLAN = 4094;
+const TPID_8021Q = 0x8100;
+const STORM_CAP = 32; // duplicate copies a switching loop breeds before the simulator stops it (real switches never do)
+export const STP_GROUP_MAC = "01:80:c2:00:00:00"; // IEEE 802.1D bridge group address, where BPDUs go
+export const STP_PRIORITY = 32768; // default bridge priority
+const STP_PORT_COST = 19; // 802.1D-1998 path cost of a 100 Mb/s link
+const STP_FORWARD_DELAY = 15; // seconds a new port spends listening, then as long learning
+const STP_HELLO = 2; // seconds between BPDUs from a bridge
+const STP_RESENDS = 3; // hellos the planner waits for a lost BPDU to get through
+const BPDU_LENGTH = 38; // 802.3 length field: 3 bytes of LLC and a 35-byte Configuration BPDU
+const HOP_TRAVEL = 0.8; // share of a hop spent on the wire; the rest is the dwell at the next switch
+const LATENCY_UNIT_MS = 100; // link latency that adds one hop unit to the animation
+export const DEFAULT_SEED = 1;
+const INITIAL_TTL = { pc: 128, server: 128, router: 255 }; // Windows hosts, Cisco IOS routers
+const INITIAL_HOP_LIMIT = { pc: 128, server: 128, router: 64 }; // the same, for IPv6
+const ECHO_DATA = "abcdefghijklmnopqrstuvwabcdefghi"; // the 32 bytes Windows ping sends
+const DHCP_LEASE = 86400; // seconds (one day, the Windows Server default)
+const DHCP_ATTEMPTS = 3; // DORA rounds before a client gives up after declining conflicts
+function hex16(n) {
+  return "0x" + n.toString(16).padStart(4, "0");
+}
+
+export function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+const ETHER_TYPES = { 0x0806: "ARP", 0x0800: "IPv4", 0x86dd: "IPv6" };
+
+// Header text per layer; layers the frame does not carry are null
+export function formatFrame(frame) {
+  const { eth, dot1q, arp, stp, ipv4, icmp, udp, dhcp, ipv6, icmpv6 } = frame;
+  // Below 0x0600 the field is an 802.3 length and an LLC header follows (BPDUs)
+  const type = stp ? `Length: ${eth.type} (IEEE 802.3, LLC follows)` : `Type: ${hex16(eth.type)} (${ETHER_TYPES[eth.type] ?? "unknown"})`;
+  const ethernet = [`Dst: ${eth.dst}`, `Src: ${eth.src}`, type].join("\n");
+  return {
+    ethernet,
+    dot1q: dot1q ? formatDot1q(dot1q) : null,
+    arp: arp ? formatArp(arp) : null,
+    stp: stp ? formatStp(stp) : null,
+    ipv4: ipv4 ? formatIpv4(ipv4, ipv4Payload(frame).length) : null,
+    icmp: icmp ? formatIcmp(icmp) : null,
+    udp: udp ? formatUdp(frame) : null,
+    dhcp: dhcp ? formatDhcp(dhcp) : null,
+    ipv6: ipv6 ? formatIpv6(ipv6, icmpv6) : null,
+    icmpv6: icmpv6 ? formatIcmpv6(icmpv6, ipv6) : null
+  };
+}
+
+// The 4-byte 802.1Q tag a trunk inserts between the source MAC and the EtherType
+function formatDot1q(tag) {
+  return [`TPID: ${hex16(TPID_8021Q)} (802.1Q VLAN tag)`, `TCI: ${hex16(dot1qTci(tag))} (Priority ${tag.pcp}, DEI ${tag.dei}, VLAN ${tag.vid})`].join("\n");
+}
+
+function dot1qTci(tag) {
+  return (tag.pcp << 13) | (tag.dei << 12) | tag.vid;
+}
+
+// Hand-made frames can carry any value, so names are only given to the real ones
+function formatArp(arp) {
+  const op = arp.opcode === 1 ? "request" : arp.opcode === 2 ? "reply" : "unknown";
+  return [
+    `htype: ${arp.htype} (${arp.htype === 1 ? "Ethernet" : "unknown"})`,
+    `ptype: ${hex16(arp.ptype)} (${ETHER_TYPES[arp.ptype] ?? "unknown"})`,
+    `hlen:  ${arp.hlen}${arp.hlen === 6 ? "" : " (Ethernet: 6)"}`,
+    `plen:  ${arp.plen}${arp.plen === 4 ? "" : " (IPv4: 4)"}`,
+    `opcode: ${arp.opcode} (${op})`,
+    `SHA: ${arp.sha}`,
+    `SPA: ${arp.spa}`,
+    `THA: ${arp.tha}`,
+    `TPA: ${arp.tpa}`
+  ].join("\n");
+}
+
+function bridgeText(id) {
+  return `${id.priority}/${id.mac}`;
+}
+
+function formatStp(stp) {
+  return [
+    "LLC: DSAP 0x42, SSAP 0x42, Control 0x03 (Spanning Tree)",
+    "Protocol ID: 0x0000, version 0 (802.1D)",
+    "BPDU type: 0x00 (Configuration)",
+    `Flags: 0x${stp.flags.toString(16).padStart(2, "0")}`,
+    `Root ID: ${bridgeText(stp.root)}`,
+    `Root path cost: ${stp.cost}`,
+    `Bridge ID: ${bridgeText(stp.bridge)}`,
+    `Port ID: ${hex16(stp.port)}`,
+    "Message age: 0s",
+    "Max age: 20s",
+    "Hello time: 2s",
+    `Forward delay: ${STP_FORWARD_DELAY}s`
+  ].join("\n");
+}
+
+const IP_PROTOCOLS = { 1: "ICMP", 17: "UDP" };
+
+function formatIpv4(ipv4, payloadLen) {
+  const header = ipv4Header(ipv4, payloadLen);
+  return [
+    "Version/IHL: 0x45 (IPv4, 20-byte header)",
+    "DSCP/ECN: 0x00",
+    `Total length: ${(header[2] << 8) | header[3]}`,
+    `Identification: ${hex16(ipv4.id ?? 0)}`,
+    "Flags/Fragment offset: 0x0000",
+    `TTL: ${ipv4.ttl ?? 64}`,
+    `Protocol: ${ipv4.proto ?? 253} (${IP_PROTOCOLS[ipv4.proto] ?? "experimental"})`,
+    `Header checksum: ${hex16((header[10] << 8) | header[11])}`,
+    `Src: ${ipv4.src}`,
+    `Dst: ${ipv4.dst}`
+  ].join("\n");
+}
+
+function formatIcmp(icmp) {
+  const bytes = icmpBytes(icmp);
+  const name = icmp.type === 8 ? "echo request" : icmp.type === 0 ? "echo reply" : "other";
+  return [
+    `Type: ${icmp.type} (${name})`,
+    `Code: ${icmp.code}`,
+    `Checksum: ${hex16((bytes[2] << 8) | bytes[3])}`,
+    `Identifier: ${hex16(icmp.id)}`,
+    `Sequence: ${icmp.seq}`,
+    `Data: ${ECHO_DATA.length} bytes "${ECHO_DATA}"`
+  ].join("\n");
+}
+
+function formatUdp(frame) {
+  const { udp } = frame;
+  const bytes = ipv4Payload(frame);
+  const name = (port) => (port === 67 ? " (bootps)" : port === 68 ? " (bootpc)" : "");
+  return [
+    `Src port: ${udp.srcPort}${name(udp.srcPort)}`,
+    `Dst port: ${udp.dstPort}${name(udp.dstPort)}`,
+    `Length: ${bytes.length}`,
+    `Checksum: ${hex16((bytes[6] << 8) | bytes[7])}`
+  ].join("\n");
+}
+
+export const DHCP_TYPES = { 1: "DISCOVER", 2: "OFFER", 3: "REQUEST", 4: "DECLINE", 5: "ACK" };
+
+// Lines follow dhcpLayout(): the fixed BOOTP header, the magic cookie, then
+// one line per option
+function formatDhcp(dhcp) {
+  const o = dhcp.options;
+  const lines = [
+    `Message type: ${dhcp.op} (${dhcp.op === 1 ? "Boot Request" : "Boot Reply"})`,
+    "Hardware type: 1 (Ethernet)",
+    "Hardware address length: 6",
+    "Hops: 0",
+    `Transaction ID: 0x${dhcp.xid.toString(16).padStart(8, "0")}`,
+    "Seconds elapsed: 0",
+    "Flags: 0x0000 (unicast replies)",
+    `Client IP address (ciaddr): ${dhcp.ciaddr}`,
+    `Your IP address (yiaddr): ${dhcp.yiaddr}`,
+    `Next server IP address (siaddr): ${dhcp.siaddr}`,
+    "Relay agent IP address (giaddr): 0.0.0.0",
+    `Client MAC address (chaddr): ${dhcp.chaddr}`,
+    "Server host name / Boot file name: not given",
+    "Magic cookie: 0x63825363 (DHCP)",
+    `Option 53 DHCP Message Type: ${dhcp.type} (${DHCP_TYPES[dhcp.type]})`
+  ];
+  if (o.requestedIp) lines.push(`Option 50 Requested IP Address: ${o.requestedIp}`);
+  if (o.serverId) lines.push(`Option 54 DHCP Server Identifier: ${o.serverId}`);
+  if (o.lease) lines.push(`Option 51 IP Address Lease Time: ${o.lease}s`);
+  if (o.mask) lines.push(`Option 1 Subnet Mask: ${o.mask}`);
+  if (o.router) lines.push(`Option 3 Router: ${o.router}`);
+  lines.push("Option 255 End");
+  return lines.join("\n");
+}
+
+function formatIpv6(ipv6, icmpv6) {
+  const groupOf = ipv6.dst === ALL_NODES ? " (all-nodes multicast)" : ipv6.dst.startsWith("ff02::1:ff") ? " (solicited-node multicast)" : "";
+  return [
+    "Version/Traffic class/Flow label: 0x60000000 (IPv6)",
+    `Payload length: ${icmpv6 ? icmpv6Bytes(ipv6, icmpv6).length : 0}`,
+    `Next header: ${ipv6.next} (${ipv6.next === 58 ? "ICMPv6" : "other"})`,
+    `Hop limit: ${ipv6.hopLimit}`,
+    `Src: ${ipv6.src}${ipv6.src === "::" ? " (unspecified)" : ""}`,
+    `Dst: ${ipv6.dst}${groupOf}`
+  ].join("\n");
+}
+
+const ICMPV6_TYPES = { 128: "echo request", 129: "echo reply", 135: "Neighbor Solicitation", 136: "Neighbor Advertisement" };
+
+// Lines follow icmpv6Layout(): echo messages mirror ICMP, ND messages carry
+// a target address and at most one link-layer address option
+function formatIcmpv6(icmpv6, ipv6) {
+  const bytes = icmpv6Bytes(ipv6, icmpv6);
+  const head = [`Type: ${icmpv6.type} (${ICMPV6_TYPES[icmpv6.type] ?? "other"})`, `Code: ${icmpv6.code}`, `Checksum: ${hex16((bytes[2] << 8) | bytes[3])}`];
+  if (icmpv6.type === 128 || icmpv6.type === 129) {
+    return [...head, `Identifier: ${hex16(icmpv6.id)}`, `Sequence: ${icmpv6.seq}`, `Data: ${ECHO_DATA.length} bytes "${ECHO_DATA}"`].join("\n");
+  }
+  // The flags are the top bits of a 32-bit field, shown whole like Wireshark does
+  const f = icmpv6.flags;
+  const flags = "0x" + [...bytes.slice(4, 8)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  const lines = [
+    ...head,
+    f ? `Flags: ${flags} (Router ${+f.router}, Solicited ${+f.solicited}, Override ${+f.override})` : "Reserved: 0",
+    `Target: ${icmpv6.target}`
+  ];
+  if (icmpv6.sll) lines.push(`Option: Source link-layer address ${icmpv6.sll}`);
+  if (icmpv6.tll) lines.push(`Option: Target link-layer address ${icmpv6.tll}`);
+  return lines.join("\n");
+}
+
+// ---- Wire encoding (for the .pcap export) ----
+const ETH_MIN_FRAME = 60; // without FCS: short frames are zero-padded on the wire
+
+function macBytes(mac) {
+  return mac.split(":").map((h) => parseInt(h, 16));
+}
+
+function ipBytes(ip) {
+  return ip.split(".").map((d) => parseInt(d, 10));
+}
+
+function ipv6Bytes(ip) {
+  return ipv6Groups(ip).flatMap(u16);
+}
+
+function u16(v) {
+  return [(v >> 8) & 0xff, v & 0xff];
+}
+
+// Internet checksum (IPv4 header, ICMP): one's complement of the one's complement sum
+function ipChecksum(bytes) {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 2) sum += (bytes[i] << 8) + (bytes[i + 1] ?? 0);
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >> 16);
+  return ~sum & 0xffff;
+}
+
+function withChecksum(bytes, at) {
+  const sum = ipChecksum(bytes);
+  bytes[at] = sum >> 8;
+  bytes[at + 1] = sum & 0xff;
+  return bytes;
+}
+
+// 20-byte IPv4 header (no options) for a payload of payloadLen bytes
+function ipv4Header(ipv4, payloadLen) {
+  const { src, dst, ttl = 64, proto = 253, id = 0 } = ipv4;
+  return withChecksum([0x45, 0, ...u16(20 + payloadLen), ...u16(id), 0, 0, ttl, proto, 0, 0, ...ipBytes(src), ...ipBytes(dst)], 10);
+}
+
+// ICMP echo message: 8-byte header plus the Windows ping payload
+function icmpBytes(icmp) {
+  const data = [...ECHO_DATA].map((c) => c.charCodeAt(0));
+  return withChecksum([icmp.type, icmp.code, 0, 0, ...u16(icmp.id), ...u16(icmp.seq), ...data], 2);
+}
+
+function u32(v) {
+  return [...u16(v >>> 16), ...u16(v & 0xffff)];
+}
+
+// The options dhcpBytes() writes, in order: [code, data bytes]
+function dhcpOptions(dhcp) {
+  const o = dhcp.options;
+  return [
+    [53, [dhcp.type]],
+    ...(o.requestedIp ? [[50, ipBytes(o.requestedIp)]] : []),
+    ...(o.serverId ? [[54, ipBytes(o.serverId)]] : []),
+    ...(o.lease ? [[51, u32(o.lease)]] : []),
+    ...(o.mask ? [[1, ipBytes(o.mask)]] : []),
+    ...(o.router ? [[3, ipBytes(o.router)]] : [])
+  ];
+}
+
+// RFC 2131 message: 236-byte BOOTP header, magic cookie, options, end
+function dhcpBytes(dhcp) {
+  return [
+    dhcp.op, 1, 6, 0, ...u32(dhcp.xid), 0, 0, 0, 0,
+    ...ipBytes(dhcp.ciaddr), ...ipBytes(dhcp.yiaddr), ...ipBytes(dhcp.siaddr), 0, 0, 0, 0,
+    ...macBytes(dhcp.chaddr), ...Array(10 + 64 + 128).fill(0),
+    0x63, 0x82, 0x53, 0x63,
+    ...dhcpOptions(dhcp).flatMap(([code, data]) => [code, data.length, ...data]),
+    255
+  ];
+}
+
+// UDP datagram; the checksum covers the IPv4 pseudo-header
+function udpBytes(ipv4, udp, payload) {
+  const len = 8 + payload.length;
+  const body = [...u16(udp.srcPort), ...u16(udp.dstPort), ...u16(len), 0, 0, ...payload];
+  const sum = ipChecksum([...ipBytes(ipv4.src), ...ipBytes(ipv4.dst), 0, 17, ...u16(len), ...body]) || 0xffff;
+  body[6] = sum >> 8;
+  body[7] = sum & 0xff;
+  return body;
+}
+
+// LLC header, then the Configuration BPDU; timers count 1/256 s
+function bpduBytes(stp) {
+  const id = (b) => [...u16(b.priority), ...macBytes(b.mac)];
+  const timers = [0, 20, 2, STP_FORWARD_DELAY].flatMap((sec) => u16(sec * 256));
+  return [0x42, 0x42, 0x03, 0, 0, 0, 0, stp.flags, ...id(stp.root), ...u32(stp.cost), ...id(stp.bridge), ...u16(stp.port), ...timers];
+}
+
+// What an IPv4 packet carries after its header
+function ipv4Payload({ ipv4, icmp, udp, dhcp }) {
+  if (icmp) return icmpBytes(icmp);
+  if (udp) return udpBytes(ipv4, udp, dhcp ? dhcpBytes(dhcp) : []);
+  return [];
+}
+
+// 40-byte IPv6 header (no extension headers)
+function ipv6Header(ipv6, payloadLen) {
+  return [0x60, 0, 0, 0, ...u16(payloadLen), ipv6.next, ipv6.hopLimit, ...ipv6Bytes(ipv6.src), ...ipv6Bytes(ipv6.dst)];
+}
+
+// ICMPv6 message (echo, or Neighbor Solicitation / Advertisement). Its
+// checksum also covers an IPv6 pseudo-header (RFC 8200 section 8.1).
+function icmpv6Bytes(ipv6, icmpv6) {
+  let body;
+  if (icmpv6.type === 128 || icmpv6.type === 129) {
+    body = [icmpv6.type, icmpv6.code, 0, 0, ...u16(icmpv6.id), ...u16(icmpv6.seq), ...[...ECHO_DATA].map((c) => c.charCodeAt(0))];
+  } else {
+    const f = icmpv6.flags ?? {};
+    const flags = (f.router ? 0x80 : 0) | (f.solicited ? 0x40 : 0) | (f.override ? 0x20 : 0);
+    const option = icmpv6.sll ? [1, 1, ...macBytes(icmpv6.sll)] : icmpv6.tll ? [2, 1, ...macBytes(icmpv6.tll)] : [];
+    body = [icmpv6.type, icmpv6.code, 0, 0, flags, 0, 0, 0, ...ipv6Bytes(icmpv6.target), ...option];
+  }
+  const pseudo = [...ipv6Bytes(ipv6.src), ...ipv6Bytes(ipv6.dst), 0, 0, ...u16(body.length), 0, 0, 0, ipv6.next];
+  const sum = ipChecksum([...pseudo, ...body]);
+  body[2] = sum >> 8;
+  body[3] = sum & 0xff;
+  return body;
+}
+
+// Ethernet II frame bytes. ARP is the 28-byte RFC 826 payload; IPv4 frames
+// carry a 20-byte header and, for pings, the ICMP echo message (DHCP: a UDP
+// datagram with the DHCP message); IPv6 frames
+// a 40-byte header and an ICMPv6 message. BPDUs are 802.3 frames: a length
+// instead of the EtherType, then LLC. A tagged frame (as seen on a trunk)
+// has the 802.1Q tag before the EtherType and keeps its padding.
+export function encodeFrame(frame) {
+  const { eth, dot1q, arp, stp, ipv4, ipv6, icmpv6 } = frame;
+  const tag = dot1q ? [...u16(TPID_8021Q), ...u16(dot1qTci(dot1q))] : [];
+  const out = [...macBytes(eth.dst), ...macBytes(eth.src), ...tag, ...u16(eth.type)];
+  if (arp) {
+    out.push(...u16(arp.htype), ...u16(arp.ptype), arp.hlen, arp.plen, ...u16(arp.opcode));
+    out.push(...macBytes(arp.sha), ...ipBytes(arp.spa), ...macBytes(arp.tha), ...ipBytes(arp.tpa));
+  } else if (stp) {
+    out.push(...bpduBytes(stp));
+  } else if (ipv4) {
+    const payload = ipv4Payload(frame);
+    out.push(...ipv4Header(ipv4, payload.length), ...payload);
+  } else if (ipv6) {
+    const payload = icmpv6 ? icmpv6Bytes(ipv6, icmpv6) : [];
+    out.push(...ipv6Header(ipv6, payload.length), ...payload);
+  }
+  while (out.length < ETH_MIN_FRAME + tag.length) out.push(0);
+  return Uint8Array.from(out);
+}
+
+// libpcap file (LINKTYPE_ETHERNET) from [{ time, frame }] in send order.
+// time is simulated seconds since epochSec; frames sharing a second are
+// spaced 1 ms apart so Wireshark keeps them in order.
+export function buildPcap(records, epochSec) {
+  const frames = records.map((r) => encodeFrame(r.frame));
+  const buf = new ArrayBuffer(24 + frames.reduce((n, f) => n + 16 + f.length, 0));
+  const view = new DataView(buf);
+  const bytes = new Uint8Array(buf);
+  view.setUint32(0, 0xa1b2c3d4, true); // magic, microsecond timestamps
+  view.setUint16(4, 2, true);
+  view.setUint16(6, 4, true);
+  view.setInt32(8, 0, true); // thiszone
+  view.setUint32(12, 0, true); // sigfigs
+  view.setUint32(16, 65535, true); // snaplen
+  view.setUint32(20, 1, true); // LINKTYPE_ETHERNET
+  let off = 24;
+  let seq = 0;
+  records.forEach((r, i) => {
+    seq = i > 0 && records[i - 1].time === r.time ? seq + 1 : 0;
+    view.setUint32(off, epochSec + r.time, true);
+    view.setUint32(off + 4, seq * 1000, true);
+    view.setUint32(off + 8, frames[i].length, true);
+    view.setUint32(off + 12, frames[i].length, true);
+    bytes.set(frames[i], off + 16);
+    off += 16 + frames[i].length;
+  });
+  return bytes;
+}
+
+// Byte layout of each header field: [key, offset, length], as untagged;
+// frameFields() moves everything after the source MAC along for a tag
+const ETH_LAYOUT = [
+  ["dst", 0, 6],
+  ["src", 6, 6],
+  ["type", 12, 2]
+];
+const DOT1Q_LAYOUT = [
+  ["tpid", 12, 2],
+  ["tci", 14, 2]
+];
+const ARP_LAYOUT = [
+  ["htype", 14, 2],
+  ["ptype", 16, 2],
+  ["hlen", 18, 1],
+  ["plen", 19, 1],
+  ["opcode", 20, 2],
+  ["sha", 22, 6],
+  ["spa", 28, 4],
+  ["tha", 32, 6],
+  ["tpa", 38, 4]
+];
+const STP_LAYOUT = [
+  ["stp.llc", 14, 3],
+  ["stp.proto", 17, 3],
+  ["stp.type", 20, 1],
+  ["stp.flags", 21, 1],
+  ["stp.root", 22, 8],
+  ["stp.cost", 30, 4],
+  ["stp.bridge", 34, 8],
+  ["stp.port", 42, 2],
+  ["stp.age", 44, 2],
+  ["stp.maxage", 46, 2],
+  ["stp.hello", 48, 2],
+  ["stp.delay", 50, 2]
+];
+const IPV4_LAYOUT = [
+  ["ip.vihl", 14, 1],
+  ["ip.dscp", 15, 1],
+  ["ip.len", 16, 2],
+  ["ip.id", 18, 2],
+  ["ip.frag", 20, 2],
+  ["ip.ttl", 22, 1],
+  ["ip.proto", 23, 1],
+  ["ip.sum", 24, 2],
+  ["ip.src", 26, 4],
+  ["ip.dst", 30, 4]
+];
+const ICMP_LAYOUT = [
+  ["icmp.type", 34, 1],
+  ["icmp.code", 35, 1],
+  ["icmp.sum", 36, 2],
+  ["icmp.id", 38, 2],
+  ["icmp.seq", 40, 2],
+  ["icmp.data", 42, ECHO_DATA.length]
+];
+const IPV6_LAYOUT = [
+  ["ip6.vtf", 14, 4],
+  ["ip6.plen", 18, 2],
+  ["ip6.next", 20, 1],
+  ["ip6.hlim", 21, 1],
+  ["ip6.src", 22, 16],
+  ["ip6.dst", 38, 16]
+];
+
+// ICMPv6 right after the IPv6 header, in formatIcmpv6() line order
+function icmpv6Layout(icmpv6) {
+  const head = [
+    ["icmp6.type", 54, 1],
+    ["icmp6.code", 55, 1],
+    ["icmp6.sum", 56, 2]
+  ];
+  if (icmpv6.type === 128 || icmpv6.type === 129) {
+    return [...head, ["icmp6.id", 58, 2], ["icmp6.seq", 60, 2], ["icmp6.data", 62, ECHO_DATA.length]];
+  }
+  const option = icmpv6.sll || icmpv6.tll ? [["icmp6.opt", 78, 8]] : [];
+  return [...head, ["icmp6.flags", 58, 4], ["icmp6.target", 62, 16], ...option];
+}
+
+const UDP_LAYOUT = [
+  ["udp.src", 34, 2],
+  ["udp.dst", 36, 2],
+  ["udp.len", 38, 2],
+  ["udp.sum", 40, 2]
+];
+
+// DHCP right after the UDP header, in formatDhcp() line order
+function dhcpLayout(dhcp) {
+  const fixed = [
+    ["dhcp.op", 42, 1],
+    ["dhcp.htype", 43, 1],
+    ["dhcp.hlen", 44, 1],
+    ["dhcp.hops", 45, 1],
+    ["dhcp.xid", 46, 4],
+    ["dhcp.secs", 50, 2],
+    ["dhcp.flags", 52, 2],
+    ["dhcp.ciaddr", 54, 4],
+    ["dhcp.yiaddr", 58, 4],
+    ["dhcp.siaddr", 62, 4],
+    ["dhcp.giaddr", 66, 4],
+    ["dhcp.chaddr", 70, 16],
+    ["dhcp.sname", 86, 192],
+    ["dhcp.cookie", 278, 4]
+  ];
+  let at = 282;
+  const options = dhcpOptions(dhcp).map(([code, data]) => {
+    const field = [`dhcp.opt${code}`, at, 2 + data.length];
+    at += 2 + data.length;
+    return field;
+  });
+  return [...fixed, ...options, ["dhcp.end", at, 1]];
+}
+
+// Every field of a frame with its formatFrame text and byte range, padding
+// included, so the text view and the hex dump can point at each other
+export function frameFields(frame) {
+  const text = formatFrame(frame);
+  const fields = [];
+  const lines = text.ethernet.split("\n");
+  ETH_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "ethernet", text: lines[i], start, len }));
+  let end = 14;
+  if (text.dot1q) {
+    const tagLines = text.dot1q.split("\n");
+    DOT1Q_LAYOUT.forEach(([key, start, len], i) => fields.push({ key: `dot1q.${key}`, layer: "dot1q", text: tagLines[i], start, len }));
+  }
+  if (text.arp) {
+    const arpLines = text.arp.split("\n");
+    ARP_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "arp", text: arpLines[i], start, len }));
+    end = 42;
+  } else if (text.stp) {
+    const stpLines = text.stp.split("\n");
+    STP_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "stp", text: stpLines[i], start, len }));
+    end = 52;
+  } else if (text.ipv4) {
+    const ipLines = text.ipv4.split("\n");
+    IPV4_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "ipv4", text: ipLines[i], start, len }));
+    end = 34;
+    if (text.icmp) {
+      const icmpLines = text.icmp.split("\n");
+      ICMP_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "icmp", text: icmpLines[i], start, len }));
+      end = 42 + ECHO_DATA.length;
+    }
+    if (text.udp) {
+      const udpLines = text.udp.split("\n");
+      UDP_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "udp", text: udpLines[i], start, len }));
+      end = 42;
+    }
+    if (text.dhcp) {
+      const dhcpLines = text.dhcp.split("\n");
+      dhcpLayout(frame.dhcp).forEach(([key, start, len], i) => {
+        fields.push({ key, layer: "dhcp", text: dhcpLines[i], start, len });
+        end = start + len;
+      });
+    }
+  } else if (text.ipv6) {
+    const ipLines = text.ipv6.split("\n");
+    IPV6_LAYOUT.forEach(([key, start, len], i) => fields.push({ key, layer: "ipv6", text: ipLines[i], start, len }));
+    end = 54;
+    if (text.icmpv6) {
+      const icmpLines = text.icmpv6.split("\n");
+      icmpv6Layout(frame.icmpv6).forEach(([key, start, len], i) => {
+        fields.push({ key, layer: "icmpv6", text: icmpLines[i], start, len });
+        end = start + len;
+      });
+    }
+  }
+  if (end < ETH_MIN_FRAME) fields.push({ key: "pad", layer: "pad", text: `Padding: ${ETH_MIN_FRAME - end} zero bytes`, start: end, len: ETH_MIN_FRAME - end });
+  if (!text.dot1q) return fields;
+  return fields.map((f) => (f.layer === "dot1q" || f.start < 12 ? f : { ...f, start: f.start + 4 }));
+}
+
+export function makeRequest(sender, targetIp) {
+  return {
+    kind: "ARP_REQUEST",
+    title: `ARP Request (broadcast): Who has ${targetIp}? Tell ${sender.ip}`,
+    frame: {
+      eth: { dst: BROADCAST, src: sender.mac, type: 0x0806 },
+      arp: {
+        htype: 1,
+        ptype: 0x0800,
+        hlen: 6,
+        plen: 4,
+        opcode: 1,
+        sha: sender.mac,
+        spa: sender.ip,
+        tha: ZEROMAC,
+        tpa: targetIp
+      }
+    }
+  };
+}
+
+export function makeReply(target, requester) {
+  return {
+    kind: "ARP_REPLY",
+    title: `ARP Reply (unicast): ${target.ip} is at ${target.mac}`,
+    frame: {
+      eth: { dst: requester.mac, src: target.mac, type: 0x0806 },
+      arp: {
+        htype: 1,
+        ptype: 0x0800,
+        hlen: 6,
+        plen: 4,
+        opcode: 2,
+        sha: target.mac,
+        spa: target.ip,
+        tha: requester.mac,
+        tpa: requester.ip
+      }
+    }
+  };
+}
+
+// ICMPv6 Neighbor Solicitation (RFC 4861): the IPv6 "Who has ip?". It goes
+// to ip's solicited-node multicast group rather than to everyone, and the
+// asker's MAC rides along in the source link-layer address option.
+export function makeSolicitation(sender, targetIp) {
+  const group = solicitedNode(targetIp);
+  return {
+    kind: "ND_SOLICIT",
+    title: `Neighbor Solicitation (multicast to ${group}): Who has ${targetIp}? Tell ${sender.ip}`,
+    frame: {
+      eth: { dst: multicastMac(group), src: sender.mac, type: 0x86dd },
+      ipv6: { src: sender.ip, dst: group, hopLimit: 255, next: 58 },
+      icmpv6: { type: 135, code: 0, target: targetIp, sll: sender.mac }
+    }
+  };
+}
+
+// Neighbor Advertisement: target.ip is at target.mac, sent to the asker.
+// Routers set the Router flag; proxies clear Override so they never replace
+// an entry learned from the owner itself.
+export function makeAdvertisement(target, requester, { solicited = true, override = true } = {}) {
+  return {
+    kind: "ND_ADVERT",
+    title: `Neighbor Advertisement (unicast): ${target.ip} is at ${target.mac}`,
+    frame: {
+      eth: { dst: requester.mac, src: target.mac, type: 0x86dd },
+      ipv6: { src: target.ip, dst: requester.ip, hopLimit: 255, next: 58 },
+      icmpv6: { type: 136, code: 0, flags: { router: !!target.router, solicited, override }, target: target.ip, tll: target.mac }
+    }
+  };
+}
+
+function portName(i) {
+  return `Fa0/${i + 1}`;
+}
+
+export function isValidIp(ip) {
+  const parts = ip.split(".");
+  return parts.length === 4 && parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) <= 255);
+}
+
+export function isValidMac(mac) {
+  return /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i.test(mac);
+}
+
+// The 8 groups of an IPv6 address (at most one "::"), or null
+function ipv6Groups(ip) {
+  const halves = ip.split("::");
+  if (halves.length > 2) return null;
+  const [head, tail = []] = halves.map((h) => (h === "" ? [] : h.split(":")));
+  const fill = 8 - head.length - tail.length;
+  if (halves.length === 2 ? fill < 1 : fill !== 0) return null;
+  const groups = [...head, ...Array(fill).fill("0"), ...tail];
+  return groups.every((g) => /^[0-9a-f]{1,4}$/i.test(g)) ? groups.map((g) => parseInt(g, 16)) : null;
+}
+
+// RFC 5952 text: lower case, the longest run of zero groups as "::"
+function ipv6Text(groups) {
+  let best = { at: -1, len: 1 };
+  for (let i = 0; i < 8; i++) {
+    let j = i;
+    while (groups[j] === 0) j++;
+    if (j - i > best.len) best = { at: i, len: j - i };
+  }
+  const hex = groups.map((g) => g.toString(16));
+  if (best.at < 0) return hex.join(":");
+  return `${hex.slice(0, best.at).join(":")}::${hex.slice(best.at + best.len).join(":")}`;
+}
+
+export function isValidIpv6(ip) {
+  return typeof ip === "string" && ipv6Groups(ip) !== null;
+}
+
+export function normalizeIpv6(ip) {
+  return ipv6Text(ipv6Groups(ip));
+}
+
+// IPv6 mode numbers every IPv4 address a.b.c.d as fd00:a:b:c::d, the
+// decimal octets read as hex digits, so labs need no second address plan.
+// Octet-aligned masks map exactly: a /24 becomes a /64, a /16 a /48.
+// Addresses that are IPv6 already are returned as they are.
+export function toIpv6(ip) {
+  if (!isValidIp(ip)) return ip;
+  const [a, b, c, d] = ip.split(".").map((o) => parseInt(o, 16));
+  return ipv6Text([0xfd00, a, b, c, 0, 0, 0, d]);
+}
+
+// Inverse of toIpv6, null for addresses outside its fd00::/16 scheme
+export function fromIpv6(ip) {
+  const g = ipv6Groups(ip);
+  if (!g || g[0] !== 0xfd00 || g[4] || g[5] || g[6]) return null;
+  const octets = [g[1], g[2], g[3], g[7]].map((x) => x.toString(16));
+  return octets.every((o) => /^\d{1,3}$/.test(o) && Number(o) <= 255) ? octets.map(Number).join(".") : null;
+}
+
+// RFC 4291 solicited-node group: ff02::1:ff plus the low 24 bits of ip.
+// Every host joins the group of each of its addresses.
+export function solicitedNode(ip) {
+  const g = ipv6Groups(ip);
+  return ipv6Text([0xff02, 0, 0, 0, 0, 1, 0xff00 | (g[6] & 0xff), g[7]]);
+}
+
+// RFC 2464: an IPv6 multicast group maps to 33:33 plus its low 32 bits
+export function multicastMac(group) {
+  const g = ipv6Groups(group);
+  return ["33", "33", ...[g[6] >> 8, g[6] & 0xff, g[7] >> 8, g[7] & 0xff].map((b) => b.toString(16).padStart(2, "0"))].join(":");
+}
+
+// Group bit (I/G) of the first octet; broadcast is a multicast too
+function isMulticastMac(mac) {
+  return (parseInt(mac.slice(0, 2), 16) & 1) === 1;
+}
+
+function ipToInt(ip) {
+  return ip.split(".").reduce((acc, p) => acc * 256 + Number(p), 0);
+}
+
+function intToIp(n) {
+  return [24, 16, 8, 0].map((sh) => Math.floor(n / 2 ** sh) % 256).join(".");
+}
+
+// A mask must be a run of ones followed by zeros
+export function isValidMask(mask) {
+  if (!isValidIp(mask)) return false;
+  const bits = ipToInt(mask).toString(2).padStart(32, "0");
+  return !bits.includes("01");
+}
+
+export function prefixLength(mask) {
+  return ipToInt(mask).toString(2).replace(/0/g, "").length;
+}
+
+// Prefix length of ip's subnet: the mask's, or its toIpv6() counterpart
+export function subnetPrefix(ip, mask) {
+  return isValidIpv6(ip) ? 16 + 2 * prefixLength(mask) : prefixLength(mask);
+}
+
+// IPv6 addresses are compared through the IPv4 address they were mapped from
+function subnetOf(ip, mask) {
+  const v4 = isValidIpv6(ip) ? fromIpv6(ip) : ip;
+  if (!v4) return `${ip}/128`;
+  const m = ipToInt(mask);
+  const net = intToIp(ipToInt(v4) - (ipToInt(v4) % (2 ** 32 - m)));
+  return `${v4 === ip ? net : toIpv6(net)}/${subnetPrefix(ip, mask)}`;
+}
+
+export function sameSubnet(a, b, mask) {
+  return subnetOf(a, mask) === subnetOf(b, mask);
+}
+
+// Router interface whose connected subnet contains ip
+function ifaceFor(router, ip) {
+  return router.interfaces.find((i) => sameSubnet(i.ip, ip, i.mask));
+}
+
+// PCs and servers: one NIC with one address
+function isHost(n) {
+  return n.type === "pc" || n.type === "server";
+}
+
+export function deviceIps(n) {
+  if (n.interfaces) return n.interfaces.map((i) => i.ip);
+  return n.ip ? [n.ip] : [];
+}
+
+export function deviceMacs(n) {
+  if (n.interfaces) return n.interfaces.map((i) => i.mac);
+  return [n.mac];
+}
+
+// Layout: Switch above, PCs in a straight line with spacing
+export function defaultTopology() {
+  const pcY = 470;
+  const swY = 240;
+  const baseX = 240;
+  const gap = 240;
+
+  const pc = (i, id, ip, mac) => ({
+    id,
+    name: id,
+    type: "pc",
+    x: baseX + gap * i,
+    y: pcY,
+    ip,
+    mask: "255.255.255.0",
+    gateway: "192.168.1.1",
+    mac
+  });
+
+  return {
+    nodes: {
+      SW1: { id: "SW1", name: "Switch1", type: "switch", x: baseX + gap * 1.5, y: swY, mac: "02:aa:bb:cc:dd:f1" },
+      PC1: pc(0, "PC1", "192.168.1.10", "00:1a:2b:3c:4d:10"),
+      PC2: pc(1, "PC2", "192.168.1.20", "00:1a:2b:3c:4d:20"),
+      PC3: pc(2, "PC3", "192.168.1.30", "00:1a:2b:3c:4d:30"),
+      PC4: pc(3, "PC4", "192.168.1.40", "00:1a:2b:3c:4d:40")
+    },
+    // Switch ends carry an explicit port so deleting a link never renumbers the others
+    links: [
+      { a: "SW1", b: "PC1", aPort: "Fa0/1" },
+      { a: "SW1", b: "PC2", aPort: "Fa0/2" },
+      { a: "SW1", b: "PC3", aPort: "Fa0/3" },
+      { a: "SW1", b: "PC4", aPort: "Fa0/4" }
+    ]
+  };
+}
+
+// Two /24s joined by R1: PC1/PC2 behind SW1, PC3/PC4 behind SW2
+export function routedTopology() {
+  const pc = (id, x, ip, gateway, mac) => ({ id, name: id, type: "pc", x, y: 470, ip, mask: "255.255.255.0", gateway, mac });
+  return {
+    nodes: {
+      R1: {
+        id: "R1",
+        name: "Router1",
+        type: "router",
+        x: 525,
+        y: 90,
+        interfaces: [
+          { name: "Gi0/0", ip: "192.168.1.1", mask: "255.255.255.0", mac: "02:00:5e:00:01:01", proxyArp: false },
+          { name: "Gi0/1", ip: "192.168.2.1", mask: "255.255.255.0", mac: "02:00:5e:00:01:02", proxyArp: false }
+        ]
+      },
+      SW1: { id: "SW1", name: "Switch1", type: "switch", x: 280, y: 260, mac: "02:aa:bb:cc:dd:f1" },
+      SW2: { id: "SW2", name: "Switch2", type: "switch", x: 770, y: 260, mac: "02:aa:bb:cc:dd:f2" },
+      PC1: pc("PC1", 150, "192.168.1.10", "192.168.1.1", "00:1a:2b:3c:4d:10"),
+      PC2: pc("PC2", 400, "192.168.1.20", "192.168.1.1", "00:1a:2b:3c:4d:20"),
+      PC3: pc("PC3", 650, "192.168.2.30", "192.168.2.1", "00:1a:2b:3c:4d:30"),
+      PC4: pc("PC4", 900, "192.168.2.40", "192.168.2.1", "00:1a:2b:3c:4d:40")
+    },
+    links: [
+      { a: "SW1", b: "PC1", aPort: "Fa0/1" },
+      { a: "SW1", b: "PC2", aPort: "Fa0/2" },
+      { a: "SW2", b: "PC3", aPort: "Fa0/1" },
+      { a: "SW2", b: "PC4", aPort: "Fa0/2" },
+      { a: "SW1", b: "R1", aPort: "Fa0/3", bPort: "Gi0/0" },
+      { a: "SW2", b: "R1", aPort: "Fa0/3", bPort: "Gi0/1" }
+    ]
+  };
+}
+
+// PC1 is misconfigured with a /16 and no gateway, so it ARPs for remote
+// hosts directly; R1 answers for them on Gi0/0.
+export function proxyArpTopology() {
+  const t = routedTopology();
+  t.nodes.PC1 = { ...t.nodes.PC1, mask: "255.255.0.0", gateway: "" };
+  t.nodes.R1 = { ...t.nodes.R1, interfaces: t.nodes.R1.interfaces.map((i, k) => (k === 0 ? { ...i, proxyArp: true } : i)) };
+  return t;
+}
+
+// The topology as IPv6 mode numbers it: every address through toIpv6()
+export function ipv6Nodes(nodes) {
+  const out = {};
+  for (const [id, n] of Object.entries(nodes)) {
+    if (n.interfaces) out[id] = { ...n, interfaces: n.interfaces.map((i) => ({ ...i, ip: toIpv6(i.ip) })) };
+    else if (n.ip) out[id] = { ...n, ip: toIpv6(n.ip), gateway: n.gateway && toIpv6(n.gateway) };
+    else out[id] = n;
+  }
+  return out;
+}
+
+// One /24 split into VLAN 10 (PC1, PC3) and VLAN 20 (PC2, PC4) over two
+// switches joined by an 802.1Q trunk: PC1 resolves PC3, never PC2.
+export function vlanTopology() {
+  const pc = (id, x, ip, mac) => ({ id, name: id, type: "pc", x, y: 470, ip, mask: "255.255.255.0", gateway: "192.168.1.1", mac });
+  return {
+    nodes: {
+      SW1: { id: "SW1", name: "Switch1", type: "switch", x: 280, y: 240, mac: "02:aa:bb:cc:dd:f1", vlans: { "Fa0/1": 10, "Fa0/2": 20, "Fa0/24": "trunk" } },
+      SW2: { id: "SW2", name: "Switch2", type: "switch", x: 770, y: 240, mac: "02:aa:bb:cc:dd:f2", vlans: { "Fa0/1": 10, "Fa0/2": 20, "Fa0/24": "trunk" } },
+      PC1: pc("PC1", 150, "192.168.1.10", "00:1a:2b:3c:4d:10"),
+      PC2: pc("PC2", 400, "192.168.1.20", "00:1a:2b:3c:4d:20"),
+      PC3: pc("PC3", 650, "192.168.1.30", "00:1a:2b:3c:4d:30"),
+      PC4: pc("PC4", 900, "192.168.1.40", "00:1a:2b:3c:4d:40")
+    },
+    links: [
+      { a: "SW1", b: "PC1", aPort: "Fa0/1" },
+      { a: "SW1", b: "PC2", aPort: "Fa0/2" },
+      { a: "SW2", b: "PC3", aPort: "Fa0/1" },
+      { a: "SW2", b: "PC4", aPort: "Fa0/2" },
+      { a: "SW1", b: "SW2", aPort: "Fa0/24", bPort: "Fa0/24" }
+    ]
+  };
+}
+
+// Three switches wired in a triangle, the textbook STP lab: with equal
+// priorities SW1 (lowest MAC) is root and SW3 blocks its port toward SW2
+export function redundantTopology() {
+  const pc = (id, x, ip, mac) => ({ id, name: id, type: "pc", x, y: 500, ip, mask: "255.255.255.0", gateway: "192.168.1.1", mac });
+  const sw = (id, x, y, mac) => ({ id, name: `Switch${id.slice(2)}`, type: "switch", x, y, mac });
+  return {
+    nodes: {
+      SW1: sw("SW1", 525, 130, "02:aa:bb:cc:dd:f1"),
+      SW2: sw("SW2", 290, 310, "02:aa:bb:cc:dd:f2"),
+      SW3: sw("SW3", 760, 310, "02:aa:bb:cc:dd:f3"),
+      PC1: pc("PC1", 170, "192.168.1.10", "00:1a:2b:3c:4d:10"),
+      PC2: pc("PC2", 410, "192.168.1.20", "00:1a:2b:3c:4d:20"),
+      PC3: pc("PC3", 640, "192.168.1.30", "00:1a:2b:3c:4d:30"),
+      PC4: pc("PC4", 880, "192.168.1.40", "00:1a:2b:3c:4d:40")
+    },
+    links: [
+      { a: "SW2", b: "PC1", aPort: "Fa0/1" },
+      { a: "SW2", b: "PC2", aPort: "Fa0/2" },
+      { a: "SW3", b: "PC3", aPort: "Fa0/1" },
+      { a: "SW3", b: "PC4", aPort: "Fa0/2" },
+      { a: "SW1", b: "SW2", aPort: "Fa0/23", bPort: "Fa0/23" },
+      { a: "SW1", b: "SW3", aPort: "Fa0/24", bPort: "Fa0/23" },
+      { a: "SW2", b: "SW3", aPort: "Fa0/24", bPort: "Fa0/24" }
+    ]
+  };
+}
+
+// PC1 and PC2 boot as DHCP clients and lease from SRV1's pool; PC3 keeps a
+// static address. The IPs the clients keep in their config are only used
+// in IPv6 mode, which does not simulate DHCPv6.
+export function dhcpTopology() {
+  const t = defaultTopology();
+  const { PC1, PC2, PC3 } = t.nodes;
+  return {
+    nodes: {
+      SW1: t.nodes.SW1,
+      PC1: { ...PC1, dhcp: true },
+      PC2: { ...PC2, dhcp: true },
+      PC3,
+      SRV1: {
+        id: "SRV1",
+        name: "Server1",
+        type: "server",
+        x: 960,
+        y: 470,
+        ip: "192.168.1.2",
+        mask: "255.255.255.0",
+        gateway: "192.168.1.1",
+        mac: "00:1a:2b:3c:4d:02",
+        pool: { start: "192.168.1.100", end: "192.168.1.199" }
+      }
+    },
+    links: [...t.links.slice(0, 3), { a: "SW1", b: "SRV1", aPort: "Fa0/4" }]
+  };
+}
+
+// A flat LAN big enough to watch ARP broadcasts add up: a core switch,
+// one access switch per 24 hosts, every host in 192.168.1.0/24 (at most 244)
+export function bigLanTopology(hosts = 120) {
+  const byte = (b) => b.toString(16).padStart(2, "0");
+  const nodes = { SW1: { id: "SW1", name: "Switch1", type: "switch", x: 0, y: 0, mac: "02:aa:bb:cc:dd:f1" } };
+  const links = [];
+  for (let k = 0; k < Math.ceil(hosts / 24); k++) {
+    const id = `SW${k + 2}`;
+    nodes[id] = { id, name: `Switch${k + 2}`, type: "switch", x: 0, y: 0, mac: `02:aa:bb:cc:dd:${byte(0xf2 + k)}` };
+    links.push({ a: "SW1", b: id, aPort: `Gi0/${k + 1}`, bPort: "Gi0/1" });
+  }
+  for (let i = 0; i < hosts; i++) {
+    const id = `PC${i + 1}`;
+    const mac = `00:1a:2b:3c:4e:${byte(i + 1)}`;
+    nodes[id] = { id, name: id, type: "pc", x: 0, y: 0, ip: `192.168.1.${i + 10}`, mask: "255.255.255.0", gateway: "192.168.1.1", mac };
+    links.push({ a: `SW${Math.floor(i / 24) + 2}`, b: id, aPort: `Fa0/${(i % 24) + 1}` });
+  }
+  return autoLayout({ nodes, links }, "tree");
+}
+
+// A dozen hosts on different access switches ARP at the same moment
+const BIG_LAN_ACTIONS = [
+  {
+    type: "together",
+    actions: Array.from({ length: 12 }, (_, k) => ({ type: "send", from: `PC${k * 10 + 1}`, to: `PC${((k * 10 + 60) % 120) + 2}` }))
+  }
+];
+
+// presetId: the exercise a lab is built for, picked with it in the UI;
+// actions: its own action list instead
+export const LABS = [
+  { id: "flat", name: "Single switch", build: defaultTopology },
+  { id: "routed", name: "Two subnets + router", build: routedTopology },
+  { id: "proxy", name: "Proxy ARP (PC1 on /16)", build: proxyArpTopology },
+  { id: "vlans", name: "Two VLANs over a trunk", build: vlanTopology },
+  { id: "dhcp", name: "DHCP server + clients", build: dhcpTopology, presetId: "dhcp" },
+  { id: "redundant", name: "Redundant switches (STP)", build: redundantTopology },
+  { id: "big", name: "Big flat LAN (120 hosts)", build: () => bigLanTopology(120), actions: BIG_LAN_ACTIONS }
+];
+
+// ---- Layout ----
+// Positions for topologies too big to drag into place. "tree" hangs
+// everything off a root (a router if there is one, else the best-connected
+// switch): one level per switch or router hop, and each switch's hosts in
+// rows below it. "grid" lines switches and routers up in a row and puts the
+// hosts in a grid under them. Returns the topology with new x/y.
+const LAYOUT_ROW = 6; // hosts per row under a switch
+const LAYOUT_HOST = { w: 200, h: 130 }; // room per host
+const LAYOUT_BOX = { w: 300, h: 200 }; // room per switch or router
+const LAYOUT_ORIGIN = { x: 140, y: 100 };
+
+export function autoLayout(topology, mode = "tree") {
+  const all = Object.values(topology.nodes);
+  const isInfra = (n) => n.type === "switch" || n.type === "router";
+  const infra = all.filter(isInfra);
+  const hosts = all.filter((n) => !isInfra(n));
+  const at = {};
+
+  if (mode === "grid" || infra.length === 0) {
+    infra.forEach((n, i) => (at[n.id] = { x: LAYOUT_ORIGIN.x + i * LAYOUT_BOX.w, y: LAYOUT_ORIGIN.y }));
+    const cols = Math.max(LAYOUT_ROW, Math.ceil(Math.sqrt(hosts.length * 1.6)));
+    const top = LAYOUT_ORIGIN.y + (infra.length ? LAYOUT_BOX.h : 0);
+    hosts.forEach((n, i) => (at[n.id] = { x: LAYOUT_ORIGIN.x + (i % cols) * LAYOUT_HOST.w, y: top + Math.floor(i / cols) * LAYOUT_HOST.h }));
+    return withPositions(topology, at);
+  }
+
+  const peers = (id) => topology.links.filter((l) => l.a === id || l.b === id).map((l) => (l.a === id ? l.b : l.a));
+  // Most switch/router neighbours first, so a core switch outranks a busy access switch
+  const trunks = (n) => peers(n.id).filter((p) => isInfra(topology.nodes[p])).length;
+  const degree = (n) => peers(n.id).length;
+  const byRank = [...infra].sort(
+    (a, b) => (b.type === "router") - (a.type === "router") || trunks(b) - trunks(a) || degree(b) - degree(a)
+  );
+  // Spanning forest over switches and routers; each host goes under its first one
+  const children = {};
+  const leaves = {};
+  const seen = new Set();
+  const roots = [];
+  for (const start of byRank) {
+    if (seen.has(start.id)) continue;
+    roots.push(start.id);
+    seen.add(start.id);
+    for (const queue = [start.id]; queue.length; ) {
+      const id = queue.shift();
+      children[id] = [];
+      leaves[id] = [];
+      for (const p of peers(id)) {
+        if (seen.has(p)) continue;
+        seen.add(p);
+        if (isInfra(topology.nodes[p])) {
+          children[id].push(p);
+          queue.push(p);
+        } else leaves[id].push(p);
+      }
+    }
+  }
+  const loose = hosts.filter((n) => !seen.has(n.id));
+
+  const hostsWide = (id) => Math.min(leaves[id].length, LAYOUT_ROW) * LAYOUT_HOST.w;
+  const width = (id) => Math.max(LAYOUT_BOX.w, hostsWide(id) + children[id].reduce((w, c) => w + width(c), 0));
+  const depthOf = (id) => Math.ceil(leaves[id].length / LAYOUT_ROW) * LAYOUT_HOST.h;
+  // Below a node: its host rows, then its child subtrees, whichever is deeper
+  const height = (id) => LAYOUT_BOX.h + Math.max(depthOf(id), ...children[id].map(height), 0);
+  const place = (id, left, y) => {
+    at[id] = { x: left + width(id) / 2, y };
+    const hostsLeft = left + (width(id) - hostsWide(id) - children[id].reduce((w, c) => w + width(c), 0)) / 2;
+    leaves[id].forEach((h, i) => {
+      at[h] = { x: hostsLeft + ((i % LAYOUT_ROW) + 0.5) * LAYOUT_HOST.w, y: y + LAYOUT_BOX.h + Math.floor(i / LAYOUT_ROW) * LAYOUT_HOST.h };
+    });
+    let x = hostsLeft + hostsWide(id);
+    for (const c of children[id]) {
+      place(c, x, y + LAYOUT_BOX.h);
+      x += width(c);
+    }
+  };
+  let left = LAYOUT_ORIGIN.x - LAYOUT_BOX.w / 2;
+  let bottom = LAYOUT_ORIGIN.y;
+  for (const r of roots) {
+    place(r, left, LAYOUT_ORIGIN.y);
+    left += width(r);
+    bottom = Math.max(bottom, LAYOUT_ORIGIN.y + height(r));
+  }
+  loose.forEach((n, i) => (at[n.id] = { x: LAYOUT_ORIGIN.x + i * LAYOUT_HOST.w, y: bottom + LAYOUT_HOST.h }));
+  return withPositions(topology, at);
+}
+
+function withPositions(topology, at) {
+  const nodes = Object.fromEntries(
+    Object.entries(topology.nodes).map(([id, n]) => [id, { ...n, x: Math.round(at[id].x), y: Math.round(at[id].y) }])
+  );
+  return { ...topology, nodes };
+}
+
+// The box the device centres span, for fitting the view around them
+export function topologyBounds(nodes) {
+  const all = Object.values(nodes);
+  if (!all.length) return { x: 0, y: 0, w: 0, h: 0 };
+  const xs = all.map((n) => n.x);
+  const ys = all.map((n) => n.y);
+  return { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs), h: Math.max(...ys) - Math.min(...ys) };
+}
+
+// Hosts and routers keep ARP caches; switches do not
+function emptyCaches(nodes) {
+  const out = {};
+  for (const n of Object.values(nodes)) if (n.type !== "switch") out[n.id] = {};
+  return out;
+}
+
+function emptyMacTables(nodes) {
+  const out = {};
+  for (const n of Object.values(nodes)) if (n.type === "switch") out[n.id] = {};
+  return out;
+}
+
+// Port (switch) or interface name (router) at the id end of a link
+function linkPort(link, id) {
+  return link.a === id ? link.aPort : link.bPort;
+}
+
+function linkBetween(links, a, b) {
+  return links.find((l) => (l.a === a && l.b === b) || (l.a === b && l.b === a));
+}
+
+// Links are named by their end points ("PC1-SW1"): two devices share at most one
+export function linkKey(link) {
+  return `${link.a}-${link.b}`;
+}
+
+// What is unplugged or powered off at the start of a run: links marked
+// down and devices marked off in the topology
+function initialFaults(nodes, links) {
+  return {
+    down: links.filter((l) => l.down).map(linkKey),
+    off: Object.values(nodes).filter((n) => n.off).map((n) => n.id)
+  };
+}
+
+// The links that carry frames: not unplugged, and both ends powered on
+export function activeLinks(links, faults) {
+  return links.filter((l) => !faults.down.includes(linkKey(l)) && !faults.off.includes(l.a) && !faults.off.includes(l.b));
+}
+
+// Seeded random numbers (mulberry32), so a run with lossy links replays
+// exactly: the whole generator state is one 32-bit integer, kept in the
+// world between steps. Returns { value in [0, 1), state }.
+export function nextRandom(state) {
+  const next = (state + 0x6d2b79f5) >>> 0;
+  let t = Math.imul(next ^ (next >>> 15), next | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: next };
+}
+
+// Endpoints (hosts and router interfaces) that share an L2 segment with
+// fromId. Switches are crossed within the VLAN the sender's frames land in,
+// routers end the segment. A router sender only looks out of its egress
+// interface.
+function l2Segment(nodes, links, fromId, egress) {
+  const other = (l, id) => (l.a === id ? l.b : l.a);
+  const endpoints = [];
+  const seen = new Set([fromId]);
+  const queue = links
+    .filter((l) => (l.a === fromId || l.b === fromId) && (!egress || linkPort(l, fromId) === egress))
+    .map((l) => ({ id: other(l, fromId), link: l, tag: null }));
+  while (queue.length) {
+    const { id, link, tag } = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const node = nodes[id];
+    if (node.type !== "switch") {
+      if (tag === null) endpoints.push({ id, port: linkPort(link, id) });
+      continue;
+    }
+    const vlan = ingressVlan(node, linkPort(link, id), tag);
+    if (vlan === null) continue;
+    for (const l of links) {
+      const port = linkPort(l, id);
+      if ((l.a === id || l.b === id) && l !== link && carries(node, port, vlan)) {
+        queue.push({ id: other(l, id), link: l, tag: egressTag(node, port, vlan) });
+      }
+    }
+  }
+  return endpoints;
+}
+
+// Who answers "Who has ip?" on fromId's segment: the host or router
+// interface that owns ip, else a router interface with proxy ARP enabled
+// that has a connected route to ip. Returns null if nobody answers.
+function findResponder(nodes, links, addr, fromId, ip, egress) {
+  const segment = l2Segment(nodes, links, fromId, egress);
+  for (const e of segment) {
+    const n = nodes[e.id];
+    if (n.type === "router") {
+      const iface = n.interfaces.find((i) => i.name === e.port);
+      if (iface && iface.ip === ip) return { id: n.id, port: e.port, ip, mac: iface.mac, proxy: false };
+    } else if (addr[n.id] === ip) {
+      return { id: n.id, port: null, ip, mac: n.mac, proxy: false };
+    }
+  }
+  for (const e of segment) {
+    const n = nodes[e.id];
+    if (n.type !== "router") continue;
+    const iface = n.interfaces.find((i) => i.name === e.port);
+    const route = ifaceFor(n, ip);
+    if (iface?.proxyArp && route && route !== iface) return { id: n.id, port: e.port, ip, mac: iface.mac, proxy: true };
+  }
+  return null;
+}
+
+function neighbours(links, id) {
+  return links.filter((l) => l.a === id || l.b === id).map((l) => (l.a === id ? l.b : l.a));
+}
+
+function switchPorts(switchId, links) {
+  return links
+    .filter((l) => l.a === switchId || l.b === switchId)
+    .map((l) => ({ port: linkPort(l, switchId), peer: l.a === switchId ? l.b : l.a }));
+}
+
+function freePort(links, switchId) {
+  const used = new Set(switchPorts(switchId, links).map((p) => p.port));
+  for (let i = 0; i < MAX_SWITCH_PORTS; i++) if (!used.has(portName(i))) return portName(i);
+  return null;
+}
+
+function freeInterface(links, router) {
+  const used = new Set(switchPorts(router.id, links).map((p) => p.port));
+  return router.interfaces.find((i) => !used.has(i.name))?.name ?? null;
+}
+
+export function addDevice(topology, type, x, y) {
+  const { nodes } = topology;
+  const prefix = { switch: "SW", router: "R", server: "SRV" }[type] ?? "PC";
+  let n = 1;
+  while (nodes[`${prefix}${n}`]) n++;
+  const id = `${prefix}${n}`;
+  const macs = new Set(Object.values(nodes).flatMap(deviceMacs));
+  const ips = new Set(Object.values(nodes).flatMap(deviceIps));
+
+  let device;
+  if (type === "router") {
+    const iface = (k) => ({
+      name: `Gi0/${k}`,
+      ip: `10.${n}.${k}.1`,
+      mask: "255.255.255.0",
+      mac: `02:00:5e:00:${n.toString(16).padStart(2, "0")}:0${k + 1}`,
+      proxyArp: false
+    });
+    device = { id, name: `Router${n}`, type, x, y, interfaces: [iface(0), iface(1)] };
+  } else if (type === "switch") {
+    let b = (0xf0 + n) % 256;
+    while (macs.has(`02:aa:bb:cc:dd:${b.toString(16).padStart(2, "0")}`)) b = (b + 1) % 256;
+    device = { id, name: `Switch${n}`, type, x, y, mac: `02:aa:bb:cc:dd:${b.toString(16).padStart(2, "0")}` };
+  } else {
+    let b = (n * 16) % 256;
+    while (macs.has(`00:1a:2b:3c:4d:${b.toString(16).padStart(2, "0")}`)) b = (b + 1) % 256;
+    let host = n * 10 <= 254 ? n * 10 : 2;
+    while (ips.has(`192.168.1.${host}`)) host = host >= 254 ? 2 : host + 1;
+    device = {
+      id,
+      name: type === "server" ? `Server${n}` : id,
+      type,
+      x,
+      y,
+      ip: `192.168.1.${host}`,
+      mask: "255.255.255.0",
+      gateway: "192.168.1.1",
+      mac: `00:1a:2b:3c:4d:${b.toString(16).padStart(2, "0")}`
+    };
+    if (type === "server") device.pool = { start: "192.168.1.100", end: "192.168.1.199" };
+  }
+  return { id, topology: { ...topology, nodes: { ...nodes, [id]: device } } };
+}
+
+// Returns { topology } on success or { error } explaining why the link is not allowed
+export function connectDevices(topology, a, b) {
+  const { nodes, links } = topology;
+  if (a === b) return { error: "Cannot link a device to itself." };
+  if (links.some((l) => (l.a === a && l.b === b) || (l.a === b && l.b === a))) {
+    return { error: `${nodes[a].name} and ${nodes[b].name} are already linked.` };
+  }
+  const link = { a, b };
+  for (const [id, key] of [
+    [a, "aPort"],
+    [b, "bPort"]
+  ]) {
+    if (isHost(nodes[id])) {
+      if (neighbours(links, id).length > 0) return { error: `${nodes[id].name} has a single NIC that is already connected.` };
+    } else if (nodes[id].type === "router") {
+      const port = freeInterface(links, nodes[id]);
+      if (!port) return { error: `${nodes[id].name} has no unused interfaces.` };
+      link[key] = port;
+    } else {
+      const port = freePort(links, id);
+      if (!port) return { error: `${nodes[id].name} has no free ports.` };
+      link[key] = port;
+    }
+  }
+  return { topology: { ...topology, links: [...links, link] } };
+}
+
+export function removeDevice(topology, id) {
+  const nodes = { ...topology.nodes };
+  delete nodes[id];
+  return { nodes, links: topology.links.filter((l) => l.a !== id && l.b !== id) };
+}
+
+// ARP cache entry, like a Linux neighbour: mac is null while INCOMPLETE or FAILED
+function arpEntry(mac, state, at) {
+  return { mac, state, at };
+}
+
+// Admin-configured entries never age (PERMANENT in `ip neigh`)
+function staticCache(entries = {}) {
+  return Object.fromEntries(Object.entries(entries).map(([ip, mac]) => [ip, arpEntry(mac, "PERMANENT", 0)]));
+}
+
+// REACHABLE entries unconfirmed for timeoutSec go STALE: still listed, but
+// the next send re-ARPs before trusting them
+function ageArpCache(cache, time, timeoutSec) {
+  const next = {};
+  const stale = [];
+  for (const [ip, e] of Object.entries(cache)) {
+    if (e.state === "REACHABLE" && time - e.at >= timeoutSec) {
+      next[ip] = { ...e, state: "STALE" };
+      stale.push(ip);
+    } else next[ip] = e;
+  }
+  return { cache: next, stale };
+}
+
+// Simulated seconds that pass while a script step plays
+function stepSeconds(step) {
+  if (step.kind === "GROUP") return step.seconds;
+  return STEP_SECONDS + (step.kind === "WAIT" ? step.seconds : step.delay ?? 0);
+}
+
+function ageMacTable(table, time, agingSec) {
+  const kept = {};
+  const expired = [];
+  for (const [mac, entry] of Object.entries(table)) {
+    if (time - entry.learnedAt >= agingSec) expired.push(mac);
+    else kept[mac] = entry;
+  }
+  return { table: kept, expired };
+}
+
+// 802.1Q on a switch: sw.vlans maps a port to its access VLAN or "trunk";
+// ports not listed are access ports in DEFAULT_VLAN. A trunk carries every
+// VLAN, tagged except the native one.
+export function isValidVlan(id) {
+  return Number.isInteger(id) && id >= 1 && id <= MAX_VLAN;
+}
+
+export function portVlan(sw, port) {
+  return sw.vlans?.[port] ?? DEFAULT_VLAN;
+}
+
+function usesVlans(sw) {
+  return Object.keys(sw.vlans ?? {}).length > 0;
+}
+
+function carries(sw, port, vlan) {
+  const v = portVlan(sw, port);
+  return v === "trunk" || v === vlan;
+}
+
+// VLAN of a frame arriving on port with 802.1Q tag (null = untagged), or
+// null when the port drops it: access ports do not accept tagged frames
+function ingressVlan(sw, port, tag) {
+  if (portVlan(sw, port) === "trunk") return tag ?? DEFAULT_VLAN;
+  return tag === null ? portVlan(sw, port) : null;
+}
+
+function egressTag(sw, port, vlan) {
+  return portVlan(sw, port) === "trunk" && vlan !== DEFAULT_VLAN ? vlan : null;
+}
+
+// The frame as it crosses a trunk, with its 802.1Q tag
+export function tagFrame(frame, vid) {
+  return { ...frame, dot1q: { pcp: 0, dei: 0, vid } };
+}
+
+// Transparent bridging: learn the source MAC on the ingress port, then
+// flood (broadcast, multicast, unknown unicast), forward (known unicast) or
+// filter (destination sits behind the ingress port). Without MLD snooping a
+// switch has no idea who joined a multicast group, so it floods those too.
+// Entries are per VLAN and ports are the VLAN's member ports: a MAC learned
+// in another VLAN is as good as unknown.
+export function switchFrame(table, ports, inPort, frame, time, vlan = DEFAULT_VLAN) {
+  const { src, dst } = frame.eth;
+  const learnedNew = table[src]?.port !== inPort || table[src]?.vlan !== vlan;
+  const next = { ...table, [src]: { port: inPort, learnedAt: time, vlan } };
+  const others = ports.filter((p) => p.port !== inPort);
+
+  if (isMulticastMac(dst)) return { table: next, learnedNew, decision: "flood", outPorts: others };
+
+  const entry = next[dst]?.vlan === vlan ? next[dst] : null;
+  if (!entry) return { table: next, learnedNew, decision: "flood", outPorts: others };
+  if (entry.port === inPort) return { table: next, learnedNew, decision: "filter", outPorts: [] };
+  return { table: next, learnedNew, decision: "forward", outPorts: ports.filter((p) => p.port === entry.port) };
+}
+
+// Multicast a NIC passes up: all-nodes, and the solicited-node group of each
+// of its IPv6 addresses. A router interface doing proxy ND listens to every
+// group, since it answers for addresses that are not its own.
+function listensTo(node, port, mac) {
+  if (mac === ALL_NODES_MAC) return true;
+  const iface = node.interfaces?.find((i) => i.name === port);
+  if (iface?.proxyArp) return true;
+  const ips = iface ? [iface.ip] : node.ip ? [node.ip] : [];
+  return ips.some((ip) => isValidIpv6(ip) && multicastMac(solicitedNode(ip)) === mac);
+}
+
+// 802.1D spanning tree as it stands once BPDUs have settled. The bridge
+// with the lowest ID (priority, then MAC) is root; every other bridge keeps
+// its cheapest port toward it (root port); on each switch-to-switch link
+// the end offering the better path to the root is designated and forwards,
+// and the other end of a redundant link blocks (alternate). Hosts and
+// routers send no BPDUs, so ports facing them are designated.
+// Returns { bridges: { [id]: { id, root, cost, rootPort } }, roles: { [id]: { [port]: role } } }.
+export function spanningTree(nodes, links) {
+  const switches = Object.values(nodes).filter((n) => n.type === "switch");
+  const trunks = links.filter((l) => nodes[l.a]?.type === "switch" && nodes[l.b]?.type === "switch");
+  const byId = (a, b) => a.priority - b.priority || (a.mac < b.mac ? -1 : a.mac > b.mac ? 1 : 0);
+  // What a port hears or sends: root, cost to it, sending bridge and port
+  const better = (a, b) => byId(a.root, b.root) || a.cost - b.cost || byId(a.bridge, b.bridge) || a.port - b.port;
+  const best = {};
+  for (const sw of switches) best[sw.id] = { root: bridgeId(sw), cost: 0, bridge: bridgeId(sw), port: 0, via: null };
+  const offer = (id, link) => ({ root: best[id].root, cost: best[id].cost, bridge: bridgeId(nodes[id]), port: portId(linkPort(link, id)) });
+  // Relay the best BPDU over every link until nothing improves
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const l of trunks) {
+      for (const [me, peer] of [
+        [l.a, l.b],
+        [l.b, l.a]
+      ]) {
+        const heard = { ...offer(peer, l), cost: best[peer].cost + STP_PORT_COST, via: linkPort(l, me) };
+        if (better(heard, best[me]) < 0 || (better(heard, best[me]) === 0 && portId(heard.via) < portId(best[me].via))) {
+          best[me] = heard;
+          changed = true;
+        }
+      }
+    }
+  }
+
+  const roles = {};
+  for (const sw of switches) roles[sw.id] = {};
+  for (const l of links) for (const id of [l.a, l.b]) if (roles[id]) roles[id][linkPort(l, id)] = "designated";
+  for (const l of trunks) {
+    const other = better(offer(l.a, l), offer(l.b, l)) <= 0 ? l.b : l.a;
+    const port = linkPort(l, other);
+    roles[other][port] = best[other].via === port ? "root" : "alternate";
+  }
+  const bridges = {};
+  for (const sw of switches) bridges[sw.id] = { id: bridgeId(sw), root: best[sw.id].root, cost: best[sw.id].cost, rootPort: best[sw.id].via };
+  return { bridges, roles };
+}
+
+// 802.1D-2004 bridge priorities come in steps of 4096 (the low bits carry the VLAN in PVST+)
+export function isStpPriority(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 61440 && v % 4096 === 0;
+}
+
+export function bridgeId(sw) {
+  return { priority: sw.stpPriority ?? STP_PRIORITY, mac: sw.mac };
+}
+
+// Port priority 128 in the high byte, the port number in the low one
+function portId(name) {
+  return name ? 0x8000 | Number(name.match(/(\d+)$/)?.[1] ?? 0) : 0;
+}
+
+// Ports STP keeps blocked, as ["SW3", "Fa0/2"] pairs
+export function blockedPorts(tree) {
+  return Object.entries(tree.roles).flatMap(([id, ports]) =>
+    Object.entries(ports)
+      .filter(([, role]) => role === "alternate")
+      .map(([port]) => [id, port])
+  );
+}
+
+// Configuration BPDU sent by sw out port: the root it believes in and its cost to it
+export function makeBpdu(sw, port, root, cost) {
+  const self = root.mac === sw.mac;
+  return {
+    kind: "STP_BPDU",
+    title: `${sw.name} sends a BPDU out ${port}: root ${bridgeText(root)}${self ? " (itself)" : ""}, cost ${cost}`,
+    frame: {
+      eth: { dst: STP_GROUP_MAC, src: sw.mac, type: BPDU_LENGTH },
+      stp: { flags: 0, root, cost, bridge: bridgeId(sw), port: portId(port) }
+    }
+  };
+}
+
+// Hop-by-hop propagation of one frame sent by fromId. Every switch on the
+// way learns the source MAC and floods/forwards it, so a broadcast fans out
+// over the whole tree of switches. Hops carry their depth so the animation
+// can dwell at each switch. With opts.stp (a spanningTree()) switches never
+// send out or take in frames on blocked ports. Without it a loop in the
+// topology makes a broadcast storm: Ethernet has no TTL, so every copy is
+// flooded again (and hosts get duplicates) until STORM_CAP copies, where the
+// simulator stops it; real switches would go on until the links saturate.
+// BPDUs (to STP_GROUP_MAC) are consumed by the first switch.
+// A host whose NIC drops the frame (not its MAC, not a group it joined) is
+// still a hop, marked ignored: it is in delivered (the frame reached it) but
+// not in accepted (the NIC passed it up). Frames stay in the VLAN of the port they
+// entered on; a hop over a trunk carries the 802.1Q tag (hop.tag).
+// Routers end the L2 segment; a router sender names its egress interface
+// (opts.egress). With opts.bindings set, switches run Dynamic ARP
+// Inspection on ARP frames arriving from host ports.
+// A hop starts at hop.at (in hop units) and a link's latency stretches its
+// time on the wire (hop.slow extra units). A hop over a link in opts.lost
+// (link keys) is marked lost and goes no further.
+export function propagateFrame(frame, fromId, nodes, links, macTables, time, opts = {}) {
+  const { egress, bindings, lost = [], stp = null } = opts;
+  const { src, dst } = frame.eth;
+  const tables = { ...macTables };
+  const hops = [];
+  const delivered = [];
+  const accepted = [];
+  const logs = [];
+  const seen = new Set();
+  const flapping = new Set();
+  let loop = false;
+  let flooded = false;
+  let duplicates = 0;
+  let capped = false;
+  const blocked = (id, port) => stp?.roles[id]?.[port] === "alternate";
+
+  const out = links.find((l) => (l.a === fromId || l.b === fromId) && (!egress || linkPort(l, fromId) === egress));
+  if (!out) {
+    logs.push(`${nodes[fromId].name} has no link${egress ? ` on ${egress}` : ""}: the frame never leaves the NIC`);
+    return { tables, hops, delivered, accepted, logs, loop, flooded, duplicates, capped };
+  }
+
+  const slow = (link) => (link.latency ?? 0) / LATENCY_UNIT_MS;
+  const queue = [{ from: fromId, to: out.a === fromId ? out.b : out.a, depth: 0, at: 0, slow: slow(out), leaf: false, tag: null }];
+  while (queue.length && !capped) {
+    const hop = queue.shift();
+    hops.push(hop);
+    const node = nodes[hop.to];
+    const link = linkBetween(links, hop.from, hop.to);
+
+    if (lost.includes(linkKey(link))) {
+      hop.leaf = true;
+      hop.lost = true;
+      logs.push(`The frame is lost on the ${linkKey(link)} link (${Math.round(link.loss * 100)}% loss): ${node.name} never receives it`);
+      continue;
+    }
+
+    if (node.type !== "switch") {
+      hop.leaf = true;
+      if (delivered.includes(hop.to)) {
+        hop.loop = true;
+        capped = ++duplicates >= STORM_CAP;
+        continue;
+      }
+      delivered.push(hop.to);
+      if (hop.tag !== null) {
+        hop.ignored = true;
+        logs.push(`${node.name}'s NIC drops the frame: it is 802.1Q-tagged for VLAN ${hop.tag}`);
+        continue;
+      }
+      const port = linkPort(link, hop.to);
+      const mac = node.type === "router" ? node.interfaces.find((i) => i.name === port)?.mac : node.mac;
+      if (dst === BROADCAST || dst === mac || (isMulticastMac(dst) && listensTo(node, port, dst))) {
+        accepted.push(hop.to);
+        continue;
+      }
+      hop.ignored = true;
+      if (isMulticastMac(dst)) logs.push(`${node.name}'s NIC drops the frame: it has not joined multicast group ${dst}`);
+      else logs.push(`${node.name} ignores the frame: ${dst} is not its MAC`);
+      continue;
+    }
+
+    const ports = switchPorts(hop.to, links);
+    const inPort = ports.find((p) => p.peer === hop.from).port;
+
+    if (dst === STP_GROUP_MAC) {
+      hop.leaf = true;
+      logs.push(`${hop.to} takes in the BPDU on ${inPort}: bridges never forward them`);
+      continue;
+    }
+    if (blocked(hop.to, inPort)) {
+      hop.leaf = true;
+      hop.dropped = true;
+      hop.blocked = true;
+      logs.push(`${hop.to} discards the frame on ${inPort}: STP keeps that port blocking`);
+      continue;
+    }
+
+    // Copies of a frame that already passed this switch only add to the
+    // storm; their steps are not logged one by one
+    const repeat = seen.has(hop.to);
+    const say = (line) => repeat || logs.push(line);
+    if (repeat) {
+      hop.loop = true;
+      if (!loop) logs.push(`${hop.to} receives the same frame again on ${inPort}: switching loop! Ethernet has no TTL, so it is flooded again.`);
+      loop = true;
+      capped = ++duplicates >= STORM_CAP;
+      if (capped) {
+        hop.leaf = true;
+        continue;
+      }
+    }
+    seen.add(hop.to);
+
+    const vlan = ingressVlan(node, inPort, hop.tag);
+    if (vlan === null) {
+      hop.leaf = true;
+      hop.dropped = true;
+      say(`${hop.to} drops a frame tagged for VLAN ${hop.tag} on access port ${inPort}`);
+      continue;
+    }
+
+    if (bindings && frame.arp && isHost(nodes[hop.from])) {
+      const verdict = daiCheck(frame.arp, bindings);
+      if (!verdict.ok) {
+        hop.leaf = true;
+        hop.dropped = true;
+        logs.push(`${hop.to} DAI drops ARP on ${inPort}: ${verdict.reason}`);
+        continue;
+      }
+    }
+
+    const members = ports.filter((p) => carries(node, p.port, vlan) && !blocked(hop.to, p.port));
+    const res = switchFrame(tables[hop.to] ?? {}, members, inPort, frame, time, vlan);
+    // A looping copy would move src to another port (MAC flapping); the
+    // table keeps what the first copy taught it so the run stays readable
+    if (!repeat) tables[hop.to] = res.table;
+    else if (tables[hop.to]?.[src]?.port !== inPort) flapping.add(hop.to);
+
+    const outNames = res.outPorts.map((p) => p.port).join(", ");
+    const inVlan = usesVlans(node) ? ` (VLAN ${vlan})` : "";
+    say(`${hop.to} ${res.learnedNew ? "learns" : "refreshes"} ${src} on ${inPort}${inVlan}`);
+    if (res.decision === "forward") say(`${hop.to} knows ${dst} -> forwards out ${outNames} only`);
+    else if (res.decision === "filter") say(`${hop.to} filters frame: ${dst} is on the ingress port ${inPort}`);
+    else if (dst === BROADCAST) say(`${hop.to} floods broadcast out ${outNames || "(no other ports)"}${inVlan && `, VLAN ${vlan} ports only`}`);
+    else if (isMulticastMac(dst)) say(`${hop.to} floods multicast ${dst} out ${outNames || "(no other ports)"} (no MLD snooping)`);
+    else {
+      flooded = true;
+      say(`${hop.to} has no entry for ${dst} -> floods unknown unicast out ${outNames || "(no other ports)"}`);
+    }
+
+    const trunks = res.outPorts.filter((p) => egressTag(node, p.port, vlan) !== null).map((p) => p.port);
+    if (trunks.length) say(`${hop.to} adds an 802.1Q tag (VLAN ${vlan}) out trunk ${trunks.join(", ")}`);
+
+    if (res.outPorts.length === 0) hop.leaf = true;
+    for (const p of res.outPorts) {
+      const next = linkBetween(links, hop.to, p.peer);
+      const at = hop.at + 1 + hop.slow;
+      queue.push({ from: hop.to, to: p.peer, depth: hop.depth + 1, at, slow: slow(next), leaf: false, tag: egressTag(node, p.port, vlan) });
+    }
+  }
+  if (loop) {
+    const end = capped ? `: the simulator stops here, real switches would keep flooding them until the links saturate` : "";
+    logs.push(`${isMulticastMac(dst) ? "Broadcast storm" : "Switching loop"}: ${duplicates} duplicate copies of the frame${end}`);
+    if (flapping.size) logs.push(`MAC flapping: ${[...flapping].join(", ")} would keep relearning ${src} on different ports`);
+  }
+  return { tables, hops, delivered, accepted, logs, loop, flooded, duplicates, capped };
+}
+
+// Exercises: each action list is expanded into steps by buildScript().
+// Device refs may be "sender", "target" or a concrete device id.
+export const SCENARIOS = [
+  { id: "basic", name: "Resolve, then cache hit", actions: [{ type: "send" }, { type: "send" }] },
+  {
+    id: "flush",
+    name: "Flush cache and re-ARP",
+    actions: [{ type: "send" }, { type: "flush", device: "sender" }, { type: "send" }]
+  },
+  {
+    id: "aging",
+    name: "Idle past MAC aging, then re-ARP",
+    actions: [{ type: "send" }, { type: "wait", seconds: 60 }, { type: "flush", device: "sender" }, { type: "send" }]
+  },
+  {
+    id: "arp-stale",
+    name: "ARP entry goes STALE, then re-ARP",
+    actions: [{ type: "send" }, { type: "wait", seconds: 45 }, { type: "send" }]
+  },
+  {
+    id: "change-ip",
+    name: "Target changes its IP",
+    actions: [{ type: "send" }, { type: "changeIp", device: "target", ip: "192.168.1.99" }, { type: "send" }]
+  },
+  {
+    id: "probe-announce",
+    name: "Probe and announce a free address",
+    actions: [{ type: "send" }, { type: "probe", device: "target", ip: "192.168.1.99" }, { type: "send" }]
+  },
+  {
+    id: "probe-conflict",
+    name: "Duplicate IP caught by ARP probe",
+    actions: [{ type: "send" }, { type: "probe", device: "target", ipOf: "sender" }]
+  },
+  {
+    id: "gratuitous-conflict",
+    name: "Duplicate IP without probing (gratuitous ARP)",
+    actions: [{ type: "send" }, { type: "gratuitous", device: "target", ipOf: "sender" }]
+  },
+  {
+    id: "spoof",
+    name: "ARP spoofing (man in the middle)",
+    actions: [
+      { type: "send" },
+      { type: "spoof", victim: "sender", as: "target" },
+      { type: "spoof", victim: "target", as: "sender" },
+      { type: "send" }
+    ]
+  },
+  {
+    id: "dhcp",
+    name: "Boot with DHCP, then ping",
+    actions: [{ type: "dhcp", device: "sender" }, { type: "send" }]
+  },
+  {
+    id: "together",
+    name: "Two pairs of hosts ARP at the same time",
+    actions: [{ type: "together", actions: [{ type: "send" }, { type: "send", from: "PC2", to: "PC4" }] }]
+  },
+  {
+    id: "dup-probe",
+    name: "Probe answered by two hosts with the same IP",
+    actions: [
+      { type: "changeIp", device: "PC2", ip: "192.168.1.99" },
+      { type: "changeIp", device: "PC4", ip: "192.168.1.99" },
+      { type: "probe", device: "target", ip: "192.168.1.99" }
+    ]
+  },
+  {
+    id: "power-off",
+    name: "Target powers off: STALE entry, retries, FAILED",
+    actions: [{ type: "send" }, { type: "powerOff", device: "target" }, { type: "wait", seconds: 45 }, { type: "send" }]
+  },
+  {
+    id: "unplug",
+    name: "Cable unplugged, then plugged back in",
+    actions: [{ type: "send" }, { type: "unplug", device: "target" }, { type: "send" }, { type: "plug", device: "target" }, { type: "send" }]
+  }
+];
+
+// Expand a scenario { senderId, targetId, actions } into the step list.
+// Addresses and ARP caches are tracked while expanding, so a "send" turns
+// into a cache hit or a full request/reply exchange depending on what the
+// earlier actions left behind. Off-subnet targets are reached through the
+// sender's default gateway: the sender ARPs for the gateway, then the
+// router ARPs for the target out of the egress interface. "spoof" actions
+// make the attacker forge replies; defenses decide whether they stick.
+// With a live world ({ time, arpCaches }) the expansion continues from its
+// caches and clock instead of a fresh start (used by the device console).
+// scenario.ipVersion 6 plays the same actions over IPv6 (nodes numbered by
+// ipv6Nodes): Neighbor Discovery resolves addresses, probes become DAD and
+// announcements unsolicited Neighbor Advertisements.
+// DHCP clients start at 0.0.0.0 and get an address from a "dhcp" action:
+// Discover, Offer, Request, Ack, then an ARP probe of the leased address.
+// Frames only cross active links (see activeLinks): "unplug"/"powerOff"
+// actions take links away mid-run. Each ARP, ND or data frame draws its
+// losses on lossy links from the seeded generator (scenario.seed); a lost
+// request or reply is retried like an unanswered one. Every step records
+// which action it came from (step.action).
+export function buildScript(scenario, nodes, allLinks, defenses = {}, arpTimeout = 30, live = null) {
+  const v6 = scenario.ipVersion === 6;
+  const cacheName = v6 ? "neighbor cache" : "ARP cache";
+  const family = (ip) => (v6 ? toIpv6(ip) : ip);
+  let addr = {};
+  let caches = {};
+  let learned = {}; // when each dynamic entry was last confirmed
+  let leases = { ...live?.leases }; // client id -> { ip, mask, gateway, serverId }
+  let declined = new Set(); // addresses clients handed back with a Decline
+  for (const n of Object.values(nodes)) {
+    if (n.ip) addr[n.id] = n.dhcp && !v6 && !live ? ZEROIP : n.ip;
+    if (n.type !== "switch") {
+      caches[n.id] = {};
+      learned[n.id] = {};
+    }
+  }
+  const ref = (r) =>
+    r === "sender" ? scenario.senderId : r === "target" ? scenario.targetId : r === "attacker" ? scenario.attackerId : r;
+  const host = (id) => {
+    const lease = leases[id] ? { mask: leases[id].mask, gateway: leases[id].gateway } : {};
+    return { ...nodes[id], ...lease, ip: addr[id] };
+  };
+  // Whoever owns ip (a host or a router interface), else an address nobody has
+  const hostAt = (ip) => {
+    const owner = Object.values(nodes).find((n) => (n.interfaces ? deviceIps(n).includes(ip) : addr[n.id] === ip));
+    return owner ? { ...nodes[owner.id], ip } : { id: null, name: ip, ip };
+  };
+
+  let faults = { ...(live?.faults ?? initialFaults(nodes, allLinks)) };
+  let links = activeLinks(allLinks, faults);
+  const without = (lost = []) => links.filter((l) => !lost.includes(linkKey(l)));
+  let rng = live?.rng ?? scenario.seed ?? DEFAULT_SEED;
+  // Which lossy links drop the next frame (the frame only suffers the ones on its path)
+  const draw = () => {
+    const lossy = links.filter((l) => l.loss > 0);
+    if (!lossy.length) return {};
+    const lost = lossy.filter((l) => {
+      const r = nextRandom(rng);
+      rng = r.state;
+      return r.value < l.loss;
+    });
+    return { lost: lost.map(linkKey), rng };
+  };
+  // Why a frame from fromId does not reach toId, or null when it does
+  const cut = (fromId, toId, egress, lost = []) => {
+    const reaches = (ls) => l2Segment(nodes, ls, fromId, egress).some((e) => e.id === toId);
+    if (reaches(without(lost))) return null;
+    if (reaches(links)) {
+      const culprits = lost.filter((k) => !reaches(without([k])));
+      const on = culprits.length ? culprits : lost;
+      return `it is lost on ${on.length > 1 ? `links ${on.join(", ")}` : `the ${on[0]} link`}`;
+    }
+    const end = [toId, fromId].find((id) => faults.off.includes(id));
+    if (end) return `${nodes[end].name} is powered off`;
+    const unplugged = faults.down.filter((k) => reaches(activeLinks(allLinks, { ...faults, down: faults.down.filter((d) => d !== k) })));
+    if (unplugged.length) return `the ${unplugged.join(", ")} link is unplugged`;
+    const dark = faults.off.filter((id) => reaches(activeLinks(allLinks, { ...faults, off: faults.off.filter((o) => o !== id) })));
+    if (dark.length) return `${dark.map((id) => nodes[id].name).join(", ")} on the way is powered off`;
+    return `nothing connects ${nodes[fromId].name} to ${nodes[toId].name} any more`;
+  };
+
+  const statics = defenses.staticArp && !live ? staticEntries(scenario, nodes, allLinks) : {};
+  for (const [id, entries] of Object.entries(statics)) caches[id] = { ...entries };
+  for (const [id, cache] of Object.entries(live?.arpCaches ?? {})) {
+    for (const [ip, e] of Object.entries(cache)) {
+      if (!e.mac) continue;
+      caches[id][ip] = e.mac;
+      if (e.state !== "PERMANENT") learned[id][ip] = e.at;
+    }
+  }
+
+  let s = [];
+  let t0 = live?.time ?? 0; // when the steps in s start
+  const clock = () => s.reduce((t, st) => t + stepSeconds(st), t0);
+  const learn = (id, ip, mac) => {
+    if (caches[id][ip] && learned[id][ip] === undefined) return; // static entries never change
+    caches[id][ip] = mac;
+    learned[id][ip] = clock();
+  };
+  if (!live) {
+    const first = host(scenario.senderId);
+    const packet = v6 ? "an ICMPv6 echo request in an IPv6 packet" : "an ICMP echo request in an IPv4 packet";
+    s.push({ kind: "START", title: `${first.name} wants to ping ${host(scenario.targetId).ip}: ${packet}` });
+  }
+  const ask = (self, ip) => (v6 ? makeSolicitation(self, ip) : makeRequest(self, ip));
+  const echo = (from, to, reply, seq) =>
+    v6
+      ? makeEcho6(from.ip, to.ip, { type: reply ? 129 : 128, seq, hopLimit: INITIAL_HOP_LIMIT[from.type] })
+      : makeEcho(from.ip, to.ip, { type: reply ? 0 : 8, seq, ttl: INITIAL_TTL[from.type] });
+
+  // ARP (or solicit) for ip from nodeId (self = { name, ip, mac } of the sending NIC).
+  // A packet waiting on the answer is queued until the reply (or FAILED).
+  // Returns the responder, or null when every retry goes unanswered.
+  function resolve(nodeId, self, ip, egress, finalTarget, packet) {
+    const responder = findResponder(nodes, links, addr, nodeId, ip, egress);
+    const cached = caches[nodeId][ip];
+    s.push({ kind: "CACHE_CHECK", deviceId: nodeId, ip, title: `${self.name} checks ${cacheName} for ${ip}` });
+    const age = learned[nodeId][ip] === undefined ? null : clock() - learned[nodeId][ip];
+    const stale = cached && age !== null && age >= arpTimeout;
+    if (cached && !stale) {
+      let note = null;
+      const imposter = responder && cached !== responder.mac ? Object.values(nodes).find((n) => n.mac === cached) : null;
+      if (imposter) note = `Poisoned entry: ${cached} is ${imposter.name}'s MAC, not the real owner of ${ip}!`;
+      else if (ip !== finalTarget.ip) note = `${ip} is the gateway: ${self.name} never learns ${finalTarget.name}'s MAC, only the router's.`;
+      else if (responder?.proxy) note = `That MAC belongs to ${nodes[responder.id].name}, answering by proxy ARP.`;
+      const title = v6 ? "Neighbor cache hit -> no solicitation needed" : "ARP cache hit -> no broadcast needed";
+      s.push({ kind: "CACHE_HIT", deviceId: nodeId, ip, mac: cached, note, title });
+      // Nobody answers for ip now (powered off, unplugged): the entry still
+      // points at the device that had the MAC
+      const gone = Object.values(nodes).find((n) => deviceMacs(n).includes(cached));
+      const port = gone?.interfaces?.find((i) => i.mac === cached)?.name ?? null;
+      return responder ?? (gone ? { id: gone.id, port, ip, mac: cached, proxy: false } : null);
+    }
+    if (stale) {
+      s.push({
+        kind: "CACHE_STALE",
+        deviceId: nodeId,
+        ip,
+        title: `Entry ${ip} -> ${cached} is STALE (unconfirmed for ${age}s >= ${arpTimeout}s) -> ${self.name} ${v6 ? "solicits it again" : "re-ARPs"} before using it`
+      });
+    } else {
+      const how = v6 ? `send a Neighbor Solicitation for ${ip}` : `ARP for ${ip}`;
+      s.push({ kind: "CACHE_MISS", deviceId: nodeId, ip, title: `Cache miss -> ${self.name} must ${how}` });
+    }
+    if (packet) {
+      s.push({
+        kind: "PACKET_QUEUED",
+        deviceId: nodeId,
+        ip,
+        packet,
+        title: `${self.name} queues the ${packetName(packet)} for ${l3(packet).dst} until ${ip} is resolved`
+      });
+    }
+
+    // Whoever owns ip while every link is up, to say why nobody answers
+    const absent = () => {
+      const o = findResponder(nodes, allLinks, addr, nodeId, ip, egress);
+      return (o && cut(nodeId, o.id, egress)) ?? `nobody on ${self.name}'s segment owns ${ip}`;
+    };
+    const owner = responder && nodes[responder.id];
+    let why = null;
+    for (let k = 1; k <= ARP_RETRIES; k++) {
+      if (k > 1) {
+        s.push({ kind: "NO_REPLY", title: `No reply within ${ARP_RETRANS}s: ${why}` });
+        const retry = `${v6 ? "Neighbor Solicitation" : "ARP Request"} retry ${k}/${ARP_RETRIES}: Who has ${ip}?`;
+        s.push({ ...ask(self, ip), title: retry, from: nodeId, egress, ...draw() });
+      } else s.push({ ...ask(self, ip), from: nodeId, egress, ...draw() });
+      if (!responder) {
+        why = absent();
+        continue;
+      }
+      const lostRequest = cut(nodeId, owner.id, egress, s.at(-1).lost);
+      if (lostRequest) {
+        why = `the ${v6 ? "solicitation" : "request"} never reached ${owner.name} (${lostRequest})`;
+        continue;
+      }
+
+      const answer = { ip, mac: responder.mac, router: owner.type === "router" };
+      const reply = v6 ? makeAdvertisement(answer, self, { override: !responder.proxy }) : makeReply(answer, self);
+      const on = responder.port ? ` on ${responder.port}` : "";
+      if (responder.proxy) {
+        s.push({
+          kind: "TARGET_RECEIVES",
+          title: `${owner.name} receives the ${v6 ? "solicitation" : "request"}${on}: ${ip} is not its own address, but it has a route to it (proxy ${v6 ? "ND" : "ARP"})`
+        });
+        s.push({
+          ...reply,
+          title: v6
+            ? `Proxy Neighbor Advertisement (unicast, Override clear): ${ip} is at ${responder.mac} (${owner.name}'s own MAC)`
+            : `Proxy ARP Reply (unicast): ${ip} is at ${responder.mac} (${owner.name}'s own MAC)`,
+          proxy: true,
+          from: owner.id,
+          egress: responder.port,
+          ...draw()
+        });
+      } else {
+        const heard = v6 ? `the Neighbor Solicitation${on} (it joined ${solicitedNode(ip)})` : `broadcast ARP request${on}`;
+        s.push({ kind: "TARGET_RECEIVES", title: `${owner.name} receives ${heard} and recognizes ${ip}` });
+        s.push({ ...reply, from: owner.id, egress: responder.port, ...draw() });
+      }
+      const lostReply = cut(owner.id, nodeId, responder.port, s.at(-1).lost);
+      if (!lostReply) {
+        s.push({
+          kind: "CACHE_UPDATE",
+          title: `${self.name} updates ${cacheName}: ${ip} -> ${responder.mac}`,
+          entries: [
+            { deviceId: nodeId, ip, mac: responder.mac },
+            { deviceId: owner.id, ip: self.ip, mac: self.mac }
+          ]
+        });
+        learn(nodeId, ip, responder.mac);
+        learn(owner.id, self.ip, self.mac);
+        return responder;
+      }
+      why = `${owner.name} answered, but ${lostReply.replace(/^it is/, "the reply was")}`;
+    }
+    s.push({ kind: "CACHE_FAILED", deviceId: nodeId, ip, title: `No reply after ${ARP_RETRIES} requests: ${self.name} marks ${ip} FAILED` });
+    delete caches[nodeId][ip];
+    delete learned[nodeId][ip];
+    return null;
+  }
+
+  // A host broadcast "ip is at my MAC" (announcement / gratuitous ARP, or
+  // an unsolicited Neighbor Advertisement to all nodes).
+  // Neighbours that already cache ip overwrite the entry; a neighbour that
+  // owns ip itself detects the conflict and defends it once. Only the hosts
+  // the frame reached (lost: its lost links) take part, and each only once
+  // per series of announcements (heard: who already got one).
+  function claim(id, ip, lost = [], heard = new Set()) {
+    const mac = nodes[id].mac;
+    const segment = l2Segment(nodes, without(lost), id)
+      .map((e) => e.id)
+      .filter((n) => !heard.has(n));
+    segment.forEach((n) => heard.add(n));
+    const updates = segment
+      .filter((n) => caches[n] && caches[n][ip] && caches[n][ip] !== mac)
+      .map((n) => ({ deviceId: n, ip, mac }));
+    if (updates.length) {
+      s.push({ kind: "CACHE_UPDATE", title: `Hosts that cached ${ip} overwrite it with ${mac}`, entries: updates });
+      updates.forEach((u) => learn(u.deviceId, ip, mac));
+    }
+    const owner = segment.find((n) => isHost(nodes[n]) && addr[n] === ip);
+    if (!owner) return;
+    const o = host(owner);
+    s.push({ kind: "CONFLICT", title: `${o.name} sees its own address ${ip} claimed by ${mac}: IP address conflict!` });
+    s.push({
+      ...(v6 ? makeUnsolicitedAdvert(o) : makeAnnouncement(o, 1)),
+      title: `${o.name} defends ${ip}: ${v6 ? "unsolicited Neighbor Advertisement (all nodes)" : "ARP Announcement (broadcast)"}: ${ip} is at ${o.mac}`,
+      from: o.id,
+      ...draw()
+    });
+    const back = l2Segment(nodes, without(s.at(-1).lost), o.id)
+      .map((e) => e.id)
+      .filter((n) => caches[n] && caches[n][ip] === mac)
+      .map((n) => ({ deviceId: n, ip, mac: o.mac }));
+    if (back.length) {
+      s.push({ kind: "CACHE_UPDATE", title: `Caches flip back: ${ip} -> ${o.mac}`, entries: back });
+      back.forEach((u) => learn(u.deviceId, ip, o.mac));
+    }
+  }
+
+  // Put packet on the wire from a NIC once its next hop is resolved. A
+  // poisoned cache sends it to the attacker, who relays it to the real hop.
+  // Returns whether the frame reached the next hop.
+  function transmit(fromId, self, nextHop, packet, egress, hop, last) {
+    const usedMac = caches[fromId][nextHop];
+    const imposter = usedMac !== hop.mac ? Object.values(nodes).find((n) => n.mac === usedMac) : null;
+    const what = `${packetName(packet)} for ${l3(packet).dst}`;
+    const lost = (to, why) => {
+      s.push({ kind: "FRAME_LOST", title: `The ${what} never reaches ${nodes[to].name}: ${why}` });
+      return false;
+    };
+    if (imposter) {
+      s.push({
+        kind: "DATA",
+        from: fromId,
+        egress,
+        frame: onWire(packet, self.mac, usedMac),
+        title: `${self.name} sends the ${what} to ${usedMac} -> it lands on ${imposter.name}`,
+        ...draw()
+      });
+      const first = cut(fromId, imposter.id, egress, s.at(-1).lost);
+      if (first) return lost(imposter.id, first);
+      s.push({
+        kind: "DATA",
+        from: imposter.id,
+        frame: onWire(packet, imposter.mac, hop.mac),
+        title: `${imposter.name} reads it and relays it to the real ${nodes[hop.id].name}: man in the middle`,
+        ...draw()
+      });
+      const relay = cut(imposter.id, hop.id, null, s.at(-1).lost);
+      if (relay) return lost(hop.id, relay);
+      s.at(-1).arrives = last;
+      return true;
+    }
+    s.push({
+      kind: "DATA",
+      from: fromId,
+      egress,
+      frame: onWire(packet, self.mac, usedMac),
+      title: `${self.name} sends the ${what} to dst MAC ${usedMac}`,
+      ...draw()
+    });
+    const why = cut(fromId, hop.id, egress, s.at(-1).lost);
+    if (why) return lost(hop.id, why);
+    s.at(-1).arrives = last;
+    return true;
+  }
+
+  // Send an IP packet from srcId (a host, or a router answering from one
+  // of its interfaces) toward its destination: route lookup, ARP for the
+  // next hop, then the frame. A router on the way decrements the TTL (hop
+  // limit) and resolves the last hop itself. Returns true when the owner of
+  // the destination address received it.
+  function deliver(srcId, packet) {
+    const dst = l3(packet).dst;
+    const target = hostAt(dst);
+    const src = nodes[srcId];
+    let self = host(srcId);
+    let nextHop = dst;
+    let egress = null;
+    if (src.interfaces) {
+      const iface = ifaceFor(src, dst);
+      if (!iface) {
+        s.push({ kind: "NO_ROUTE", deviceId: srcId, title: `${src.name} has no route to ${dst}: packet dropped` });
+        return false;
+      }
+      self = { id: srcId, name: `${src.name} ${iface.name}`, ip: iface.ip, mac: iface.mac };
+      egress = iface.name;
+    } else if (self.mask && !sameSubnet(self.ip, dst, self.mask)) {
+      if (!self.gateway) {
+        s.push({ kind: "NO_ROUTE", deviceId: srcId, title: `${dst} is off-subnet and ${self.name} has no default gateway: unreachable` });
+        return false;
+      }
+      nextHop = self.gateway;
+      s.push({ kind: "ROUTE_LOOKUP", title: `${dst} is outside ${subnetOf(self.ip, self.mask)} -> ${self.name} sends via its gateway ${nextHop}` });
+    }
+
+    const hop = resolve(srcId, self, nextHop, egress, target, packet);
+    if (!hop || !transmit(srcId, self, nextHop, packet, egress, hop, hop.id === target.id)) return false;
+    if (hop.id === target.id) return true;
+
+    // First hop was a router (gateway or proxy ARP): it routes the packet on
+    const router = nodes[hop.id];
+    if (!router.interfaces) {
+      s.push({ kind: "NO_ROUTE", deviceId: router.id, title: `${router.name} is not a router: packet dropped` });
+      return false;
+    }
+    const out = ifaceFor(router, dst);
+    if (!out) {
+      s.push({ kind: "NO_ROUTE", deviceId: router.id, title: `${router.name} has no route to ${dst}: packet dropped` });
+      return false;
+    }
+    const routed = forwarded(packet);
+    const hops = routed.ipv4 ? `TTL ${routed.ipv4.ttl}` : `hop limit ${routed.ipv6.hopLimit}`;
+    s.push({
+      kind: "ROUTER_FORWARD",
+      title: `${router.name} routes the packet out ${out.name}: new Ethernet header, ${hops}, IP header still says ${l3(packet).src} -> ${dst}`
+    });
+    const nic = { name: `${router.name} ${out.name}`, ip: out.ip, mac: out.mac };
+    const last = resolve(router.id, nic, dst, out.name, target, routed);
+    if (!last || !transmit(router.id, nic, dst, routed, out.name, last, last.id === target.id)) return false;
+    return last.id === target.id;
+  }
+
+  // RFC 5227 probe (Duplicate Address Detection in IPv6) of ip by host d.
+  // When nobody answers, d configures ip and announces it. Returns whether
+  // it did.
+  function probe(d, ip) {
+    const probes = v6 ? DAD_TRANSMITS : PROBE_NUM;
+    const rfc = v6 ? "RFC 4862 says run Duplicate Address Detection" : "RFC 5227 says probe";
+    s.push({ kind: "NOTE", title: `${d.name} wants to use ${ip}: ${rfc} before using it` });
+    for (let k = 1; k <= probes; k++) {
+      s.push({ ...(v6 ? makeDad(d, ip) : makeProbe(d, ip, k)), from: d.id, delay: k === 1 ? 0 : PROBE_MAX, ...draw() });
+      const lost = s.at(-1).lost;
+      const owner = findResponder(nodes, links, addr, d.id, ip);
+      if (!owner) continue;
+      // Every host that has ip configured and hears the probe answers, all at once
+      const others = l2Segment(nodes, links, d.id)
+        .filter((e) => e.id !== owner.id && isHost(nodes[e.id]) && addr[e.id] === ip)
+        .map((e) => ({ id: e.id, port: null, mac: nodes[e.id].mac }));
+      const owners = [owner, ...others].filter((w) => !cut(d.id, w.id, undefined, lost));
+      if (!owners.length) continue;
+      const heard = [];
+      const missed = [];
+      concurrently(
+        owners.map((w) => () => {
+          const o = nodes[w.id];
+          s.push({ kind: "TARGET_RECEIVES", title: `${o.name} owns ${ip} and answers the probe like any request for its address` });
+          // The prober has no address yet: a reply goes back by MAC (ARP) or to all nodes (ND)
+          const answer = { ip, mac: w.mac, router: o.type === "router" };
+          s.push({
+            ...(v6
+              ? makeAdvertisement(answer, { ip: ALL_NODES, mac: ALL_NODES_MAC }, { solicited: false })
+              : makeReply(answer, { ip: ZEROIP, mac: d.mac })),
+            title: v6
+              ? `Neighbor Advertisement to all nodes (${ALL_NODES}): ${ip} is at ${w.mac}`
+              : `ARP Reply to the probe (unicast): ${ip} is at ${w.mac}`,
+            from: o.id,
+            egress: w.port,
+            ...draw()
+          });
+          const why = cut(o.id, d.id, w.port, s.at(-1).lost);
+          if (why) missed.push(`${o.name}'s answer never reaches ${d.name} (${why})`);
+          else heard.push(w.mac);
+        })
+      );
+      if (heard.length) {
+        const verdict = v6 ? "DAD fails" : "an address conflict";
+        s.push({ kind: "CONFLICT", title: `${d.name} detects ${verdict}: ${ip} is in use by ${heard.join(" and ")}, so it must not configure it` });
+        return false;
+      }
+      s.push({ kind: "NOTE", title: `${missed.join("; ")}: as far as ${d.name} can tell, nobody uses ${ip}` });
+    }
+    s.push({
+      kind: "NOTE",
+      title: v6 ? `No Neighbor Advertisement within ${ARP_RETRANS}s: ${ip} is unique` : `No reply to ${PROBE_NUM} probes: ${ip} is free`,
+      delay: v6 ? ARP_RETRANS : ANNOUNCE_WAIT
+    });
+    if (d.ip !== ip) {
+      s.push({ kind: "CHANGE_IP", deviceId: d.id, ip, title: `${d.name} configures ${ip}` });
+      addr[d.id] = ip;
+    }
+    if (v6) {
+      s.push({ ...makeUnsolicitedAdvert(host(d.id)), from: d.id, ...draw() });
+      claim(d.id, ip, s.at(-1).lost);
+      return true;
+    }
+    // A host that missed the first announcement may hear the second
+    const heard = new Set();
+    for (let k = 1; k <= ANNOUNCE_NUM; k++) {
+      s.push({ ...makeAnnouncement(host(d.id), k), from: d.id, delay: k === 1 ? 0 : ANNOUNCE_INTERVAL, ...draw() });
+      claim(d.id, ip, s.at(-1).lost, heard);
+    }
+    return true;
+  }
+
+  // DHCP client boot (RFC 2131) of host d: Discover and Request are
+  // broadcast from 0.0.0.0, the server's Offer and Ack go straight to d's
+  // MAC. d probes the leased address before using it; if someone answers it
+  // declines the lease and starts over. There is no DHCP relay, so the
+  // server must share d's segment.
+  function dhcp(d) {
+    if (v6) {
+      s.push({ kind: "NOTE", title: `DHCPv6 is not simulated: in IPv6 mode ${d.name} keeps its configured address ${d.ip}` });
+      return;
+    }
+    const found = l2Segment(nodes, links, d.id).find((e) => nodes[e.id].type === "server" && nodes[e.id].pool);
+    const server = found && host(found.id);
+    s.push({
+      kind: "NOTE",
+      title: d.ip === ZEROIP ? `${d.name} boots without an IPv4 address: it asks for one with DHCP` : `${d.name} asks DHCP for a lease`
+    });
+    for (let attempt = 1; attempt <= DHCP_ATTEMPTS; attempt++) {
+      const xid = parseInt(d.mac.replace(/:/g, "").slice(-6), 16) * 256 + attempt;
+      // Retransmissions back off 4s, 8s, ... (RFC 2131 section 4.1)
+      s.push({ ...makeDhcp(1, { client: d, xid }), from: d.id, delay: attempt === 1 ? 0 : 2 ** attempt, ...draw() });
+      const lostDiscover = server && cut(d.id, server.id, undefined, s.at(-1).lost);
+      if (lostDiscover) {
+        s.push({ kind: "NO_REPLY", title: `No DHCP Offer: the Discover never reached ${server.name} (${lostDiscover})` });
+        continue;
+      }
+      const ip = server && leaseFor(server, d.id);
+      if (!ip) {
+        s.push({
+          kind: "NO_REPLY",
+          title: server
+            ? `No DHCP Offer: ${server.name}'s pool ${server.pool.start}-${server.pool.end} has no free address left`
+            : `No DHCP Offer: there is no DHCP server on ${d.name}'s segment (routers do not forward the broadcast without a DHCP relay)`
+        });
+        continue;
+      }
+      const offer = { ip, mask: server.mask, gateway: server.gateway };
+      const opts = { client: d, server, xid, offer };
+      s.push({
+        kind: "TARGET_RECEIVES",
+        title: `${server.name} receives the Discover on UDP port 67 and picks ${ip} from its pool ${server.pool.start}-${server.pool.end}`
+      });
+      // Each message that is lost leaves the client waiting, then it starts over
+      s.push({ ...makeDhcp(2, opts), from: server.id, ...draw() });
+      const lostOffer = cut(server.id, d.id, undefined, s.at(-1).lost);
+      if (lostOffer) {
+        s.push({ kind: "NO_REPLY", title: `${d.name} never gets the Offer (${lostOffer}): it sends a new Discover` });
+        continue;
+      }
+      s.push({ ...makeDhcp(3, opts), from: d.id, ...draw() });
+      const lostRequest = cut(d.id, server.id, undefined, s.at(-1).lost);
+      if (lostRequest) {
+        s.push({ kind: "NO_REPLY", title: `No DHCP Ack: the Request never reached ${server.name} (${lostRequest})` });
+        continue;
+      }
+      s.push({ ...makeDhcp(5, opts), from: server.id, deviceId: d.id, lease: { ...offer, serverId: server.id }, ...draw() });
+      // The server has bound the lease whether or not the Ack arrives
+      leases[d.id] = { ...offer, serverId: server.id };
+      const lostAck = cut(server.id, d.id, undefined, s.at(-1).lost);
+      if (lostAck) {
+        s.push({ kind: "NO_REPLY", title: `${d.name} never gets the Ack (${lostAck}): it cannot use ${ip} and starts over` });
+        continue;
+      }
+      if (probe(host(d.id), ip)) return;
+      // A lost Decline leaves the server holding the lease: it offers the same address again
+      s.push({ ...makeDhcp(4, opts), from: d.id, deviceId: d.id, ...draw() });
+      const lostDecline = cut(d.id, server.id, undefined, s.at(-1).lost);
+      s.at(-1).arrives = !lostDecline;
+      if (lostDecline) {
+        s.push({ kind: "NO_REPLY", title: `The Decline never reached ${server.name} (${lostDecline}): it still holds ${ip} for ${d.name}` });
+        continue;
+      }
+      delete leases[d.id];
+      declined.add(ip);
+    }
+    const left = d.ip === ZEROIP ? "stays without an IPv4 address" : `keeps ${d.ip}`;
+    s.push({ kind: "NOTE", title: `${d.name} gives up after ${DHCP_ATTEMPTS} tries and ${left}` });
+  }
+
+  // The address server offers clientId: the one it already leases it, else
+  // the first in its pool that is neither leased nor declined
+  function leaseFor(server, clientId) {
+    const held = leases[clientId];
+    if (held?.serverId === server.id && !declined.has(held.ip)) return held.ip;
+    const taken = new Set(Object.values(leases).map((l) => l.ip));
+    for (let n = ipToInt(server.pool.start); n <= ipToInt(server.pool.end); n++) {
+      const ip = intToIp(n);
+      if (ip !== server.ip && !taken.has(ip) && !declined.has(ip)) return ip;
+    }
+    return null;
+  }
+
+  // The link of device id on port (its only link when no port is given)
+  const cable = (id, port) => allLinks.find((l) => (l.a === id || l.b === id) && (!port || linkPort(l, id) === port));
+  const end = (l, id) => (linkPort(l, id) ? `${nodes[id].name} ${linkPort(l, id)}` : nodes[id].name);
+
+  // Everything tracked while expanding, so concurrent flows can all start
+  // from the same point
+  const snapshot = () => structuredClone({ addr, caches, learned, leases, declined, faults });
+  function restore(state) {
+    ({ addr, caches, learned, leases, declined, faults } = structuredClone(state));
+    links = activeLinks(allLinks, faults);
+  }
+  // Carry what one flow changed (relative to start) into the current state
+  function overlay(start, end) {
+    const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+    for (const [map, from, to] of [
+      [caches, start.caches, end.caches],
+      [learned, start.learned, end.learned]
+    ]) {
+      for (const id of Object.keys(to)) {
+        for (const ip of new Set([...Object.keys(from[id] ?? {}), ...Object.keys(to[id])])) {
+          if (!changed(from[id]?.[ip], to[id][ip])) continue;
+          if (to[id][ip] === undefined) delete map[id][ip];
+          else map[id][ip] = to[id][ip];
+        }
+      }
+    }
+    for (const [map, from, to] of [
+      [addr, start.addr, end.addr],
+      [leases, start.leases, end.leases]
+    ]) {
+      for (const id of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (!changed(from[id], to[id])) continue;
+        if (to[id] === undefined) delete map[id];
+        else map[id] = to[id];
+      }
+    }
+    end.declined.forEach((ip) => declined.add(ip));
+    if (changed(start.faults, end.faults)) faults = end.faults;
+    links = activeLinks(allLinks, faults);
+  }
+
+  // Play several flows side by side (each builds its steps from the same
+  // starting state, as if the others were not there). Steps that end on the
+  // same second of the shared clock become one GROUP step; every step keeps
+  // its flow number, so the frames it sends can be told apart.
+  function concurrently(builders) {
+    const start = snapshot();
+    const outer = s;
+    const outerT0 = t0;
+    t0 = clock();
+    const ends = [];
+    const flows = builders.map((build) => {
+      restore(start);
+      s = [];
+      build();
+      ends.push(snapshot());
+      return s;
+    });
+    s = outer;
+    t0 = outerT0;
+    restore(start);
+    ends.forEach((end) => overlay(start, end));
+    if (flows.filter((f) => f.length).length <= 1) {
+      s.push(...flows.flat());
+      return;
+    }
+    const due = flows
+      .flatMap((flow, f) => {
+        let t = 0;
+        return flow.map((st) => ({ st: { ...st, flow: f }, end: (t += stepSeconds(st)) }));
+      })
+      .sort((a, b) => a.end - b.end || a.st.flow - b.st.flow);
+    let prev = 0;
+    for (let k = 0; k < due.length; ) {
+      const end = due[k].end;
+      const slot = [];
+      while (k < due.length && due[k].end === end) slot.push(due[k++].st);
+      if (slot.length === 1 && stepSeconds(slot[0]) === end - prev) s.push(slot[0]);
+      else s.push({ kind: "GROUP", seconds: end - prev, steps: slot, title: slot.map((st) => st.title).join(" | ") });
+      prev = end;
+    }
+  }
+
+  // Expand one action into steps
+  function act(action) {
+    if (action.type === "together") {
+      concurrently(action.actions.map((a) => () => act(a)));
+      return;
+    }
+
+    if (action.type === "send") {
+      const sender = host(ref(action.from ?? "sender"));
+      const target = action.ip ? hostAt(family(action.ip)) : host(ref(action.to ?? "target"));
+      const unset = [sender, target].find((h) => h.ip === ZEROIP);
+      if (unset) {
+        s.push({ kind: "NOTE", title: `${unset.name} has no IPv4 address yet: it is a DHCP client without a lease` });
+        return;
+      }
+      if (faults.off.includes(sender.id)) {
+        s.push({ kind: "NOTE", title: `${sender.name} is powered off: it cannot send anything` });
+        return;
+      }
+      const seq = action.seq ?? 1;
+      const arrived = deliver(sender.id, echo(sender, target, false, seq));
+      if (arrived) deliver(target.id, echo(target, sender, true, seq));
+    }
+
+    if (action.type === "spoof") {
+      const attacker = nodes[ref("attacker")];
+      const victim = host(ref(action.victim));
+      const claimed = host(ref(action.as));
+      if (!attacker || attacker.id === victim.id || attacker.id === claimed.id) {
+        s.push({ kind: "NOTE", title: "Pick an attacker that is neither the sender nor the target." });
+        return;
+      }
+      const forged = { ip: claimed.ip, mac: attacker.mac };
+      const frame = v6 ? makeAdvertisement(forged, victim, { solicited: false }).frame : makeReply(forged, victim).frame;
+      s.push({
+        kind: "ARP_SPOOF",
+        from: attacker.id,
+        frame,
+        title: v6
+          ? `Forged Neighbor Advertisement from ${attacker.name}: ${claimed.ip} is at ${attacker.mac} (unsolicited, Override set, to ${victim.name})`
+          : `Forged ARP Reply from ${attacker.name}: ${claimed.ip} is at ${attacker.mac} (unsolicited, to ${victim.name})`,
+        ...draw()
+      });
+      const lost = cut(attacker.id, victim.id, undefined, s.at(-1).lost);
+
+      const firstHop = nodes[neighbours(links, attacker.id)[0]];
+      const bindings = dhcpBindings(nodes, links, leases);
+      const dai = defenses.dai && firstHop?.type === "switch" && frame.arp ? daiCheck(frame.arp, bindings) : { ok: true };
+      if (defenses.dai && v6) {
+        s.push({ kind: "NOTE", title: `Dynamic ARP Inspection only looks at ARP: the forged advertisement passes ${firstHop?.id ?? "the LAN"} (IPv6 needs ND inspection)` });
+      }
+      if (!dai.ok) {
+        s.push({ kind: "SPOOF_BLOCKED", title: `Dynamic ARP Inspection on ${firstHop.id} drops the forged reply: ${dai.reason}` });
+      } else if (!l2Segment(nodes, links, attacker.id).some((e) => e.id === victim.id)) {
+        s.push({ kind: "SPOOF_BLOCKED", title: `${victim.name} is outside ${attacker.name}'s broadcast domain (another VLAN): the forged frame never reaches it` });
+      } else if (lost) {
+        s.push({ kind: "FRAME_LOST", title: `The forged frame never reaches ${victim.name}: ${lost}` });
+      } else if (statics[victim.id]?.[claimed.ip]) {
+        s.push({ kind: "SPOOF_BLOCKED", title: `${victim.name} keeps its static entry ${claimed.ip} -> ${statics[victim.id][claimed.ip]}` });
+      } else {
+        s.push({
+          kind: "CACHE_POISON",
+          title: `${victim.name} overwrites its ${cacheName}: ${claimed.ip} -> ${attacker.mac} (poisoned!)`,
+          entries: [{ deviceId: victim.id, ip: claimed.ip, mac: attacker.mac }]
+        });
+        learn(victim.id, claimed.ip, attacker.mac);
+      }
+    }
+
+    if (action.type === "probe") {
+      const d = host(ref(action.device));
+      probe(d, action.ipOf ? host(ref(action.ipOf)).ip : family(action.ip));
+    }
+
+    if (action.type === "dhcp") dhcp(host(ref(action.device)));
+
+    if (action.type === "gratuitous") {
+      const d = host(ref(action.device));
+      const ip = action.ipOf ? host(ref(action.ipOf)).ip : family(action.ip ?? d.ip);
+      if (d.ip !== ip) {
+        s.push({ kind: "CHANGE_IP", deviceId: d.id, ip, title: `${d.name} is configured with ${ip} without probing first` });
+        addr[d.id] = ip;
+      }
+      s.push({ ...(v6 ? makeUnsolicitedAdvert(host(d.id)) : makeGratuitous(host(d.id))), from: d.id, ...draw() });
+      claim(d.id, ip, s.at(-1).lost);
+    }
+
+    if (action.type === "wait") {
+      s.push({ kind: "WAIT", seconds: action.seconds, title: `Network is idle for ${action.seconds}s` });
+    }
+
+    if (action.type === "flush") {
+      const d = host(ref(action.device));
+      s.push({ kind: "FLUSH_CACHE", deviceId: d.id, title: `${d.name} flushes its ${cacheName}` });
+      caches[d.id] = { ...statics[d.id] };
+      learned[d.id] = {};
+    }
+
+    if (action.type === "changeIp") {
+      const d = host(ref(action.device));
+      const ip = family(action.ip);
+      s.push({ kind: "CHANGE_IP", deviceId: d.id, ip, title: `${d.name} changes IP ${d.ip} -> ${ip}` });
+      addr[d.id] = ip;
+    }
+
+    if (action.type === "unplug" || action.type === "plug") {
+      const d = nodes[ref(action.device)];
+      const l = cable(d.id, action.port);
+      const down = action.type === "unplug";
+      if (!l) {
+        s.push({ kind: "NOTE", title: `${d.name} has no link${action.port ? ` on ${action.port}` : ""} to ${action.type}` });
+        return;
+      }
+      const key = linkKey(l);
+      if (faults.down.includes(key) === down) {
+        s.push({ kind: "NOTE", title: `The ${key} link is already ${down ? "unplugged" : "plugged in"}` });
+        return;
+      }
+      s.push({
+        kind: down ? "LINK_DOWN" : "LINK_UP",
+        link: key,
+        title: down
+          ? `The cable between ${end(l, l.a)} and ${end(l, l.b)} is unplugged: the ${key} link goes down`
+          : `The cable between ${end(l, l.a)} and ${end(l, l.b)} is plugged back in: the ${key} link comes up`
+      });
+      faults.down = down ? [...faults.down, key] : faults.down.filter((k) => k !== key);
+      links = activeLinks(allLinks, faults);
+    }
+
+    if (action.type === "powerOff" || action.type === "powerOn") {
+      const d = nodes[ref(action.device)];
+      const off = action.type === "powerOff";
+      if (faults.off.includes(d.id) === off) {
+        s.push({ kind: "NOTE", title: `${d.name} is already powered ${off ? "off" : "on"}` });
+        return;
+      }
+      const memory = d.type === "switch" ? "MAC table" : cacheName;
+      s.push({
+        kind: off ? "POWER_OFF" : "POWER_ON",
+        deviceId: d.id,
+        title: off
+          ? `${d.name} is powered off: its links go dark and its ${memory} is lost`
+          : `${d.name} is powered on again with an empty ${memory}`
+      });
+      faults.off = off ? [...faults.off, d.id] : faults.off.filter((id) => id !== d.id);
+      links = activeLinks(allLinks, faults);
+      if (caches[d.id]) {
+        caches[d.id] = { ...statics[d.id] };
+        learned[d.id] = {};
+      }
+    }
+
+    if (action.type === "craft") {
+      const d = host(ref(action.device));
+      if (v6) {
+        s.push({ kind: "NOTE", title: `${d.name}'s hand-made ARP frame is skipped: in IPv6 mode hosts resolve neighbors with ND, not ARP` });
+        return;
+      }
+      if (faults.off.includes(d.id)) {
+        s.push({ kind: "NOTE", title: `${d.name} is powered off: it cannot send anything` });
+        return;
+      }
+      const frame = { eth: { ...action.frame.eth, type: 0x0806 }, arp: { ...action.frame.arp } };
+      const step = { kind: "ARP_CRAFTED", from: d.id, frame, title: `${d.name} sends a hand-made ARP frame: ${arpInfo(frame)}`, ...draw() };
+      s.push(step);
+      const firstHop = nodes[neighbours(links, d.id)[0]];
+      const dai = defenses.dai && firstHop?.type === "switch" ? daiCheck(frame.arp, dhcpBindings(nodes, links, leases)) : { ok: true };
+      if (dai.ok) receiveCrafted(step);
+      else step.receivers = [];
+    }
+  }
+
+  // Every NIC a hand-made ARP frame reaches runs the RFC 826 checks on it:
+  // their verdicts ride on the frame's step, then come the cache merges and
+  // any replies, which are received the same way
+  function receiveCrafted(step) {
+    const { frame, from } = step;
+    const segment = l2Segment(nodes, links, from, step.egress).filter((e) => !cut(from, e.id, step.egress, step.lost));
+    const nic = (e) => (nodes[e.id].type === "router" ? nodes[e.id].interfaces.find((i) => i.name === e.port) : host(e.id));
+    const heard = segment
+      .map((e) => ({ e, self: nic(e) }))
+      .filter(({ self }) => self && (frame.eth.dst === BROADCAST || frame.eth.dst === self.mac));
+    step.receivers = heard.map(({ e, self }) => {
+      const cached = caches[e.id][frame.arp.spa];
+      const entry = cached ? { mac: cached, permanent: learned[e.id][frame.arp.spa] === undefined } : undefined;
+      return { deviceId: e.id, port: e.port, self, ...receiveArp(self, frame, entry, step.asker === e.id) };
+    });
+    const learns = step.receivers.filter((r) => r.learn && caches[r.deviceId][frame.arp.spa] !== r.learn);
+    if (learns.length) {
+      s.push({
+        kind: "CACHE_UPDATE",
+        title: `${learns.map((r) => nodes[r.deviceId].name).join(", ")} ${learns.length > 1 ? "update their" : "updates its"} ${cacheName}: ${
+          frame.arp.spa
+        } -> ${frame.arp.sha}`,
+        entries: learns.map((r) => ({ deviceId: r.deviceId, ip: frame.arp.spa, mac: r.learn }))
+      });
+      learns.forEach((r) => learn(r.deviceId, frame.arp.spa, r.learn));
+    }
+    for (const r of step.receivers.filter((v) => v.reply)) {
+      const reply = makeReply(r.self, { ip: frame.arp.spa, mac: frame.arp.sha });
+      const back = { ...reply, from: r.deviceId, egress: r.port ?? undefined, asker: from, ...draw() };
+      s.push(back);
+      receiveCrafted(back);
+    }
+  }
+
+  // Redundant links between switches: with STP on, the bridges trade BPDUs
+  // and block a port before any host traffic. First every bridge claims to
+  // be root; then the root's BPDU spreads, relayed out designated ports one
+  // bridge further per round.
+  function converge() {
+    const tree = spanningTree(nodes, links);
+    const blocked = blockedPorts(tree);
+    if (defenses.stp === false || !blocked.length) return;
+    const switches = Object.values(nodes).filter((n) => n.type === "switch");
+    const trunkPorts = (id) =>
+      links.filter((l) => (l.a === id || l.b === id) && nodes[l.a].type === "switch" && nodes[l.b].type === "switch").map((l) => linkPort(l, id));
+    const trunk = (id, port) => links.find((l) => (l.a === id || l.b === id) && linkPort(l, id) === port);
+    const bpdu = (sw, port, root, cost) => ({ sw, port, root, cost });
+    // One round of BPDUs sent side by side. One lost on its link is sent
+    // again at the next hello; the bridge at the far end waits until it hears one.
+    const round = (bpdus) => {
+      for (let k = 0; bpdus.length && k <= STP_RESENDS; k++) {
+        const missed = [];
+        concurrently(
+          bpdus.map((b) => () => {
+            s.push({ ...makeBpdu(b.sw, b.port, b.root, b.cost), from: b.sw.id, egress: b.port, ...draw() });
+            if (s.at(-1).lost?.includes(linkKey(trunk(b.sw.id, b.port)))) missed.push(b);
+          })
+        );
+        bpdus = missed;
+        const which = `${missed.length > 1 ? "BPDUs" : "BPDU"} from ${missed.map((b) => `${b.sw.name} ${b.port}`).join(", ")}`;
+        if (missed.length && k < STP_RESENDS) {
+          const again = missed.length > 1 ? "are lost: they go" : "is lost: it goes";
+          s.push({ kind: "NOTE", title: `The ${which} ${again} out again after the ${STP_HELLO}s hello time`, delay: STP_HELLO });
+        } else if (missed.length) {
+          s.push({
+            kind: "NOTE",
+            title: `The ${which} never ${missed.length > 1 ? "get" : "gets"} through: the simulator keeps the tree the wiring gives, but a real bridge that stops hearing BPDUs on a blocked port unblocks it after max age (20s)`
+          });
+        }
+      }
+    };
+    s.push({ kind: "NOTE", title: "The switches are wired in a loop: STP has to break it before anything is flooded" });
+    round(switches.flatMap((sw) => trunkPorts(sw.id).map((port) => bpdu(sw, port, bridgeId(sw), 0))));
+    const costs = [...new Set(Object.values(tree.bridges).map((b) => b.cost))].sort((a, b) => a - b);
+    for (const cost of costs) {
+      const senders = switches.filter((sw) => tree.bridges[sw.id].cost === cost);
+      const relays = senders.flatMap((sw) =>
+        trunkPorts(sw.id)
+          .filter((port) => tree.roles[sw.id][port] === "designated")
+          .map((port) => bpdu(sw, port, tree.bridges[sw.id].root, cost))
+      );
+      if (relays.length) round(relays);
+    }
+    const roots = switches.filter((sw) => tree.bridges[sw.id].root.mac === sw.mac && trunkPorts(sw.id).length);
+    s.push({
+      kind: "STP_CONVERGED",
+      delay: 2 * STP_FORWARD_DELAY,
+      title: `STP converged: ${roots.map((sw) => sw.name).join(" and ")} ${roots.length > 1 ? "are root bridges" : "is the root bridge"}, ${blocked
+        .map(([id, port]) => `${id} ${port}`)
+        .join(", ")} blocking`
+    });
+  }
+  if (!live) converge();
+
+  const starts = []; // [first step, action index]
+  for (const [index, action] of scenario.actions.entries()) {
+    starts.push([s.length, index]);
+    act(action);
+  }
+  starts.forEach(([from, index], k) => {
+    for (let i = from; i < (starts[k + 1]?.[0] ?? s.length); i++) s[i].action = index;
+  });
+  return s;
+}
+
+// ICMP echo request (type 8) or reply (type 0) in an IPv4 packet, still
+// without its Ethernet header: the sender adds that once ARP has the MAC
+export function makeEcho(srcIp, dstIp, { type = 8, seq = 1, ttl = 64 } = {}) {
+  return {
+    ipv4: { src: srcIp, dst: dstIp, ttl, proto: 1, id: seq },
+    icmp: { type, code: 0, id: 1, seq }
+  };
+}
+
+// ICMPv6 echo request (type 128) or reply (type 129) in an IPv6 packet
+export function makeEcho6(srcIp, dstIp, { type = 128, seq = 1, hopLimit = 64 } = {}) {
+  return {
+    ipv6: { src: srcIp, dst: dstIp, hopLimit, next: 58 },
+    icmpv6: { type, code: 0, id: 1, seq }
+  };
+}
+
+// The IP header of a packet, whichever version it is
+function l3(packet) {
+  return packet.ipv4 ?? packet.ipv6;
+}
+
+// A router's copy of packet: TTL (hop limit) one lower
+function forwarded(packet) {
+  if (packet.ipv4) return { ...packet, ipv4: { ...packet.ipv4, ttl: packet.ipv4.ttl - 1 } };
+  return { ...packet, ipv6: { ...packet.ipv6, hopLimit: packet.ipv6.hopLimit - 1 } };
+}
+
+function onWire(packet, srcMac, dstMac) {
+  return { eth: { dst: dstMac, src: srcMac, type: packet.ipv6 ? 0x86dd : 0x0800 }, ...packet };
+}
+
+function packetName(packet) {
+  if (packet.icmp?.type === 8) return "ICMP echo request";
+  if (packet.icmp?.type === 0) return "ICMP echo reply";
+  if (packet.icmpv6?.type === 128) return "ICMPv6 echo request";
+  if (packet.icmpv6?.type === 129) return "ICMPv6 echo reply";
+  return packet.ipv6 ? "IPv6 packet" : "IPv4 packet";
+}
+
+// DHCP-snooping style binding table: every host port on a switch is bound to
+// the IP/MAC of the host behind it. Ports towards switches/routers are trusted.
+// DHCP clients are only bound once an Ack has leased them an address.
+export function dhcpBindings(nodes, links, leases = {}) {
+  const out = {};
+  for (const l of links) {
+    for (const [sw, host] of [
+      [l.a, l.b],
+      [l.b, l.a]
+    ]) {
+      if (nodes[sw].type !== "switch" || !isHost(nodes[host])) continue;
+      const ip = nodes[host].dhcp ? leases[host]?.ip : nodes[host].ip;
+      if (ip) out[ip] = { mac: nodes[host].mac, switchId: sw, port: linkPort(l, sw) };
+    }
+  }
+  return out;
+}
+
+// Dynamic ARP Inspection on an untrusted port: the sender's IP/MAC pair must
+// match the binding table
+function daiCheck(arp, bindings) {
+  if (arp.spa === ZEROIP) return { ok: true }; // probes carry no address to validate
+  const b = bindings[arp.spa];
+  if (!b) return { ok: false, reason: `no binding for ${arp.spa}` };
+  if (b.mac !== arp.sha) return { ok: false, reason: `${arp.spa} is bound to ${b.mac}, not ${arp.sha}` };
+  return { ok: true };
+}
+
+// Static entries installed by the admin on sender and target for each
+// other's next hop (the peer itself, or the default gateway off-subnet)
+function staticEntries(scenario, nodes, links) {
+  const out = {};
+  const pairs = [
+    [scenario.senderId, scenario.targetId],
+    [scenario.targetId, scenario.senderId]
+  ];
+  for (const [id, peerId] of pairs) {
+    const self = nodes[id];
+    const peer = nodes[peerId];
+    const nextHop = !self.mask || sameSubnet(self.ip, peer.ip, self.mask) ? peer.ip : self.gateway;
+    if (!nextHop) continue;
+    const addr = Object.fromEntries(Object.values(nodes).filter((n) => n.ip).map((n) => [n.id, n.ip]));
+    const responder = findResponder(nodes, links, addr, id, nextHop);
+    if (responder) out[id] = { ...out[id], [nextHop]: responder.mac };
+  }
+  return out;
+}
+
+// arpwatch-style checks on one observed IP/MAC pair: a changed mapping or
+// one MAC now answering for several IPs are the fingerprints of ARP spoofing
+function arpAlerts(cache, ip, mac) {
+  const alerts = [];
+  if (cache[ip] && cache[ip] !== mac) alerts.push(`${ip} changed from ${cache[ip]} to ${mac}`);
+  const others = Object.entries(cache)
+    .filter(([other, m]) => other !== ip && m === mac)
+    .map(([other]) => other);
+  if (others.length) alerts.push(`duplicate MAC ${mac} is now claimed by ${[ip, ...others].join(" and ")}`);
+  return alerts;
+}
+
+// RFC 5227 ARP Probe: "is anybody using ip?" asked without claiming an address
+export function makeProbe(host, ip, n) {
+  return {
+    kind: "ARP_PROBE",
+    title: `ARP Probe ${n}/${PROBE_NUM} (broadcast): Is ${ip} in use? (SPA 0.0.0.0)`,
+    frame: {
+      variant: "probe",
+      eth: { dst: BROADCAST, src: host.mac, type: 0x0806 },
+      arp: { htype: 1, ptype: 0x0800, hlen: 6, plen: 4, opcode: 1, sha: host.mac, spa: ZEROIP, tha: ZEROMAC, tpa: ip }
+    }
+  };
+}
+
+// RFC 5227 ARP Announcement: SPA = TPA = the address just claimed
+export function makeAnnouncement(host, n) {
+  return {
+    kind: "ARP_ANNOUNCE",
+    title: `ARP Announcement ${n}/${ANNOUNCE_NUM} (broadcast): ${host.ip} is at ${host.mac}`,
+    frame: {
+      variant: "announcement",
+      eth: { dst: BROADCAST, src: host.mac, type: 0x0806 },
+      arp: { htype: 1, ptype: 0x0800, hlen: 6, plen: 4, opcode: 1, sha: host.mac, spa: host.ip, tha: ZEROMAC, tpa: host.ip }
+    }
+  };
+}
+
+// Gratuitous ARP: same fields as an announcement, but sent unprompted (boot,
+// IP change, failover) without probing first
+export function makeGratuitous(host) {
+  return {
+    kind: "ARP_GRATUITOUS",
+    title: `Gratuitous ARP (broadcast): ${host.ip} is at ${host.mac}`,
+    frame: {
+      variant: "gratuitous",
+      eth: { dst: BROADCAST, src: host.mac, type: 0x0806 },
+      arp: { htype: 1, ptype: 0x0800, hlen: 6, plen: 4, opcode: 1, sha: host.mac, spa: host.ip, tha: ZEROMAC, tpa: host.ip }
+    }
+  };
+}
+
+// RFC 4862 Duplicate Address Detection: a Neighbor Solicitation for the
+// tentative address, from :: because the host may not use it yet
+export function makeDad(host, ip) {
+  const group = solicitedNode(ip);
+  return {
+    kind: "ND_DAD",
+    title: `DAD Neighbor Solicitation (multicast to ${group}): Is ${ip} in use? (src ::)`,
+    frame: {
+      eth: { dst: multicastMac(group), src: host.mac, type: 0x86dd },
+      ipv6: { src: "::", dst: group, hopLimit: 255, next: 58 },
+      icmpv6: { type: 135, code: 0, target: ip }
+    }
+  };
+}
+
+// Unsolicited Neighbor Advertisement to all nodes: the IPv6 gratuitous ARP
+export function makeUnsolicitedAdvert(host) {
+  const { frame } = makeAdvertisement(host, { ip: ALL_NODES, mac: ALL_NODES_MAC }, { solicited: false });
+  return { kind: "ND_UNSOLICITED", title: `Unsolicited Neighbor Advertisement (multicast to ${ALL_NODES}): ${host.ip} is at ${host.mac}`, frame };
+}
+
+// One DHCP message (RFC 2131) from client or server, in UDP 68 <-> 67. The
+// client has no address until the Ack, so it sends from 0.0.0.0 to the
+// limited broadcast; the server answers the client's MAC (chaddr) directly.
+// offer = { ip, mask, gateway } for OFFER/ACK (and the address a REQUEST
+// or DECLINE is about).
+const DHCP_KINDS = { 1: "DHCP_DISCOVER", 2: "DHCP_OFFER", 3: "DHCP_REQUEST", 4: "DHCP_DECLINE", 5: "DHCP_ACK" };
+
+export function makeDhcp(type, { client, server, xid, offer }) {
+  const fromServer = type === 2 || type === 5;
+  const options = {};
+  if (type === 3 || type === 4) Object.assign(options, { requestedIp: offer.ip, serverId: server.ip });
+  if (fromServer) {
+    Object.assign(options, { serverId: server.ip, lease: DHCP_LEASE, mask: offer.mask });
+    if (offer.gateway) options.router = offer.gateway;
+  }
+  const titles = {
+    1: `DHCP Discover (broadcast): ${client.name} (${client.mac}) needs an address`,
+    2: `DHCP Offer (unicast to ${client.mac}): ${server?.name} offers ${offer?.ip}`,
+    3: `DHCP Request (broadcast): ${client.name} asks ${server?.name} for ${offer?.ip}`,
+    4: `DHCP Decline (broadcast): ${client.name} tells ${server?.name} that ${offer?.ip} is already in use`,
+    5: `DHCP Ack (unicast to ${client.mac}): ${offer?.ip} is leased to ${client.name} for ${DHCP_LEASE}s`
+  };
+  return {
+    kind: DHCP_KINDS[type],
+    title: titles[type],
+    frame: {
+      eth: fromServer ? { dst: client.mac, src: server.mac, type: 0x0800 } : { dst: BROADCAST, src: client.mac, type: 0x0800 },
+      ipv4: fromServer
+        ? { src: server.ip, dst: offer.ip, ttl: INITIAL_TTL[server.type], proto: 17, id: 0 }
+        : { src: ZEROIP, dst: "255.255.255.255", ttl: INITIAL_TTL[client.type], proto: 17, id: 0 },
+      udp: fromServer ? { srcPort: 67, dstPort: 68 } : { srcPort: 68, dstPort: 67 },
+      dhcp: {
+        op: fromServer ? 2 : 1,
+        type,
+        xid,
+        ciaddr: ZEROIP,
+        yiaddr: fromServer ? offer.ip : ZEROIP,
+        siaddr: fromServer ? server.ip : ZEROIP,
+        chaddr: client.mac,
+        options
+      }
+    }
+  };
+}
+
+// Name a DHCP message and explain how it is addressed; null for anything else
+export function describeDhcp(frame) {
+  const { dhcp, ipv4 } = frame;
+  if (!dhcp) return null;
+  const notes = {
+    1: [
+      "The client has no address yet: IP source 0.0.0.0, destination the limited broadcast 255.255.255.255, Ethernet broadcast.",
+      "Every host on the segment receives it; only DHCP servers (UDP port 67) answer. Routers do not forward it unless they run a DHCP relay."
+    ],
+    2: [
+      `yiaddr ${dhcp.yiaddr} is the address on offer; the options carry the mask, the router and the lease time.`,
+      `Unicast to chaddr ${dhcp.chaddr}: the server takes the MAC from the Discover, so it needs no ARP to answer.`
+    ],
+    3: [
+      `Still from 0.0.0.0 and broadcast: option 54 names the server the client picked, so any other server that made an offer takes it back.`,
+      `Option 50 asks for ${dhcp.options.requestedIp}.`
+    ],
+    4: [
+      `The client found ${dhcp.options.requestedIp} in use (its ARP probe was answered) and hands it back.`,
+      "The server marks the address bad and the client starts over with a new Discover."
+    ],
+    5: [
+      `The lease is confirmed: ${dhcp.yiaddr} for ${dhcp.options.lease}s. Switches doing DHCP snooping bind it to ${dhcp.chaddr} on the client's port.`,
+      `Before using it the client probes ${dhcp.yiaddr} with ARP (RFC 2131 section 4.4.1), then announces it.`
+    ]
+  }[dhcp.type];
+  return { name: `DHCP ${DHCP_TYPES[dhcp.type][0]}${DHCP_TYPES[dhcp.type].slice(1).toLowerCase()} (${ipv4.src} -> ${ipv4.dst})`, notes };
+}
+
+// Name an ARP frame and explain how its fields differ from a plain request
+export function describeArp(frame) {
+  const { arp } = frame;
+  const faults = arpHeaderFaults(arp);
+  if (arp.opcode !== 1 && arp.opcode !== 2) faults.push(`opcode ${arp.opcode} is neither request (1) nor reply (2)`);
+  if (faults.length) return { name: "Malformed ARP frame", notes: [...faults, ...arpOddities(frame)] };
+  const kind = arpKind(frame);
+  return { ...kind, notes: [...kind.notes, ...arpOddities(frame)] };
+}
+
+function arpKind(frame) {
+  const { arp, eth } = frame;
+  if (frame.variant === "probe" || (arp.opcode === 1 && arp.spa === ZEROIP)) {
+    return {
+      name: "ARP Probe (RFC 5227)",
+      notes: [
+        "SPA is 0.0.0.0: the sender has no address yet, so nobody can cache it from this frame.",
+        "TPA is the address being tested, THA stays zero like a normal request.",
+        `Sent ${PROBE_NUM} times, 1-${PROBE_MAX}s apart. Any reply (or a probe from someone else for the same TPA) means the address is taken.`
+      ]
+    };
+  }
+  if (arp.spa === arp.tpa) {
+    const announcement = frame.variant === "announcement";
+    return {
+      name: announcement ? "ARP Announcement (RFC 5227)" : "Gratuitous ARP",
+      notes: [
+        "SPA = TPA = the sender's own address: it asks about itself, so no reply is expected.",
+        "Hosts that already cache SPA overwrite the entry with SHA; others add nothing (RFC 826 merge rule).",
+        announcement
+          ? `Sent ${ANNOUNCE_NUM} times, ${ANNOUNCE_INTERVAL}s apart, once probing found the address free.`
+          : "Sent unprompted (boot, IP change, failover). A host that owns SPA itself now knows there is a conflict."
+      ]
+    };
+  }
+  if (arp.opcode === 2 && arp.tpa === ZEROIP) {
+    return {
+      name: "ARP Reply to a probe",
+      notes: ["TPA is 0.0.0.0 because the prober has no address yet; THA/eth dst still reach it by MAC.", "For the prober this means: conflict, do not use the address."]
+    };
+  }
+  if (arp.opcode === 2) {
+    return {
+      name: "ARP Reply",
+      notes: [`Unicast to ${eth.dst}: SHA/SPA carry the answer, THA/TPA echo the asker.`]
+    };
+  }
+  return {
+    name: "ARP Request",
+    notes: ["SHA/SPA identify the asker, TPA is the address to resolve, THA is unknown (zero) and the frame is broadcast."]
+  };
+}
+
+// The same for Neighbor Discovery frames, compared with their ARP
+// counterparts; null for anything else
+export function describeNd(frame) {
+  const { eth, ipv6, icmpv6 } = frame;
+  if (icmpv6?.type === 135 && ipv6.src === "::") {
+    return {
+      name: "DAD Neighbor Solicitation (RFC 4862)",
+      notes: [
+        "Source :: because the address is still tentative; there is no source link-layer option, so nobody caches anything.",
+        `Sent to ${ipv6.dst}, the solicited-node group of the address being tested: only a host already using it is listening.`,
+        "Any Neighbor Advertisement for the target means the address is a duplicate. The IPv6 counterpart of an ARP Probe."
+      ]
+    };
+  }
+  if (icmpv6?.type === 135) {
+    return {
+      name: "Neighbor Solicitation",
+      notes: [
+        `Sent to ${ipv6.dst}, the solicited-node group of ${icmpv6.target} (ff02::1:ff + its last 24 bits), as Ethernet multicast ${eth.dst}.`,
+        "An ARP request is broadcast, so every host on the LAN has to look at it; here only NICs that joined the group pass it up.",
+        "A switch without MLD snooping still floods it out every port: the filtering happens in the NICs.",
+        "The source link-layer option carries the asker's MAC (ARP's SHA), so the target can answer right away."
+      ]
+    };
+  }
+  if (icmpv6?.type !== 136) return null;
+  const { router, solicited, override } = icmpv6.flags;
+  if (!solicited) {
+    return {
+      name: ipv6.dst === ALL_NODES ? "Unsolicited Neighbor Advertisement (all nodes)" : "Unsolicited Neighbor Advertisement",
+      notes: [
+        "Solicited flag clear: nobody asked. The IPv6 counterpart of gratuitous ARP.",
+        override
+          ? "Override flag set: hosts that cache the target replace its MAC with the one in the target link-layer option."
+          : "Override flag clear: cached MACs stay as they are.",
+        "Hosts without an entry for the target do not create one (RFC 4861 section 7.2.5)."
+      ]
+    };
+  }
+  return {
+    name: "Neighbor Advertisement",
+    notes: [
+      `Unicast to ${eth.dst}: the target link-layer option carries the answer, like SHA in an ARP reply.`,
+      `Solicited flag set: it answers a solicitation, so the asker can mark ${icmpv6.target} REACHABLE.`,
+      override ? "Override flag set: it replaces whatever MAC the asker had cached." : "Override flag clear (proxy): an answer from the owner itself wins.",
+      router ? "Router flag set: the sender is a router." : "Router flag clear: the sender is a host."
+    ]
+  };
+}
+
+// The same for BPDUs; null for anything else
+export function describeStp(frame) {
+  const { stp } = frame;
+  if (!stp) return null;
+  const self = stp.root.mac === stp.bridge.mac;
+  return {
+    name: "STP Configuration BPDU",
+    notes: [
+      `Sent to ${STP_GROUP_MAC}, the bridge group address: the next switch takes it in and never floods it.`,
+      self
+        ? "Root ID = Bridge ID: the sender claims to be root until it hears of a lower bridge ID (priority, then MAC)."
+        : `The sender relays the root's BPDU with its own cost to the root (${stp.cost}, ${STP_PORT_COST} per 100 Mb/s link).`,
+      "A port that hears a better BPDU than it would send, and is not its bridge's way to the root, blocks: that breaks the loop."
+    ]
+  };
+}
+
+// ---- Crafted ARP frames ----
+// Hand-made ARP frames from the frame editor, and what a NIC that receives
+// one does with it. The checks run in RFC 826's order: hardware type and
+// length, protocol type and length, the merge rule, "am I the target?",
+// and only then the opcode.
+
+// Header fields a receiver cannot get past
+export function arpHeaderFaults(arp) {
+  const faults = [];
+  if (arp.htype !== 1) faults.push(`htype ${arp.htype} is not Ethernet (1): the receiver has no such hardware`);
+  if (arp.hlen !== 6) faults.push(`hlen ${arp.hlen} is not the 6 bytes of a MAC address: SHA and THA cannot be read`);
+  if (arp.ptype !== 0x0800) faults.push(`ptype ${hex16(arp.ptype)} is not IPv4 (0x0800): the receiver does not speak that protocol`);
+  if (arp.plen !== 4) faults.push(`plen ${arp.plen} is not the 4 bytes of an IPv4 address: SPA and TPA cannot be read`);
+  return faults;
+}
+
+// Fields that disagree without breaking the frame; receivers shrug them off
+export function arpOddities(frame) {
+  const { eth, arp } = frame;
+  const odd = [];
+  if (eth.src !== arp.sha) odd.push(`Ethernet src ${eth.src} is not SHA ${arp.sha}: switches learn the one, ARP caches the other.`);
+  if (arp.opcode === 1 && eth.dst !== BROADCAST) {
+    odd.push(`A request sent unicast to ${eth.dst}: only that NIC sees it (hosts do this to recheck a STALE entry).`);
+  }
+  if (arp.opcode === 2 && eth.dst === BROADCAST) odd.push("A broadcast reply: every host reads it, and those caching SPA merge it.");
+  if (eth.dst !== BROADCAST && arp.tha !== ZEROMAC && eth.dst !== arp.tha) {
+    odd.push(`Ethernet dst ${eth.dst} is not THA ${arp.tha}: the Ethernet header alone decides who gets the frame, nobody checks THA.`);
+  }
+  return odd;
+}
+
+// What the NIC self ({ ip, mac }) does with an ARP frame, given its cache
+// entry for SPA ({ mac, permanent } or undefined) and whether it asked for
+// SPA itself.
+// Returns { verdict: "drop" | "ignore" | "accept", reason, learn, reply }:
+// learn is the MAC to cache for SPA (or null), reply whether it answers.
+export function receiveArp(self, frame, entry, asked = false) {
+  const { eth, arp } = frame;
+  const result = (verdict, reason, more = {}) => ({ verdict, reason, learn: null, reply: false, ...more });
+  if (eth.dst !== BROADCAST && eth.dst !== self.mac) {
+    return result("drop", `Ethernet dst ${eth.dst} is not its MAC, so the NIC filters the frame before ARP sees it`);
+  }
+  const faults = arpHeaderFaults(arp);
+  if (faults.length) return result("drop", faults[0]);
+  if (isMulticastMac(arp.sha)) return result("drop", `SHA ${arp.sha} is a group address that no NIC can own`);
+  if (arp.sha === self.mac) return result("ignore", "SHA is its own MAC: the frame is its own, or someone is forging it");
+  const mine = arp.tpa === self.ip;
+  if (arp.spa === ZEROIP) {
+    if (mine && arp.opcode === 1) return result("accept", "a probe for its own address: it replies to defend it", { reply: true });
+    return result("ignore", "SPA 0.0.0.0 (a probe): there is nothing to cache");
+  }
+  const kept = entry?.permanent ? ` (its static entry ${arp.spa} -> ${entry.mac} stays)` : "";
+  const learn = entry?.permanent ? null : arp.sha;
+  if (!mine) {
+    if (entry) return result("accept", `TPA ${arp.tpa} is not its address, but it caches SPA, so it merges the new SHA${kept}`, { learn });
+    return result("ignore", `TPA ${arp.tpa} is not its address and it does not cache ${arp.spa}: nothing to do`);
+  }
+  if (arp.opcode === 1) {
+    return result("accept", `TPA is its address: it caches ${arp.spa} -> ${arp.sha}${kept} and replies to SHA`, { learn, reply: true });
+  }
+  if (arp.opcode === 2) {
+    const why = asked
+      ? `the answer to its request, ${arp.spa} -> ${arp.sha} is cached${kept}`
+      : entry
+        ? `it refreshes ${arp.spa}${kept}`
+        : "nobody asked, but ARP keeps no record of requests, so it is cached anyway";
+    return result("accept", `a reply to its address: ${why}`, { learn });
+  }
+  const why = `RFC 826 reads the opcode last, so ${arp.spa} is cached${kept} but nothing is sent (Linux drops such frames outright)`;
+  return result("accept", `opcode ${arp.opcode} is neither request (1) nor reply (2): ${why}`, { learn });
+}
+
+// Why a crafted frame cannot be put on the wire at all: bad syntax, not bad
+// protocol. Paths name the field, like "arp.hlen must be ...".
+export function craftErrors(frame) {
+  const errors = [];
+  const { eth, arp } = frame ?? {};
+  if (!eth || !arp) return ["frame needs eth and arp"];
+  for (const f of ["dst", "src"]) if (!isValidMac(eth[f])) errors.push(`eth.${f}: ${JSON.stringify(eth[f])} is not a MAC address`);
+  for (const f of ["sha", "tha"]) if (!isValidMac(arp[f])) errors.push(`arp.${f}: ${JSON.stringify(arp[f])} is not a MAC address`);
+  for (const f of ["spa", "tpa"]) if (!isValidIp(arp[f])) errors.push(`arp.${f}: ${JSON.stringify(arp[f])} is not an IPv4 address`);
+  for (const [f, max] of [["htype", 0xffff], ["ptype", 0xffff], ["hlen", 0xff], ["plen", 0xff], ["opcode", 0xffff]]) {
+    if (!(Number.isInteger(arp[f]) && arp[f] >= 0 && arp[f] <= max)) errors.push(`arp.${f} must be an integer from 0 to ${max}`);
+  }
+  return errors;
+}
+
+// Starting points for the frame editor, from sender to target
+const craft = (frame, patch) => ({ eth: { ...frame.eth, ...patch.eth }, arp: { ...frame.arp, ...patch.arp } });
+export const CRAFT_PRESETS = [
+  { id: "request", name: "Valid request", build: (from, to) => makeRequest(from, to.ip).frame },
+  { id: "htype", name: "htype 6 (IEEE 802)", build: (from, to) => craft(makeRequest(from, to.ip).frame, { arp: { htype: 6 } }) },
+  { id: "hlen", name: "hlen 8", build: (from, to) => craft(makeRequest(from, to.ip).frame, { arp: { hlen: 8 } }) },
+  { id: "plen", name: "plen 16", build: (from, to) => craft(makeRequest(from, to.ip).frame, { arp: { plen: 16 } }) },
+  { id: "opcode", name: "Unknown opcode 7", build: (from, to) => craft(makeRequest(from, to.ip).frame, { arp: { opcode: 7 } }) },
+  { id: "unicast", name: "Request sent unicast", build: (from, to) => craft(makeRequest(from, to.ip).frame, { eth: { dst: to.mac } }) },
+  { id: "tha", name: "Ethernet dst is not THA", build: (from, to) => craft(makeReply(from, to).frame, { arp: { tha: from.mac } }) },
+  { id: "unsolicited", name: "Reply nobody asked for", build: (from, to) => makeReply(from, to).frame }
+];
+
+// ---- Capture table ----
+// Every frame in world.capture as one Wireshark-style row, and a small
+// display-filter language over the same field names Wireshark uses.
+
+const ICMP_NAMES = { 0: "Echo (ping) reply", 3: "Destination unreachable", 8: "Echo (ping) request", 11: "Time-to-live exceeded" };
+const ICMPV6_ECHO = { 128: "Echo (ping) request", 129: "Echo (ping) reply" };
+
+function arpInfo(frame) {
+  const { arp } = frame;
+  const faults = arpHeaderFaults(arp);
+  if (faults.length) return `[Malformed ARP] ${faults[0].split(":")[0]}`;
+  if (arp.opcode !== 1 && arp.opcode !== 2) return `Unknown ARP opcode ${arp.opcode}`;
+  if (arp.opcode === 1 && arp.spa === ZEROIP) return `Who has ${arp.tpa}? (ARP Probe)`;
+  if (arp.spa === arp.tpa) return frame.variant === "announcement" ? `ARP Announcement for ${arp.spa}` : `Gratuitous ARP for ${arp.spa}`;
+  if (arp.opcode === 1) return `Who has ${arp.tpa}? Tell ${arp.spa}`;
+  return `${arp.spa} is at ${arp.sha}`;
+}
+
+function icmpv6Info({ icmpv6, ipv6 }) {
+  if (icmpv6.type === 135) return `Neighbor Solicitation for ${icmpv6.target}${icmpv6.sll ? ` from ${icmpv6.sll}` : ""}`;
+  if (icmpv6.type === 136) {
+    const { router, solicited, override } = icmpv6.flags;
+    const flags = [router && "rtr", solicited && "sol", override && "ovr"].filter(Boolean).join(", ");
+    return `Neighbor Advertisement ${icmpv6.target}${flags ? ` (${flags})` : ""} is at ${icmpv6.tll}`;
+  }
+  const name = ICMPV6_ECHO[icmpv6.type] ?? `ICMPv6 type ${icmpv6.type}`;
+  return `${name} id=0x${hex16(icmpv6.id ?? 0).slice(2)}, seq=${icmpv6.seq}, hlim=${ipv6.hopLimit}`;
+}
+
+// Source and destination come from the highest layer that has addresses,
+// like Wireshark's columns: IP addresses for IP packets, MACs otherwise
+export function summarizeFrame(frame) {
+  const { eth, arp, stp, ipv4, icmp, dhcp, ipv6, icmpv6 } = frame;
+  const ip = ipv4 ?? ipv6;
+  const row = {
+    source: ip ? ip.src : eth.src,
+    destination: ip ? ip.dst : eth.dst === BROADCAST ? "Broadcast" : eth.dst
+  };
+  if (arp) return { ...row, protocol: "ARP", info: arpInfo(frame) };
+  if (stp) return { ...row, protocol: "STP", info: `Conf. Root = ${bridgeText(stp.root)}  Cost = ${stp.cost}  Port = ${hex16(stp.port)}` };
+  if (dhcp) {
+    const name = DHCP_TYPES[dhcp.type];
+    return { ...row, protocol: "DHCP", info: `DHCP ${name[0]}${name.slice(1).toLowerCase()} - Transaction ID 0x${dhcp.xid.toString(16)}` };
+  }
+  if (icmp) {
+    const name = ICMP_NAMES[icmp.type] ?? `ICMP type ${icmp.type}`;
+    return { ...row, protocol: "ICMP", info: `${name} id=0x${hex16(icmp.id).slice(2)}, seq=${icmp.seq}, ttl=${ipv4.ttl}` };
+  }
+  if (icmpv6) return { ...row, protocol: "ICMPv6", info: icmpv6Info(frame) };
+  return { ...row, protocol: ETHER_TYPES[eth.type] ?? hex16(eth.type), info: "" };
+}
+
+// Filter fields: what each one reads from a frame (undefined when the layer
+// is missing; an array for fields such as ip.addr that match either end)
+// and the kind of value it is compared with
+const FILTER_FIELDS = {
+  "eth.src": ["mac", (f) => f.eth.src],
+  "eth.dst": ["mac", (f) => f.eth.dst],
+  "eth.addr": ["mac", (f) => [f.eth.src, f.eth.dst]],
+  "eth.type": ["number", (f) => f.eth.type],
+  "vlan.id": ["number", (f) => f.dot1q?.vid],
+  "arp.opcode": ["number", (f) => f.arp?.opcode],
+  "arp.src.hw_mac": ["mac", (f) => f.arp?.sha],
+  "arp.src.proto_ipv4": ["ipv4", (f) => f.arp?.spa],
+  "arp.dst.hw_mac": ["mac", (f) => f.arp?.tha],
+  "arp.dst.proto_ipv4": ["ipv4", (f) => f.arp?.tpa],
+  // The RFC 826 names the quiz uses (QUIZ_FIELDS) work too
+  "arp.sha": ["mac", (f) => f.arp?.sha],
+  "arp.spa": ["ipv4", (f) => f.arp?.spa],
+  "arp.tha": ["mac", (f) => f.arp?.tha],
+  "arp.tpa": ["ipv4", (f) => f.arp?.tpa],
+  "ip.src": ["ipv4", (f) => f.ipv4?.src],
+  "ip.dst": ["ipv4", (f) => f.ipv4?.dst],
+  "ip.addr": ["ipv4", (f) => f.ipv4 && [f.ipv4.src, f.ipv4.dst]],
+  "ip.ttl": ["number", (f) => f.ipv4?.ttl],
+  "ip.proto": ["number", (f) => f.ipv4?.proto],
+  "icmp.type": ["number", (f) => f.icmp?.type],
+  "icmp.seq": ["number", (f) => f.icmp?.seq],
+  "udp.srcport": ["number", (f) => f.udp?.srcPort],
+  "udp.dstport": ["number", (f) => f.udp?.dstPort],
+  "udp.port": ["number", (f) => f.udp && [f.udp.srcPort, f.udp.dstPort]],
+  "dhcp.option.dhcp": ["number", (f) => f.dhcp?.type],
+  "dhcp.hw.mac_addr": ["mac", (f) => f.dhcp?.chaddr],
+  "ipv6.src": ["ipv6", (f) => f.ipv6?.src],
+  "ipv6.dst": ["ipv6", (f) => f.ipv6?.dst],
+  "ipv6.addr": ["ipv6", (f) => f.ipv6 && [f.ipv6.src, f.ipv6.dst]],
+  "ipv6.hlim": ["number", (f) => f.ipv6?.hopLimit],
+  "icmpv6.type": ["number", (f) => f.icmpv6?.type],
+  "icmpv6.nd.target": ["ipv6", (f) => (f.icmpv6?.type === 135 || f.icmpv6?.type === 136 ? f.icmpv6.target : undefined)],
+  "stp.root.hw": ["mac", (f) => f.stp?.root.mac],
+  "stp.root.cost": ["number", (f) => f.stp?.cost],
+  "stp.bridge.hw": ["mac", (f) => f.stp?.bridge.mac],
+  "stp.port": ["number", (f) => f.stp?.port]
+};
+// A bare protocol name matches every frame that has that layer
+const FILTER_PROTOCOLS = {
+  eth: (f) => !!f.eth,
+  vlan: (f) => !!f.dot1q,
+  arp: (f) => !!f.arp,
+  stp: (f) => !!f.stp,
+  ip: (f) => !!f.ipv4,
+  icmp: (f) => !!f.icmp,
+  udp: (f) => !!f.udp,
+  dhcp: (f) => !!f.dhcp,
+  ipv6: (f) => !!f.ipv6,
+  icmpv6: (f) => !!f.icmpv6
+};
+export const FILTER_EXAMPLES = ["arp", "arp.opcode == 2", "eth.src == 00:1a:2b:3c:4d:10", "ip.addr == 192.168.1.30 && icmp", "!arp"];
+
+const FILTER_OPS = { "==": "==", eq: "==", "!=": "!=", ne: "!=", ">": ">", gt: ">", "<": "<", lt: "<", ">=": ">=", ge: ">=", "<=": "<=", le: "<=" };
+const FILTER_VALUES = {
+  number: [(v) => /^(0x[0-9a-f]+|\d+)$/i.test(v), Number, "number"],
+  mac: [isValidMac, (v) => v.toLowerCase(), "MAC address"],
+  ipv4: [isValidIp, ipToInt, "IPv4 address"],
+  ipv6: [isValidIpv6, normalizeIpv6, "IPv6 address"]
+};
+
+// Compile a display filter such as "arp.opcode == 2 && !(eth.dst == ff:ff:ff:ff:ff:ff)".
+// Returns { test(frame) } or { error } with a message for the filter bar;
+// an empty filter matches everything.
+export function compileFilter(text) {
+  const tokens = text.match(/\(|\)|==|!=|>=|<=|>|<|&&|\|\||!|[^\s()!=<>&|]+/g) ?? [];
+  let pos = 0;
+  const peek = () => tokens[pos]?.toLowerCase();
+  const fail = (message) => {
+    throw new Error(message);
+  };
+
+  function or() {
+    let left = and();
+    while (peek() === "||" || peek() === "or") {
+      pos++;
+      const a = left;
+      const b = and();
+      left = (f) => a(f) || b(f);
+    }
+    return left;
+  }
+  function and() {
+    let left = not();
+    while (peek() === "&&" || peek() === "and") {
+      pos++;
+      const a = left;
+      const b = not();
+      left = (f) => a(f) && b(f);
+    }
+    return left;
+  }
+  function not() {
+    if (peek() !== "!" && peek() !== "not") return primary();
+    pos++;
+    const inner = not();
+    return (f) => !inner(f);
+  }
+  function primary() {
+    const token = tokens[pos++];
+    if (token === undefined) fail("The filter ends too early.");
+    if (token === "(") {
+      const inner = or();
+      if (tokens[pos++] !== ")") fail('A "(" is never closed.');
+      return inner;
+    }
+    const name = token.toLowerCase();
+    if (FILTER_PROTOCOLS[name] && !FILTER_OPS[peek()]) return FILTER_PROTOCOLS[name];
+    if (FILTER_PROTOCOLS[name]) {
+      const field = Object.keys(FILTER_FIELDS).find((k) => k.startsWith(`${name}.`));
+      fail(`"${token}" is a protocol: it cannot be compared on its own, only its fields can (such as ${field}).`);
+    }
+    if (!FILTER_FIELDS[name]) fail(`"${token}" is neither a protocol nor a field (try ${FILTER_EXAMPLES[1]} or ${Object.keys(FILTER_PROTOCOLS).join(", ")}).`);
+    const [kind, read] = FILTER_FIELDS[name];
+    const values = (f) => [read(f)].flat().filter((v) => v !== undefined);
+    const op = FILTER_OPS[peek()];
+    // A field on its own tests that the frame has it
+    if (!op) return (f) => values(f).length > 0;
+    pos++;
+    const raw = tokens[pos++];
+    if (raw === undefined) fail(`${token} ${op} needs a value.`);
+    const [valid, parse, what] = FILTER_VALUES[kind];
+    if (!valid(raw)) fail(`"${raw}" is not a valid ${what} for ${token}.`);
+    if (kind === "mac" || kind === "ipv6") {
+      if (op !== "==" && op !== "!=") fail(`${token} can only be compared with == or !=.`);
+    }
+    const want = parse(raw);
+    const cmp = {
+      "==": (v) => v === want,
+      ">": (v) => v > want,
+      "<": (v) => v < want,
+      ">=": (v) => v >= want,
+      "<=": (v) => v <= want
+    }[op === "!=" ? "==" : op];
+    // As in Wireshark, a != b needs the field and then negates a == b: for
+    // ip.addr that means neither end is b
+    const any = (f) => values(f).some((v) => cmp(parse(String(v))));
+    return op === "!=" ? (f) => values(f).length > 0 && !any(f) : any;
+  }
+
+  try {
+    if (tokens.length === 0) return { test: () => true };
+    const test = or();
+    if (pos < tokens.length) fail(`Unexpected "${tokens[pos]}".`);
+    return { test };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// ---- Lab files ----
+// A lab is saved as a versioned JSON document: topology, who talks to whom
+// (over IPv4 or IPv6), the action list the script is built from, defenses,
+// timers and, if the instructor wrote one, a quiz question set.
+export const LAB_FORMAT = "arp-simulator-lab";
+export const LAB_VERSION = 1;
+
+// Fields each action type needs, and how to check them (a trailing ? marks
+// one it may leave out)
+const ACTION_FIELDS = {
+  send: { ip: "ip?", seq: "seq?" },
+  together: { actions: "actions" },
+  wait: { seconds: "seconds" },
+  flush: { device: "device" },
+  changeIp: { device: "device", ip: "ip" },
+  spoof: { victim: "device", as: "device" },
+  probe: { device: "device" },
+  gratuitous: { device: "device" },
+  dhcp: { device: "device" },
+  unplug: { device: "device" },
+  plug: { device: "device" },
+  powerOff: { device: "device" },
+  powerOn: { device: "device" },
+  craft: { device: "device", frame: "arpFrame" }
+};
+
+export function isSeed(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 0xffffffff;
+}
+
+export function serializeLab({ topology, scenario, defenses, arpTimeout, macAging, quiz }) {
+  const actions = scenario.actions ?? SCENARIOS.find((sc) => sc.id === scenario.presetId).actions;
+  const nodes = Object.fromEntries(
+    Object.entries(topology.nodes).map(([id, n]) => [id, { ...n, x: Math.round(n.x), y: Math.round(n.y) }])
+  );
+  return {
+    format: LAB_FORMAT,
+    version: LAB_VERSION,
+    topology: { nodes, links: topology.links },
+    scenario: { ...scenario, actions },
+    defenses,
+    settings: { arpTimeout, macAging },
+    ...(quiz ? { quiz } : {})
+  };
+}
+
+// Check a parsed lab document. Returns { lab } ready to load, or { errors }
+// with one readable message per problem.
+export function validateLab(doc) {
+  const errors = [];
+  const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+  const str = (v) => typeof v === "string";
+  if (!isObj(doc)) return { errors: ["The file is not a JSON object."] };
+  if (doc.format !== LAB_FORMAT) return { errors: [`format must be "${LAB_FORMAT}" (is this an ARP simulator lab?)`] };
+  if (!Number.isInteger(doc.version)) return { errors: ["version is missing."] };
+  if (doc.version < 1) return { errors: [`version ${doc.version} is not a lab version (they start at 1).`] };
+  if (doc.version > LAB_VERSION) return { errors: [`version ${doc.version} was saved by a newer simulator (this one reads up to ${LAB_VERSION}).`] };
+  if (!isObj(doc.topology) || !isObj(doc.topology.nodes) || !Array.isArray(doc.topology.links)) {
+    return { errors: ["topology must have a nodes object and a links array."] };
+  }
+
+  const { nodes, links } = doc.topology;
+  const check = (ok, path, v, what) => {
+    if (!ok) errors.push(`${path}: ${JSON.stringify(v)} is not a valid ${what}`);
+  };
+  const ip = (path, v) => check(str(v) && isValidIp(v), path, v, "IPv4 address");
+  const mask = (path, v) => check(str(v) && isValidMask(v), path, v, "subnet mask");
+  const mac = (path, v) => check(str(v) && isValidMac(v), path, v, "MAC (aa:bb:cc:dd:ee:ff)");
+  for (const [id, n] of Object.entries(nodes)) {
+    const at = `topology.nodes.${id}`;
+    if (!isObj(n)) {
+      errors.push(`${at} must be an object`);
+      continue;
+    }
+    if (n.id !== id) errors.push(`${at}.id must be "${id}"`);
+    if (!str(n.name)) errors.push(`${at}.name is missing`);
+    if (!Number.isFinite(n.x) || !Number.isFinite(n.y)) errors.push(`${at} needs numeric x and y`);
+    if (n.off !== undefined && typeof n.off !== "boolean") errors.push(`${at}.off must be true or false`);
+    if (isHost(n)) {
+      ip(`${at}.ip`, n.ip);
+      mask(`${at}.mask`, n.mask);
+      if (n.gateway !== "" && n.gateway !== undefined) {
+        ip(`${at}.gateway`, n.gateway);
+        // A gateway has to be a router on the host's own subnet
+        const ok = [n.ip, n.mask, n.gateway].every(str) && isValidIp(n.ip) && isValidMask(n.mask) && isValidIp(n.gateway);
+        const peer = Object.values(nodes).find((o) => isHost(o) && o !== n && o.ip === n.gateway);
+        if (ok && !sameSubnet(n.ip, n.gateway, n.mask)) errors.push(`${at}.gateway: ${n.gateway} is not on ${subnetOf(n.ip, n.mask)}`);
+        else if (peer) errors.push(`${at}.gateway: ${n.gateway} is ${peer.id}, a ${peer.type} and not a router`);
+      }
+      mac(`${at}.mac`, n.mac);
+      if (n.dhcp !== undefined && typeof n.dhcp !== "boolean") errors.push(`${at}.dhcp must be true or false`);
+      if (n.type === "server" && n.pool !== undefined) {
+        if (!isObj(n.pool)) errors.push(`${at}.pool must be { start, end }`);
+        else {
+          ip(`${at}.pool.start`, n.pool.start);
+          ip(`${at}.pool.end`, n.pool.end);
+          const ok = str(n.pool.start) && isValidIp(n.pool.start) && str(n.pool.end) && isValidIp(n.pool.end);
+          if (ok && ipToInt(n.pool.start) > ipToInt(n.pool.end)) errors.push(`${at}.pool: start ${n.pool.start} is after end ${n.pool.end}`);
+        }
+      }
+    } else if (n.type === "switch") {
+      mac(`${at}.mac`, n.mac);
+      if (n.vlans !== undefined && !isObj(n.vlans)) errors.push(`${at}.vlans must map ports to a VLAN id or "trunk"`);
+      for (const [port, v] of Object.entries(isObj(n.vlans) ? n.vlans : {})) {
+        if (v !== "trunk" && !isValidVlan(v)) errors.push(`${at}.vlans.${port}: ${JSON.stringify(v)} is not a VLAN id (1-${MAX_VLAN}) or "trunk"`);
+      }
+      if (n.stpPriority !== undefined) check(isStpPriority(n.stpPriority), `${at}.stpPriority`, n.stpPriority, "bridge priority (0-61440, in steps of 4096)");
+    } else if (n.type === "router") {
+      if (!Array.isArray(n.interfaces) || n.interfaces.length === 0) errors.push(`${at}.interfaces must be a non-empty array`);
+      else {
+        n.interfaces.forEach((i, k) => {
+          if (!str(i?.name)) errors.push(`${at}.interfaces[${k}].name is missing`);
+          ip(`${at}.interfaces[${k}].ip`, i?.ip);
+          mask(`${at}.interfaces[${k}].mask`, i?.mask);
+          mac(`${at}.interfaces[${k}].mac`, i?.mac);
+        });
+      }
+    } else errors.push(`${at}.type must be "pc", "server", "switch" or "router"`);
+  }
+  // Where each pair, port and host NIC is first used, to name the link that clashes
+  const pairs = {};
+  const ports = {};
+  const nics = {};
+  links.forEach((l, k) => {
+    if (!isObj(l) || !nodes[l.a] || !nodes[l.b]) errors.push(`topology.links[${k}] must join two existing devices`);
+    else if (l.a === l.b) errors.push(`topology.links[${k}] connects ${l.a} to itself`);
+    else {
+      const pair = [l.a, l.b].sort().join("/");
+      if (pair in pairs) errors.push(`topology.links[${k}]: ${l.a} and ${l.b} are already linked by topology.links[${pairs[pair]}]`);
+      else pairs[pair] = k;
+      for (const [id, key] of [
+        [l.a, "aPort"],
+        [l.b, "bPort"]
+      ]) {
+        const n = nodes[id];
+        const port = l[key];
+        const at = `topology.links[${k}].${key}`;
+        if (port !== undefined && !str(port)) {
+          errors.push(`${at} must be a port or interface name`);
+          continue;
+        }
+        if (isHost(n)) {
+          if (id in nics) errors.push(`topology.links[${k}]: ${id} has a single NIC, already linked by topology.links[${nics[id]}]`);
+          else nics[id] = k;
+          continue;
+        }
+        const names = n.type === "router" && Array.isArray(n.interfaces) ? n.interfaces.map((i) => i?.name) : null;
+        if (port === undefined) {
+          errors.push(`${at} is missing: a link to ${n.type} ${id} must name its ${names ? "interface" : "port"}`);
+          continue;
+        }
+        if (names && !names.includes(port)) {
+          errors.push(`${at}: ${JSON.stringify(port)} is not an interface of ${id} (${names.join(", ")})`);
+          continue;
+        }
+        const used = `${id} ${port}`;
+        if (used in ports) errors.push(`${at}: ${used} is already used by topology.links[${ports[used]}]`);
+        else ports[used] = k;
+      }
+    }
+    if (!isObj(l)) return;
+    if (l.latency !== undefined && !(Number.isFinite(l.latency) && l.latency >= 0)) errors.push(`topology.links[${k}].latency must be a number of ms >= 0`);
+    if (l.loss !== undefined && !(Number.isFinite(l.loss) && l.loss >= 0 && l.loss <= 1)) errors.push(`topology.links[${k}].loss must be a probability from 0 to 1`);
+    if (l.down !== undefined && typeof l.down !== "boolean") errors.push(`topology.links[${k}].down must be true or false`);
+  });
+
+  const sc = doc.scenario;
+  const isPc = (id) => nodes[id]?.type === "pc";
+  if (!isObj(sc)) errors.push("scenario is missing");
+  else {
+    if (!isPc(sc.senderId)) errors.push(`scenario.senderId: ${JSON.stringify(sc.senderId)} is not a PC in the topology`);
+    if (!isPc(sc.targetId)) errors.push(`scenario.targetId: ${JSON.stringify(sc.targetId)} is not a PC in the topology`);
+    if (sc.senderId === sc.targetId) errors.push("scenario: sender and target must be different PCs");
+    if (sc.attackerId !== undefined && !isPc(sc.attackerId)) errors.push(`scenario.attackerId: ${JSON.stringify(sc.attackerId)} is not a PC`);
+    if (sc.ipVersion !== undefined && sc.ipVersion !== 4 && sc.ipVersion !== 6) errors.push("scenario.ipVersion must be 4 or 6");
+    if (sc.seed !== undefined && !isSeed(sc.seed)) errors.push("scenario.seed must be an integer from 0 to 4294967295");
+    const isRef = (r) => ["sender", "target", "attacker"].includes(r) || !!nodes[r];
+    // "together" nests its own list of actions
+    const checkActions = (list, path) => {
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${path} must be a non-empty array`);
+        return;
+      }
+      list.forEach((a, k) => {
+        const at = `${path}[${k}]`;
+        const fields = ACTION_FIELDS[a?.type];
+        if (!fields) {
+          errors.push(`${at}.type: ${JSON.stringify(a?.type)} is not one of ${Object.keys(ACTION_FIELDS).join(", ")}`);
+          return;
+        }
+        for (const [field, spec] of Object.entries(fields)) {
+          const kind = spec.replace(/\?$/, "");
+          if (kind !== spec && a[field] === undefined) continue;
+          if (kind === "device" && !isRef(a[field])) errors.push(`${at}.${field}: ${JSON.stringify(a[field])} is not sender/target/attacker or a device id`);
+          if (kind === "ip") ip(`${at}.${field}`, a[field]);
+          if (kind === "seq" && !(Number.isInteger(a[field]) && a[field] >= 0 && a[field] <= 0xffff)) errors.push(`${at}.${field} must be an ICMP sequence number (0-65535)`);
+          if (kind === "seconds" && !(Number.isFinite(a[field]) && a[field] > 0)) errors.push(`${at}.${field} must be a positive number`);
+          if (kind === "actions") checkActions(a[field], `${at}.${field}`);
+          if (kind === "arpFrame") craftErrors(a[field]).forEach((e) => errors.push(`${at}.${field}.${e}`));
+        }
+        if (a.type === "probe" && a.ipOf === undefined) ip(`${at}.ip`, a.ip);
+        if (a.port !== undefined && !str(a.port)) errors.push(`${at}.port must be a port or interface name`);
+        for (const field of ["ipOf", "from", "to"]) {
+          if (a[field] !== undefined && !isRef(a[field])) errors.push(`${at}.${field}: ${JSON.stringify(a[field])} is not sender/target/attacker or a device id`);
+        }
+      });
+    };
+    checkActions(sc.actions, "scenario.actions");
+  }
+
+  const defenses = doc.defenses ?? {};
+  if (!isObj(defenses) || Object.values(defenses).some((v) => typeof v !== "boolean")) errors.push("defenses must map names to true/false");
+  const settings = doc.settings ?? {};
+  if (settings.arpTimeout !== undefined && !ARP_TIMEOUT_OPTIONS.includes(settings.arpTimeout)) {
+    errors.push(`settings.arpTimeout must be one of ${ARP_TIMEOUT_OPTIONS.join(", ")}`);
+  }
+  if (settings.macAging !== undefined && !MAC_AGING_OPTIONS.includes(settings.macAging)) {
+    errors.push(`settings.macAging must be one of ${MAC_AGING_OPTIONS.join(", ")}`);
+  }
+  if (doc.quiz !== undefined) errors.push(...validateQuiz(doc.quiz, nodes));
+  if (errors.length) return { errors };
+
+  const preset = SCENARIOS.find((p) => JSON.stringify(p.actions) === JSON.stringify(sc.actions));
+  const attackerId = sc.attackerId ?? Object.values(nodes).find((n) => n.type === "pc" && n.id !== sc.senderId && n.id !== sc.targetId)?.id;
+  return {
+    lab: {
+      topology: { nodes, links },
+      scenario: {
+        senderId: sc.senderId,
+        targetId: sc.targetId,
+        attackerId,
+        presetId: preset?.id ?? "custom",
+        actions: sc.actions,
+        ipVersion: sc.ipVersion ?? 4,
+        seed: sc.seed ?? DEFAULT_SEED
+      },
+      defenses: { staticArp: false, dai: false, dupMacAlert: false, stp: true, ...defenses },
+      arpTimeout: settings.arpTimeout ?? 30,
+      macAging: settings.macAging ?? 30,
+      quiz: doc.quiz ?? null
+    }
+  };
+}
+
+// Compact URL form of a lab document: its JSON, deflated, in base64url
+export async function encodeLabHash(doc) {
+  const raw = new Blob([JSON.stringify(doc)]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(raw).arrayBuffer());
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return "lab=" + btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Resolves to the parsed document, null if the hash holds no lab, or { errors }
+export async function decodeLabHash(hash) {
+  const m = /^#?lab=([A-Za-z0-9_-]+)$/.exec(hash);
+  if (!m) return null;
+  try {
+    const bytes = Uint8Array.from(atob(m[1].replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+    const raw = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return JSON.parse(await new Response(raw).text());
+  } catch {
+    return { errors: ["The link is damaged: its lab data could not be decoded."] };
+  }
+}
+
+// ---- Engine ----
+// A run is a world (clock, ARP caches, MAC tables, capture) driven by the
+// step script. tickWorld/applyStep are pure: they return the next world and
+// the events the step produced, for the UI (or a test) to consume:
+//   { type: "log", line }
+//   { type: "frame", frame, delivery, mode, flow }   a frame was put on the wire
+//                                                    (flow: which of the concurrent flows sent it)
+
+// IPv6 mode runs on the same topology, renumbered
+function runTopology(topology, scenario) {
+  return scenario.ipVersion === 6 ? { ...topology, nodes: ipv6Nodes(topology.nodes) } : topology;
+}
+
+// DHCP clients boot without an IPv4 address (IPv6 mode keeps the configured one)
+function bootAddresses(nodes, scenario) {
+  if (scenario.ipVersion === 6) return {};
+  return Object.fromEntries(Object.values(nodes).filter((n) => n.dhcp).map((n) => [n.id, ZEROIP]));
+}
+
+export function initialWorld(topology, scenario, defenses = {}) {
+  const { nodes, links } = runTopology(topology, scenario);
+  const arpCaches = emptyCaches(nodes);
+  if (defenses.staticArp) {
+    for (const [id, entries] of Object.entries(staticEntries(scenario, nodes, links))) arpCaches[id] = staticCache(entries);
+  }
+  return {
+    time: 0,
+    arpCaches,
+    macTables: emptyMacTables(topology.nodes),
+    ipOverrides: bootAddresses(nodes, scenario),
+    leases: {},
+    arpWatch: {},
+    pending: {},
+    faults: initialFaults(topology.nodes, links),
+    rng: scenario.seed ?? DEFAULT_SEED,
+    capture: []
+  };
+}
+
+// Topology nodes with the addresses CHANGE_IP steps have applied so far, and
+// the mask and gateway of each DHCP lease
+export function liveNodes(baseNodes, ipOverrides, leases = {}) {
+  const out = { ...baseNodes };
+  for (const [id, ip] of Object.entries(ipOverrides)) out[id] = { ...out[id], ip };
+  for (const [id, l] of Object.entries(leases)) out[id] = { ...out[id], mask: l.mask, gateway: l.gateway };
+  return out;
+}
+
+// Advance the clock, age out switch MAC entries and turn unconfirmed ARP
+// entries STALE. ctx: { topology, defenses, statics, macAging, arpTimeout, ipVersion }
+export function tickWorld(world, seconds, ctx) {
+  const time = world.time + seconds;
+  const events = [];
+  const nodes = liveNodes(ctx.topology.nodes, world.ipOverrides, world.leases);
+  const macTables = {};
+  for (const [swId, table] of Object.entries(world.macTables)) {
+    const res = ageMacTable(table, time, ctx.macAging);
+    res.expired.forEach((mac) => events.push({ type: "log", line: `${swId} MAC table: ${mac} aged out (idle >= ${ctx.macAging}s)` }));
+    macTables[swId] = res.table;
+  }
+  const arpCaches = {};
+  for (const [id, cache] of Object.entries(world.arpCaches)) {
+    const res = ageArpCache(cache, time, ctx.arpTimeout);
+    res.stale.forEach((ip) =>
+      events.push({ type: "log", line: `${nodes[id].name} ${cacheLabel(ip)}: ${ip} is now STALE (unconfirmed for ${ctx.arpTimeout}s)` })
+    );
+    arpCaches[id] = res.cache;
+  }
+  return { world: { ...world, time, macTables, arpCaches }, events };
+}
+
+const cacheLabel = (ip) => (isValidIpv6(ip) ? "neighbor cache" : "ARP cache");
+
+// Play one script step on top of world. A GROUP step moves the clock once
+// and plays its concurrent steps one after another within that second.
+export function applyStep(world, cur, ctx) {
+  const ticked = tickWorld(world, stepSeconds(cur), ctx);
+  if (cur.kind !== "GROUP") return playStep(ticked.world, cur, ctx, ticked.events);
+  return cur.steps.reduce((acc, st) => playStep(acc.world, st, ctx, acc.events), ticked);
+}
+
+function playStep(world, cur, ctx, events) {
+  let w = world;
+  const log = (line) => events.push({ type: "log", line });
+  const nodes = liveNodes(ctx.topology.nodes, w.ipOverrides, w.leases);
+  const setEntry = (id, ip, entry) => {
+    w = { ...w, arpCaches: { ...w.arpCaches, [id]: { ...w.arpCaches[id], [ip]: entry } } };
+  };
+  // Packets waiting for ARP, per device and next-hop IP (one each, like a
+  // Linux neighbour's queue of length 1)
+  const setPending = (id, ip, packet) => {
+    const { [id]: queue = {}, ...rest } = w.pending;
+    const next = { ...queue, [ip]: packet };
+    if (!packet) delete next[ip];
+    w = { ...w, pending: Object.keys(next).length ? { ...rest, [id]: next } : rest };
+  };
+
+  // The spanning tree over the links that are up, or null with STP off
+  const stpOn = ctx.defenses.stp !== false;
+  const tree = () => (stpOn ? spanningTree(nodes, activeLinks(ctx.topology.links, w.faults)) : null);
+
+  // Put a frame sent by fromId on the wire and let every switch on the way
+  // learn and flood/forward it
+  function send(fromId, frame, egress, mode) {
+    const res = propagateFrame(frame, fromId, nodes, activeLinks(ctx.topology.links, w.faults), w.macTables, w.time, {
+      egress,
+      bindings: ctx.defenses.dai ? dhcpBindings(ctx.topology.nodes, ctx.topology.links, w.leases) : null,
+      lost: cur.lost,
+      stp: tree()
+    });
+    w = { ...w, macTables: res.tables, capture: [...w.capture, { time: w.time, frame }] };
+    res.logs.forEach(log);
+    if (frame.arp && res.delivered.length > 0) watch(frame.arp.spa, frame.arp.sha);
+    if (frame.icmpv6?.tll && res.delivered.length > 0) watch(frame.icmpv6.target, frame.icmpv6.tll);
+    events.push({ type: "frame", frame, delivery: res, mode: mode ?? (res.flooded ? "flood" : "unicast"), flow: cur.flow ?? 0 });
+    return res;
+  }
+
+  // LAN-wide arpwatch (ndpmon for IPv6): remembers every IP/MAC pair that
+  // ARP replies and announcements, or Neighbor Advertisements, put on the wire
+  function watch(ip, mac) {
+    if (!ctx.defenses.dupMacAlert || ip === ZEROIP) return;
+    const tool = isValidIpv6(ip) ? "ndpmon" : "arpwatch";
+    arpAlerts(w.arpWatch, ip, mac).forEach((a) => log(`ALERT (${tool}): ${a}`));
+    w = { ...w, arpWatch: { ...w.arpWatch, [ip]: mac } };
+  }
+
+  // A switch port that goes down forgets the MACs it learned there, like
+  // IOS flushing dynamic entries on a link-down
+  function flushPorts(swId, ports) {
+    const table = w.macTables[swId];
+    if (!table) return;
+    const gone = Object.keys(table).filter((mac) => ports.includes(table[mac].port));
+    if (!gone.length) return;
+    const kept = Object.fromEntries(Object.entries(table).filter(([mac]) => !gone.includes(mac)));
+    log(`${swId} MAC table: ${ports.join(", ")} went down, flushing ${gone.join(", ")}`);
+    w = { ...w, macTables: { ...w.macTables, [swId]: kept } };
+  }
+  // Both ends of each link lose carrier
+  const linksDown = (downed) => {
+    for (const l of downed) {
+      for (const id of [l.a, l.b]) if (nodes[id].type === "switch") flushPorts(id, [linkPort(l, id)]);
+    }
+  };
+  if (cur.rng !== undefined) w = { ...w, rng: cur.rng };
+  // What each NIC made of a hand-made ARP frame (or a reply to one)
+  const verdicts = (delivery) => {
+    const said = { drop: "drops it", ignore: "ignores it", accept: "accepts it" };
+    cur.receivers.forEach((r) => log(`${nodes[r.deviceId].name} ${said[r.verdict]}: ${r.reason}`));
+    if (!cur.receivers.length && !delivery.hops.some((h) => h.dropped || h.lost)) {
+      log(`Nobody takes the frame in: no NIC it reaches has MAC ${cur.frame.eth.dst}`);
+    }
+  };
+
+  if (cur.kind === "START") {
+    log(cur.title);
+    const caches = ctx.ipVersion === 6 ? "Neighbor caches" : "ARP caches";
+    log(ctx.defenses.staticArp ? `${caches} hold only the static entries at the start.` : `${caches} are empty at the start.`);
+  }
+
+  if (cur.kind === "CACHE_CHECK") {
+    const e = w.arpCaches[cur.deviceId]?.[cur.ip];
+    const found = e?.mac ? `${e.mac} (${e.state})` : e ? `(${e.state})` : "(missing)";
+    log(`${nodes[cur.deviceId].name} ${cacheLabel(cur.ip)} lookup: ${cur.ip} -> ${found}`);
+  }
+
+  if (cur.kind === "CACHE_STALE") log(cur.title);
+
+  if (cur.kind === "CACHE_FAILED") {
+    log(cur.title);
+    const queued = w.pending[cur.deviceId]?.[cur.ip];
+    if (queued) {
+      log(`The queued ${packetName(queued)} for ${l3(queued).dst} is dropped; the next send starts resolution from scratch.`);
+      setPending(cur.deviceId, cur.ip, null);
+    } else log("Packets queued for this address are dropped; the next send starts resolution from scratch.");
+    setEntry(cur.deviceId, cur.ip, arpEntry(null, "FAILED", w.time));
+  }
+
+  if (cur.kind === "PACKET_QUEUED") {
+    log(cur.title);
+    log("It cannot be framed yet: the Ethernet header needs the next hop's MAC.");
+    setPending(cur.deviceId, cur.ip, cur.packet);
+  }
+
+  if (cur.kind === "CACHE_MISS") {
+    log(`No entry found, so the host must resolve the target MAC using ${isValidIpv6(cur.ip) ? "Neighbor Discovery" : "ARP"}.`);
+  }
+
+  if (cur.kind === "ARP_REQUEST" || cur.kind === "ND_SOLICIT") {
+    log(cur.title);
+    const ip = cur.frame.arp?.tpa ?? cur.frame.icmpv6.target;
+    const pending = w.arpCaches[cur.from]?.[ip];
+    if (!pending || pending.state === "FAILED") setEntry(cur.from, ip, arpEntry(null, "INCOMPLETE", w.time));
+    if (cur.frame.arp) log("Broadcast frame: everyone receives it, only the owner of TPA replies.");
+    else log(`Multicast frame: only NICs that joined ${cur.frame.ipv6.dst} pass it up, and only the owner of ${ip} answers.`);
+    const delivery = send(cur.from, cur.frame, cur.egress, cur.frame.arp ? "broadcast" : "multicast");
+    if (delivery.loop) log("Loops turn every broadcast into a storm: that is why L2 needs STP's loop-free tree.");
+  }
+
+  if (cur.kind === "ARP_PROBE" || cur.kind === "ARP_ANNOUNCE" || cur.kind === "ARP_GRATUITOUS") {
+    log(cur.title);
+    if (cur.kind === "ARP_PROBE") log("SPA 0.0.0.0: receivers must not cache anything from a probe.");
+    else log("SPA = TPA: hosts that already cache this IP refresh the entry; nobody replies.");
+    send(cur.from, cur.frame, undefined, "broadcast");
+  }
+
+  if (cur.kind === "ND_DAD" || cur.kind === "ND_UNSOLICITED") {
+    log(cur.title);
+    if (cur.kind === "ND_DAD") log("Source ::: the address is tentative, so receivers must not cache anything from it.");
+    else log("Override flag set: hosts that already cache this address replace the MAC; nobody answers.");
+    send(cur.from, cur.frame, undefined, "multicast");
+  }
+
+  if (cur.kind === "DHCP_DISCOVER" || cur.kind === "DHCP_REQUEST" || cur.kind === "DHCP_DECLINE") {
+    log(cur.title);
+    if (cur.kind === "DHCP_DISCOVER") log("From 0.0.0.0 to 255.255.255.255: the client has no address yet, so it broadcasts and only DHCP servers answer.");
+    if (cur.kind === "DHCP_REQUEST") log("Broadcast again, so every server that made an offer learns which one the client took.");
+    send(cur.from, cur.frame, undefined, "broadcast");
+    if (cur.kind === "DHCP_DECLINE" && cur.arrives) {
+      const { [cur.deviceId]: lease, ...rest } = w.leases;
+      log(`${nodes[lease?.serverId]?.name ?? "The server"} marks ${cur.frame.dhcp.options.requestedIp} as in use and the lease is dropped.`);
+      w = { ...w, leases: rest };
+    }
+  }
+
+  if (cur.kind === "DHCP_OFFER" || cur.kind === "DHCP_ACK") {
+    log(cur.title);
+    log(`Unicast to chaddr ${cur.frame.dhcp.chaddr}: the server knows the client's MAC from its broadcast, no ARP needed.`);
+    send(cur.from, cur.frame);
+    if (cur.kind === "DHCP_ACK") {
+      const { ip, mask, gateway, serverId } = cur.lease;
+      log(`${nodes[serverId].name} records the lease: ${ip} -> ${cur.frame.dhcp.chaddr} (mask ${mask}${gateway ? `, gateway ${gateway}` : ""}, ${DHCP_LEASE}s)`);
+      w = { ...w, leases: { ...w.leases, [cur.deviceId]: { ...cur.lease, expires: w.time + DHCP_LEASE } } };
+    }
+  }
+
+  if (cur.kind === "CONFLICT") log(`CONFLICT: ${cur.title}`);
+
+  if (cur.kind === "TARGET_RECEIVES") log(cur.title);
+
+  if (cur.kind === "NO_REPLY") log(cur.title);
+
+  if (cur.kind === "ARP_REPLY" || cur.kind === "ND_ADVERT") {
+    log(cur.title);
+    if (cur.frame.eth.dst === ALL_NODES_MAC) log("Multicast to all nodes: the asker used :: and has no address to answer to.");
+    else log("Unicast frame: sent only back to the requester MAC.");
+    if (cur.proxy) log(`Proxy ${cur.frame.arp ? "ARP" : "ND"}: the router hands out its own MAC for a host on another subnet.`);
+    const delivery = send(cur.from, cur.frame, cur.egress);
+    if (cur.receivers) verdicts(delivery);
+  }
+
+  if (cur.kind === "ARP_CRAFTED") {
+    log(cur.title);
+    arpOddities(cur.frame).forEach(log);
+    verdicts(send(cur.from, cur.frame, undefined, cur.frame.eth.dst === BROADCAST ? "broadcast" : undefined));
+  }
+
+  if (cur.kind === "CACHE_UPDATE" || cur.kind === "CACHE_POISON") {
+    log(cur.title);
+    for (const e of cur.entries) {
+      if (w.arpCaches[e.deviceId]?.[e.ip]?.state === "PERMANENT") continue;
+      setEntry(e.deviceId, e.ip, arpEntry(e.mac, "REACHABLE", w.time));
+      const queued = w.pending[e.deviceId]?.[e.ip];
+      if (!queued) continue;
+      log(`${nodes[e.deviceId].name} releases the queued ${packetName(queued)} for ${l3(queued).dst} to ${e.mac}`);
+      setPending(e.deviceId, e.ip, null);
+    }
+  }
+
+  if (cur.kind === "ARP_SPOOF") {
+    log(cur.title);
+    if (cur.frame.arp) log("Nobody asked: ARP is stateless, so a reply is accepted even without a matching request.");
+    else log("Nobody asked, but the Override flag tells the victim to replace the MAC it has cached.");
+    send(cur.from, cur.frame, undefined, "spoof");
+  }
+
+  if (cur.kind === "DATA") {
+    log(cur.title);
+    send(cur.from, cur.frame, cur.egress);
+    const { ipv4, ipv6 } = cur.frame;
+    const hops = ipv4 ? `TTL ${ipv4.ttl}` : `hop limit ${ipv6.hopLimit}`;
+    if (cur.arrives) log(`${l3(cur.frame).dst} receives the ${packetName(cur.frame)} from ${l3(cur.frame).src} (${hops})`);
+  }
+
+  if (cur.kind === "SPOOF_BLOCKED" || cur.kind === "NOTE") log(cur.title);
+
+  if (cur.kind === "CACHE_HIT") {
+    log(cur.title);
+    log(`${nodes[cur.deviceId].name} can frame the packet right away using dst MAC ${cur.mac}.`);
+    if (cur.note) log(cur.note);
+  }
+
+  if (cur.kind === "ROUTE_LOOKUP" || cur.kind === "ROUTER_FORWARD" || cur.kind === "NO_ROUTE") log(cur.title);
+
+  if (cur.kind === "WAIT") log(cur.title);
+
+  if (cur.kind === "FLUSH_CACHE") {
+    log(cur.title);
+    w = { ...w, arpCaches: { ...w.arpCaches, [cur.deviceId]: staticCache(ctx.statics[cur.deviceId]) } };
+  }
+
+  const treeBefore = (cur.kind === "LINK_DOWN" || cur.kind === "LINK_UP" || cur.kind === "POWER_OFF" || cur.kind === "POWER_ON") && tree();
+
+  if (cur.kind === "LINK_DOWN" || cur.kind === "LINK_UP") {
+    log(cur.title);
+    const down = cur.kind === "LINK_DOWN";
+    const l = ctx.topology.links.find((x) => linkKey(x) === cur.link);
+    const before = activeLinks(ctx.topology.links, w.faults);
+    w = { ...w, faults: { ...w.faults, down: down ? [...w.faults.down, cur.link] : w.faults.down.filter((k) => k !== cur.link) } };
+    if (down && before.includes(l)) linksDown([l]);
+    if (!down) log("Switches learn MACs on the port again as frames arrive; hosts still hold whatever their caches had.");
+  }
+
+  if (cur.kind === "POWER_OFF" || cur.kind === "POWER_ON") {
+    log(cur.title);
+    const off = cur.kind === "POWER_OFF";
+    const before = activeLinks(ctx.topology.links, w.faults);
+    w = { ...w, faults: { ...w.faults, off: off ? [...w.faults.off, cur.deviceId] : w.faults.off.filter((id) => id !== cur.deviceId) } };
+    if (off) {
+      linksDown(before.filter((l) => l.a === cur.deviceId || l.b === cur.deviceId));
+      const { [cur.deviceId]: dropped, ...pending } = w.pending;
+      w = { ...w, pending };
+      if (dropped) log(`${nodes[cur.deviceId].name} loses the packets it had queued for ARP`);
+      if (w.macTables[cur.deviceId]) w = { ...w, macTables: { ...w.macTables, [cur.deviceId]: {} } };
+      const macs = deviceMacs(nodes[cur.deviceId]);
+      const holders = Object.entries(w.arpCaches)
+        .filter(([id, cache]) => id !== cur.deviceId && Object.values(cache).some((e) => macs.includes(e.mac)))
+        .map(([id]) => nodes[id].name);
+      if (holders.length) {
+        const caches = ctx.ipVersion === 6 ? "neighbor cache" : "ARP cache";
+        log(`${nodes[cur.deviceId].name}'s MAC stays in the ${caches} of ${holders.join(", ")}: nothing says it is gone until the entry goes STALE and re-resolving it fails.`);
+      }
+    }
+    if (w.arpCaches[cur.deviceId]) {
+      w = { ...w, arpCaches: { ...w.arpCaches, [cur.deviceId]: staticCache(ctx.statics[cur.deviceId]) } };
+    }
+  }
+
+  // A link or bridge that comes or goes can move the spanning tree
+  if (treeBefore) {
+    const after = tree();
+    // Ports that are still up and changed between blocking and forwarding
+    const moved = (from, to) =>
+      blockedPorts(from)
+        .filter(([id, port]) => to.roles[id]?.[port] && to.roles[id][port] !== "alternate")
+        .map((p) => p.join(" "));
+    const opened = moved(treeBefore, after);
+    const closed = moved(after, treeBefore);
+    if (opened.length) log(`STP reconverges: ${opened.join(", ")} stops blocking and forwards (802.1D takes up to 50s for this; the simulator does not wait)`);
+    if (closed.length) log(`STP reconverges: ${closed.join(", ")} now blocks to keep the tree loop-free`);
+  }
+
+  if (cur.kind === "FRAME_LOST") log(cur.title);
+
+  if (cur.kind === "STP_BPDU") {
+    log(cur.title);
+    send(cur.from, cur.frame, cur.egress, "bpdu");
+  }
+
+  if (cur.kind === "STP_CONVERGED") {
+    log(cur.title);
+    const { bridges, roles } = tree();
+    for (const [id, b] of Object.entries(bridges)) {
+      if (b.rootPort) log(`${id}: root port ${b.rootPort} (cost ${b.cost} to the root)`);
+      for (const [port, role] of Object.entries(roles[id])) if (role === "alternate") log(`${id} ${port}: alternate port, blocking`);
+    }
+    log(`Ports went through listening and learning (2 x ${STP_FORWARD_DELAY}s forward delay) before forwarding.`);
+  }
+
+  if (cur.kind === "CHANGE_IP") {
+    log(cur.title);
+    log(`Other hosts still hold the old IP in their ${cacheLabel(cur.ip)}s until they re-resolve.`);
+    w = { ...w, ipOverrides: { ...w.ipOverrides, [cur.deviceId]: cur.ip } };
+  }
+
+  return { world: w, events };
+}
+
+// Headless run of one scenario. The script steps not played yet are the
+// event queue; the world clock only moves when a step is played or tick() is
+// called, so a run is fully deterministic. Subscribers get every step event
+// followed by { type: "state", world }.
+// The world after each played step is kept, so goto() can jump back to any
+// of them ({ type: "restore", step }) and forward again without replaying.
+// Changing the present (tick, console commands, injected faults) drops the
+// snapshots after it ({ type: "discard", after }).
+export function createEngine({ topology: configured, scenario, defenses = {}, arpTimeout = 30, macAging = 30 }) {
+  const topology = runTopology(configured, scenario);
+  const actions = scenario.actions ?? SCENARIOS.find((sc) => sc.id === scenario.presetId).actions;
+  // inject() replans the rest of the run; reset() goes back to this plan
+  const planned = buildScript({ ...scenario, actions }, topology.nodes, topology.links, defenses, arpTimeout);
+  let script = planned;
+  const ctx = {
+    topology,
+    defenses,
+    arpTimeout,
+    macAging,
+    ipVersion: scenario.ipVersion ?? 4,
+    statics: defenses.staticArp ? staticEntries(scenario, topology.nodes, topology.links) : {}
+  };
+  const listeners = new Set();
+  let world = initialWorld(topology, scenario, defenses);
+  let cursor = 0; // steps played so far; script[cursor] is next
+  let history = []; // history[i]: world right after step i
+
+  function emit(events) {
+    for (const e of [...events, { type: "state", world }]) listeners.forEach((fn) => fn(e));
+  }
+
+  // The present changed outside the script: the snapshots after it no
+  // longer follow from it
+  function rewrite(next, events) {
+    world = next;
+    const discard = history.length > cursor ? [{ type: "discard", after: cursor - 1 }] : [];
+    history = history.slice(0, cursor);
+    if (cursor > 0) history[cursor - 1] = world;
+    emit([...discard, ...events]);
+  }
+
+  function step() {
+    if (cursor >= script.length) return false;
+    goto(cursor);
+    return true;
+  }
+
+  // Show the world right after step i: restored if it was played before,
+  // otherwise the queue is played up to it
+  function goto(i) {
+    if (i < history.length) {
+      world = history[i];
+      cursor = i + 1;
+      emit([{ type: "restore", step: i }]);
+      return;
+    }
+    while (cursor <= i && cursor < script.length) {
+      const res = applyStep(world, script[cursor], ctx);
+      world = res.world;
+      history[cursor] = world;
+      cursor += 1;
+      emit(res.events);
+    }
+  }
+
+  return {
+    get script() {
+      return script;
+    },
+    getWorld: () => world,
+    // The DHCP snooping table as of now: leases add their bindings
+    getBindings: () => dhcpBindings(topology.nodes, topology.links, world.leases),
+    getCursor: () => cursor,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    getHistoryLength: () => history.length,
+    goto,
+    step,
+    run() {
+      while (step());
+      return world;
+    },
+    tick(seconds) {
+      const res = tickWorld(world, seconds, ctx);
+      rewrite(res.world, res.events);
+    },
+    // Type a console command on a device; returns the lines it prints
+    command(deviceId, line) {
+      const res = runCommand(world, deviceId, line, ctx);
+      if (res.world !== world) rewrite(res.world, res.events);
+      return res.output;
+    },
+    // Unplug a link or power a device off (or back on) right now: the fault
+    // becomes the next step, the rest of the current action is abandoned
+    // and the actions after it are planned again from the present
+    inject(action) {
+      const current = script[cursor - 1]?.action ?? -1;
+      const replanned = buildScript(
+        { ...scenario, actions: [action, ...actions.slice(current + 1)] },
+        liveNodes(topology.nodes, world.ipOverrides, world.leases),
+        topology.links,
+        defenses,
+        arpTimeout,
+        world
+      );
+      script = [...script.slice(0, cursor), ...replanned.map((st) => ({ ...st, action: current + st.action }))];
+      rewrite(world, []);
+    },
+    // MAC aging is not baked into the script, so it can change mid-run
+    setMacAging(sec) {
+      ctx.macAging = sec;
+    },
+    reset() {
+      script = planned;
+      world = initialWorld(topology, scenario, defenses);
+      cursor = 0;
+      history = [];
+      emit([]);
+    }
+  };
+}
+
+// ---- Device console ----
+// What a student would type on the real thing: Windows `arp`/`ping` and
+// Linux `ip neigh` on hosts, Cisco IOS `show mac address-table` on switches.
+// In IPv6 mode the cache holds IPv6 neighbors, which `arp -a` (IPv4 only)
+// does not list, and ping takes IPv6 addresses.
+// runCommand is pure like applyStep: { world, output: [lines], events }.
+// `ping` plays the same steps a scenario "send" would, once per echo.
+
+const PING_COUNT = 4; // echoes Windows sends by default
+const PING_MAX = 10; // -n cap: each echo is a full run of the planner
+
+const CONSOLE_HELP = {
+  pc: [
+    "arp -a                     show the ARP cache",
+    "arp -d <ip> | *            delete one entry, or all of them",
+    "arp -s <ip> <mac>          add a static entry",
+    "ip neigh                   show the ARP / neighbor cache (Linux)",
+    "ip -4 neigh | -6 neigh     only IPv4 or IPv6 neighbors",
+    "ping [-n count] <ip>       send 4 (or count, up to 10) ICMP (ICMPv6) echo requests"
+  ],
+  switch: ["show mac address-table    show learned MAC addresses", "show vlan brief            show VLANs and their access ports"]
+};
+
+const winMac = (mac) => mac.replace(/:/g, "-");
+const ciscoMac = (mac) => mac.replace(/:/g, "").replace(/(.{4})(?=.)/g, "$1.");
+
+function arpTable(self, cache) {
+  const rows = Object.entries(cache).filter(([ip]) => isValidIp(ip));
+  if (rows.length === 0) return ["No ARP Entries Found."];
+  return [
+    `Interface: ${self.ip} --- 0x2`,
+    "  Internet Address      Physical Address      Type",
+    ...rows.map(([ip, e]) => {
+      const type = !e.mac ? "invalid" : e.state === "PERMANENT" ? "static" : "dynamic";
+      return `  ${ip.padEnd(22)}${winMac(e.mac ?? ZEROMAC).padEnd(22)}${type}`;
+    })
+  ];
+}
+
+function neighTable(cache) {
+  return Object.entries(cache).map(([ip, e]) => `${ip} dev eth0 ${e.mac ? `lladdr ${e.mac} ` : ""}${e.state}`);
+}
+
+function macAddressTable(table) {
+  const rows = Object.entries(table);
+  return [
+    "          Mac Address Table",
+    "-------------------------------------------",
+    "",
+    "Vlan    Mac Address       Type        Ports",
+    "----    -----------       --------    -----",
+    ...rows.map(([mac, e]) => `${String(e.vlan ?? DEFAULT_VLAN).padStart(4)}    ${ciscoMac(mac)}    DYNAMIC     ${e.port}`),
+    `Total Mac Addresses for this criterion: ${rows.length}`
+  ];
+}
+
+// IOS lists access ports under their VLAN; trunks are not in the list
+function vlanBrief(sw, links) {
+  const ports = switchPorts(sw.id, links).map((p) => p.port);
+  const vlans = [...new Set([DEFAULT_VLAN, ...ports.map((p) => portVlan(sw, p)).filter((v) => v !== "trunk")])].sort((a, b) => a - b);
+  return [
+    "VLAN Name                             Status    Ports",
+    "---- -------------------------------- --------- -------------------------------",
+    ...vlans.map((v) => {
+      const name = v === DEFAULT_VLAN ? "default" : `VLAN${String(v).padStart(4, "0")}`;
+      return `${String(v).padEnd(5)}${name.padEnd(33)}active    ${ports.filter((p) => portVlan(sw, p) === v).join(", ")}`.trimEnd();
+    })
+  ];
+}
+
+// What Windows ping prints for one echo, from the steps that played it
+// (IPv6 replies show no TTL)
+function echoResult(self, steps) {
+  const reply = steps.find((st) => st.kind === "DATA" && st.arrives && (st.frame.icmp?.type === 0 || st.frame.icmpv6?.type === 129));
+  if (reply?.frame.ipv6) return `Reply from ${reply.frame.ipv6.src}: time<1ms`;
+  if (reply) return `Reply from ${reply.frame.ipv4.src}: bytes=${ECHO_DATA.length} time<1ms TTL=${reply.frame.ipv4.ttl}`;
+  const local = steps.some((st) => (st.kind === "CACHE_FAILED" || st.kind === "NO_ROUTE") && st.deviceId === self.id);
+  return local ? `Reply from ${self.ip}: Destination host unreachable.` : "Request timed out.";
+}
+
+function pingOutput(ip, results) {
+  const received = results.filter((r) => r.startsWith("Reply")).length; // Windows counts "unreachable" replies as received
+  const lost = results.length - received;
+  return [
+    `Pinging ${ip} with ${ECHO_DATA.length} bytes of data:`,
+    ...results,
+    "",
+    `Ping statistics for ${ip}:`,
+    `    Packets: Sent = ${results.length}, Received = ${received}, Lost = ${lost} (${Math.round((lost / results.length) * 100)}% loss),`
+  ];
+}
+
+export function runCommand(world, deviceId, line, ctx) {
+  const nodes = liveNodes(ctx.topology.nodes, world.ipOverrides, world.leases);
+  const self = nodes[deviceId];
+  const words = line.trim().split(/\s+/).filter(Boolean);
+  const [cmd, ...args] = words.map((w) => w.toLowerCase());
+  const done = (output, next = world, events = []) => ({ world: next, output, events });
+  if (!cmd) return done([]);
+  if (world.faults.off.includes(deviceId)) return done([`${self.name} is powered off: there is no console to type into.`]);
+  if (cmd === "help" || cmd === "?") return done(CONSOLE_HELP[isHost(self) ? "pc" : self.type] ?? []);
+
+  if (self.type === "switch") {
+    const show = words.join(" ").toLowerCase().replace(/^sh(ow)? /, "show ");
+    if (show === "show mac address-table") return done(macAddressTable(world.macTables[deviceId] ?? {}));
+    if (show === "show vlan brief" || show === "show vlan") return done(vlanBrief(self, ctx.topology.links));
+    return done(["% Invalid input detected. Type ? for the supported commands."]);
+  }
+  if (!isHost(self)) return done([`${self.name} has no console in this simulator.`]);
+
+  const cache = world.arpCaches[deviceId] ?? {};
+  const setCache = (next, line) =>
+    done([], { ...world, arpCaches: { ...world.arpCaches, [deviceId]: next } }, [{ type: "log", line }]);
+  const usage = done(CONSOLE_HELP.pc.slice(0, 3));
+
+  if (cmd === "arp") {
+    if (args[0] === "-a" || args[0] === "-g") return done(arpTable(self, cache));
+    if (args[0] === "-d") {
+      if (args[1] === "*") return setCache({}, `${self.name} console: arp -d * flushed the ARP cache`);
+      if (!args[1]) return usage;
+      if (!cache[args[1]]) return done(["The ARP entry deletion failed: The specified entry was not found."]);
+      const rest = { ...cache };
+      delete rest[args[1]];
+      return setCache(rest, `${self.name} console: arp -d removed ${args[1]}`);
+    }
+    if (args[0] === "-s") {
+      const mac = (args[2] ?? "").replace(/-/g, ":");
+      if (!isValidIp(args[1] ?? "") || !isValidMac(mac)) return done(["The ARP entry addition failed: The parameter is incorrect."]);
+      return setCache(
+        { ...cache, [args[1]]: arpEntry(mac, "PERMANENT", 0) },
+        `${self.name} console: arp -s added static entry ${args[1]} -> ${mac}`
+      );
+    }
+    return usage;
+  }
+
+  if (cmd === "ip") {
+    const only = { "-4": isValidIp, "-6": isValidIpv6 }[args[0]];
+    const rest = only ? args.slice(1) : args;
+    if (/^neigh(bou?r)?$/.test(rest[0] ?? "") && (!rest[1] || rest[1] === "show")) {
+      return done(neighTable(only ? Object.fromEntries(Object.entries(cache).filter(([ip]) => only(ip))) : cache));
+    }
+  }
+
+  if (cmd === "ping") {
+    // Only -n is supported: -t (ping until Ctrl+C) would never finish here
+    const pingUsage = ["Usage: ping [-n count] target_name", "", "Options:", `    -n count       Number of echo requests to send (1-${PING_MAX}).`];
+    let count = PING_COUNT;
+    const hosts = [];
+    for (let k = 0; k < args.length; k++) {
+      if (args[k] === "-n") {
+        count = Number(args[++k]);
+        if (!Number.isInteger(count) || count < 1 || count > PING_MAX) {
+          return done([`Bad value for option -n, valid range is from 1 to ${PING_MAX}.`]);
+        }
+      } else if (args[k].startsWith("-")) return done([`Bad option ${args[k]}.`, "", ...pingUsage]);
+      else hosts.push(args[k]);
+    }
+    if (hosts.length !== 1) return done(pingUsage);
+    const ip = isValidIpv6(hosts[0]) ? normalizeIpv6(hosts[0]) : hosts[0];
+    if (!(isValidIp(ip) || isValidIpv6(ip))) return done([`Ping request could not find host ${ip}. Please check the name and try again.`]);
+    // This lab runs one IP version: the other has no address to send from,
+    // and neither has a DHCP client without a lease
+    if (isValidIpv6(ip) !== (ctx.ipVersion === 6) || self.ip === ZEROIP) {
+      return done(pingOutput(ip, Array(count).fill("PING: transmit failed. General failure.")));
+    }
+    if (ip === self.ip) {
+      const local = isValidIpv6(ip) ? `Reply from ${ip}: time<1ms` : `Reply from ${ip}: bytes=${ECHO_DATA.length} time<1ms TTL=${INITIAL_TTL.pc}`;
+      return done(pingOutput(ip, Array(count).fill(local)));
+    }
+    let w = world;
+    const events = [{ type: "log", line: `${self.name} console: ping ${ip}` }];
+    const results = [];
+    for (let seq = 1; seq <= count; seq++) {
+      const steps = buildScript(
+        { senderId: deviceId, targetId: deviceId, ipVersion: ctx.ipVersion, actions: [{ type: "send", ip, seq }] },
+        liveNodes(ctx.topology.nodes, w.ipOverrides, w.leases),
+        ctx.topology.links,
+        ctx.defenses,
+        ctx.arpTimeout,
+        w
+      );
+      for (const st of steps) {
+        const res = applyStep(w, st, ctx);
+        w = res.world;
+        events.push(...res.events);
+      }
+      results.push(echoResult(self, steps));
+    }
+    return done(pingOutput(ip, results), w, events);
+  }
+
+  return done([`'${words[0]}' is not recognized as an internal or external command,`, "operable program or batch file."]);
+}
+
+// ---- Quiz ----
+// A quiz pauses before chosen script steps and asks the student to predict
+// what the step will do. A question set is plain JSON, so instructors can
+// ship their own in a lab file:
+//   { step: "ARP_REQUEST", ask: "receivers" }
+//   { step: "ARP_REPLY", nth: 2, ask: "field", field: "eth.dst" }
+//   { step: "CACHE_UPDATE", ask: "cache", device: "sender", ip: "target" }
+// step is a step kind (nth picks which one, default the first) or a step
+// number. Answers are graded against what the step actually did: the frame
+// it put on the wire and the world right after it.
+
+export const QUIZ_FIELDS = {
+  "eth.dst": "Ethernet destination MAC",
+  "eth.src": "Ethernet source MAC",
+  "arp.sha": "ARP sender MAC (SHA)",
+  "arp.spa": "ARP sender IP (SPA)",
+  "arp.tha": "ARP target MAC (THA)",
+  "arp.tpa": "ARP target IP (TPA)",
+  "ipv4.src": "IPv4 source address",
+  "ipv4.dst": "IPv4 destination address",
+  "ipv6.src": "IPv6 source address",
+  "ipv6.dst": "IPv6 destination address",
+  "icmpv6.target": "ND target address"
+};
+const QUIZ_ASKS = ["receivers", "field", "cache"];
+const NO_ENTRY = "(none)"; // no entry, or one without a MAC (INCOMPLETE / FAILED)
+
+// Works for any scenario: questions on steps the script lacks are skipped
+export const DEFAULT_QUIZ = [
+  { step: "ARP_REQUEST", ask: "receivers" },
+  { step: "ARP_REQUEST", ask: "field", field: "arp.tha" },
+  { step: "ARP_REPLY", ask: "field", field: "eth.dst" },
+  { step: "CACHE_UPDATE", ask: "cache" },
+  { step: "ND_SOLICIT", ask: "receivers" },
+  { step: "ND_SOLICIT", ask: "field", field: "eth.dst" },
+  { step: "ND_ADVERT", ask: "field", field: "eth.dst" },
+  { step: "CACHE_POISON", ask: "cache" },
+  { step: "DATA", ask: "field", field: "eth.dst" }
+];
+
+// One message per bad question; paths start with path
+export function validateQuiz(quiz, nodes, path = "quiz") {
+  if (!Array.isArray(quiz)) return [`${path} must be an array of questions`];
+  const errors = [];
+  const isRef = (r) => ["sender", "target", "attacker"].includes(r) || !!nodes[r];
+  quiz.forEach((q, k) => {
+    const at = `${path}[${k}]`;
+    if (q === null || typeof q !== "object" || Array.isArray(q)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    const stepOk = (typeof q.step === "string" && /^[A-Z_]+$/.test(q.step)) || (Number.isInteger(q.step) && q.step >= 0);
+    if (!stepOk) errors.push(`${at}.step: ${JSON.stringify(q.step)} is not a step kind (like "ARP_REPLY") or a step number`);
+    if (q.nth !== undefined && !(Number.isInteger(q.nth) && q.nth > 0)) errors.push(`${at}.nth must be a positive integer`);
+    if (!QUIZ_ASKS.includes(q.ask)) errors.push(`${at}.ask: ${JSON.stringify(q.ask)} is not one of ${QUIZ_ASKS.join(", ")}`);
+    if (q.ask === "field" && !QUIZ_FIELDS[q.field]) {
+      errors.push(`${at}.field: ${JSON.stringify(q.field)} is not one of ${Object.keys(QUIZ_FIELDS).join(", ")}`);
+    }
+    if (q.device !== undefined && !isRef(q.device)) errors.push(`${at}.device: ${JSON.stringify(q.device)} is not sender/target/attacker or a device id`);
+    if (q.ip !== undefined && !isRef(q.ip) && !(typeof q.ip === "string" && (isValidIp(q.ip) || isValidIpv6(q.ip)))) {
+      errors.push(`${at}.ip: ${JSON.stringify(q.ip)} is not sender/target/attacker, a device id or an IP address`);
+    }
+  });
+  return errors;
+}
+
+const fieldOf = (frame, path) => path.split(".").reduce((v, k) => v?.[k], frame);
+
+function frameName(frame) {
+  return frame.arp
+    ? describeArp(frame).name
+    : (describeNd(frame)?.name ?? describeDhcp(frame)?.name ?? describeStp(frame)?.name ?? packetName(frame));
+}
+
+// Turn a question set into concrete questions for this script, in step
+// order: { id, step, ask, prompt, choices: [{ value, label }], multi, ... }.
+// nodes are numbered the way the run was (ipv6Nodes in IPv6 mode); IPv6
+// runs add the multicast groups and MACs to the choices.
+export function buildQuiz(quiz, script, nodes, scenario) {
+  const v6 = scenario.ipVersion === 6;
+  const ref = (r) => (r === "sender" ? scenario.senderId : r === "target" ? scenario.targetId : r === "attacker" ? scenario.attackerId : r);
+  const ipOf = (r) => {
+    if (r === undefined) return undefined;
+    if (isValidIp(String(r)) || isValidIpv6(r)) return v6 ? toIpv6(r) : r;
+    return nodes[ref(r)]?.ip;
+  };
+  const devices = Object.values(nodes).filter((n) => n.type !== "switch");
+  const groups = v6 ? devices.flatMap((n) => deviceIps(n).map((ip) => ({ group: solicitedNode(ip), n }))) : [];
+  const macChoices = [
+    ...devices.flatMap((n) => deviceMacs(n).map((mac) => ({ value: mac, label: `${mac} (${n.name})` }))),
+    ...groups.map(({ group, n }) => ({ value: multicastMac(group), label: `${multicastMac(group)} (${n.name}'s solicited-node group)` })),
+    ...(v6 ? [{ value: ALL_NODES_MAC, label: `${ALL_NODES_MAC} (all nodes)` }] : []),
+    { value: BROADCAST, label: `${BROADCAST} (broadcast)` },
+    { value: ZEROMAC, label: `${ZEROMAC} (all zeros)` }
+  ];
+  const ipChoices = [
+    ...devices.flatMap((n) => deviceIps(n).map((ip) => ({ value: ip, label: `${ip} (${n.name})` }))),
+    ...groups.map(({ group, n }) => ({ value: group, label: `${group} (${n.name}'s solicited-node group)` })),
+    ...(v6 ? [{ value: ALL_NODES, label: `${ALL_NODES} (all nodes)` }] : []),
+    v6 ? { value: "::", label: ":: (unspecified)" } : { value: ZEROIP, label: `${ZEROIP} (unspecified)` }
+  ];
+
+  const questions = [];
+  quiz.forEach((spec, id) => {
+    const step = Number.isInteger(spec.step)
+      ? spec.step
+      : script.flatMap((st, i) => (st.kind === spec.step ? [i] : []))[(spec.nth ?? 1) - 1];
+    const st = script[step];
+    if (!st) return;
+    const base = { id, step, ask: spec.ask, multi: false };
+
+    if (spec.ask === "receivers" && st.frame) {
+      questions.push({
+        ...base,
+        multi: true,
+        prompt: `${nodes[st.from].name} puts this ${frameName(st.frame)} on the wire. Which devices take it in (their NIC passes it up)?`,
+        choices: devices.filter((n) => n.id !== st.from).map((n) => ({ value: n.id, label: n.name }))
+      });
+    }
+    if (spec.ask === "field" && st.frame && fieldOf(st.frame, spec.field) !== undefined) {
+      questions.push({
+        ...base,
+        field: spec.field,
+        prompt: `What will the ${QUIZ_FIELDS[spec.field]} of this ${frameName(st.frame)} be?`,
+        choices: isValidMac(fieldOf(st.frame, spec.field)) ? macChoices : ipChoices
+      });
+    }
+    if (spec.ask === "cache") {
+      const device = ref(spec.device) ?? st.entries?.[0]?.deviceId ?? st.deviceId;
+      const ip = ipOf(spec.ip) ?? st.entries?.[0]?.ip ?? st.ip;
+      if (!nodes[device] || nodes[device].type === "switch" || !ip) return;
+      questions.push({
+        ...base,
+        device,
+        ip,
+        prompt: `After this step, which MAC will ${nodes[device].name}'s ${cacheLabel(ip)} hold for ${ip}?`,
+        choices: [...macChoices.filter((c) => !isMulticastMac(c.value) && c.value !== ZEROMAC), { value: NO_ENTRY, label: NO_ENTRY }]
+      });
+    }
+  });
+  return questions.sort((a, b) => a.step - b.step || a.id - b.id);
+}
+
+// outcome: { frames: [{ frame, delivery }] the step sent, world after it }.
+// answer is a value, or an array of values for multi-choice questions.
+// Receivers are the NICs that take the frame in, not the ones that drop it.
+export function gradeAnswer(question, answer, outcome) {
+  let expected = null;
+  if (question.ask === "receivers") expected = [...new Set(outcome.frames[0]?.delivery.accepted ?? [])].sort();
+  if (question.ask === "field") expected = fieldOf(outcome.frames[0]?.frame, question.field) ?? null;
+  if (question.ask === "cache") expected = outcome.world.arpCaches[question.device]?.[question.ip]?.mac ?? NO_ENTRY;
+  const correct = Array.isArray(expected) ? JSON.stringify([...answer].sort()) === JSON.stringify(expected) : answer === expected;
+  return { correct, expected };
+}
+
+// ---- Animation timing ----
+// A frame moves one hop per time unit, plus the extra units of slow links,
+// so a delivery lasts until its last hop lands; the run is stretched for
+// longer or slower paths.
+export function animTiming(hops) {
+  const units = hops.reduce((m, h) => Math.max(m, h.at + 1 + h.slow), 1);
+  return { units, durationMs: Math.max(1200, 600 * units) };
+}
+
+// A hop starting at a travels during [a, a + HOP_TRAVEL + slow) and dwells
+// at the next switch until a + 1 + slow, when that switch's own hops take
+// over. Leaf hops (hosts, filtered or looped frames) stay at their end
+// point; a lost frame vanishes halfway down the link.
+// T is the elapsed time in hop units.
+export function hopPhase(hop, T) {
+  const local = T - hop.at;
+  const travel = HOP_TRAVEL + hop.slow;
+  if (local < 0) return { phase: "pending" };
+  if (hop.lost && local >= travel / 2) return { phase: "lost", u: 0.5 };
+  if (local < travel) return { phase: "travel", u: local / travel };
+  if (!hop.leaf && local >= 1 + hop.slow) return { phase: "done" };
+  return { phase: "rest" };
+}
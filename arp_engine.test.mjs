@@ -0,0 +1,820 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BROADCAST,
+  CRAFT_PRESETS,
+  DEFAULT_QUIZ,
+  LABS,
+  ZEROMAC,
+  autoLayout,
+  bigLanTopology,
+  blockedPorts,
+  bridgeId,
+  buildPcap,
+  buildQuiz,
+  compileFilter,
+  createEngine,
+  decodeLabHash,
+  defaultTopology,
+  dhcpTopology,
+  encodeFrame,
+  encodeLabHash,
+  formatFrame,
+  frameFields,
+  gradeAnswer,
+  makeBpdu,
+  makeEcho,
+  makeReply,
+  makeRequest,
+  multicastMac,
+  propagateFrame,
+  receiveArp,
+  redundantTopology,
+  routedTopology,
+  serializeLab,
+  solicitedNode,
+  spanningTree,
+  summarizeFrame,
+  tagFrame,
+  toIpv6,
+  topologyBounds,
+  validateLab,
+  vlanTopology
+} from "./arp_engine.mjs";
+
+const PC1 = { name: "PC1", ip: "192.168.1.10", mac: "00:1a:2b:3c:4d:10" };
+const PC3 = { name: "PC3", ip: "192.168.1.30", mac: "00:1a:2b:3c:4d:30" };
+
+function engineFor(actions, opts = {}) {
+  return createEngine({
+    topology: opts.topology ?? defaultTopology(),
+    scenario: { senderId: "PC1", targetId: "PC3", attackerId: "PC2", actions, ipVersion: opts.ipVersion ?? 4 },
+    defenses: opts.defenses ?? {},
+    arpTimeout: opts.arpTimeout ?? 30
+  });
+}
+
+// Every event a full run emits, in order
+function record(engine) {
+  const events = [];
+  engine.subscribe((e) => events.push(e));
+  engine.run();
+  return events;
+}
+
+const frames = (events) => events.filter((e) => e.type === "frame");
+const arpFrames = (events) => frames(events).filter((e) => e.frame.arp);
+const logs = (events) => events.filter((e) => e.type === "log").map((e) => e.line);
+
+test("makeRequest builds a broadcast who-has with an unknown THA", () => {
+  const { kind, frame } = makeRequest(PC1, PC3.ip);
+  assert.equal(kind, "ARP_REQUEST");
+  assert.deepEqual(frame.eth, { dst: BROADCAST, src: PC1.mac, type: 0x0806 });
+  assert.equal(frame.arp.opcode, 1);
+  assert.equal(frame.arp.spa, PC1.ip);
+  assert.equal(frame.arp.tha, ZEROMAC);
+  assert.equal(frame.arp.tpa, PC3.ip);
+});
+
+test("makeReply is unicast back to the requester with the answer in SHA/SPA", () => {
+  const { kind, frame } = makeReply(PC3, PC1);
+  assert.equal(kind, "ARP_REPLY");
+  assert.equal(frame.eth.dst, PC1.mac);
+  assert.equal(frame.arp.opcode, 2);
+  assert.equal(frame.arp.sha, PC3.mac);
+  assert.equal(frame.arp.tha, PC1.mac);
+  assert.equal(frame.arp.tpa, PC1.ip);
+});
+
+test("an echo request encodes as IPv4 + ICMP with valid checksums", () => {
+  const frame = { eth: { dst: PC3.mac, src: PC1.mac, type: 0x0800 }, ...makeEcho(PC1.ip, PC3.ip, { seq: 2, ttl: 128 }) };
+  const bytes = encodeFrame(frame);
+  assert.equal(bytes.length, 14 + 20 + 8 + 32);
+  const sum = (b) => {
+    let s = 0;
+    for (let i = 0; i < b.length; i += 2) s += (b[i] << 8) + (b[i + 1] ?? 0);
+    while (s > 0xffff) s = (s & 0xffff) + (s >> 16);
+    return s;
+  };
+  assert.equal(sum(bytes.slice(14, 34)), 0xffff);
+  assert.equal(sum(bytes.slice(34)), 0xffff);
+  assert.deepEqual([bytes[22], bytes[23], bytes[34], bytes[41]], [128, 1, 8, 2]);
+  const text = formatFrame(frame);
+  assert.match(text.ipv4, /Protocol: 1 \(ICMP\)/);
+  assert.match(text.icmp, /Type: 8 \(echo request\)/);
+  assert.deepEqual(
+    frameFields(frame).map((f) => f.layer).filter((l, i, all) => all.indexOf(l) === i),
+    ["ethernet", "ipv4", "icmp"]
+  );
+});
+
+test("formatFrame names the layers; IPv4 data frames have no ARP part", () => {
+  const text = formatFrame(makeRequest(PC1, PC3.ip).frame);
+  assert.match(text.ethernet, /Type: 0x0806 \(ARP\)/);
+  assert.match(text.arp, /opcode: 1 \(request\)/);
+  assert.equal(formatFrame({ eth: { dst: PC3.mac, src: PC1.mac, type: 0x0800 } }).arp, null);
+});
+
+test("a broadcast request is flooded to every other host and the switch learns the sender", () => {
+  const { nodes, links } = defaultTopology();
+  const res = propagateFrame(makeRequest(PC1, PC3.ip).frame, "PC1", nodes, links, { SW1: {} }, 0);
+  assert.deepEqual(res.delivered.sort(), ["PC2", "PC3", "PC4"]);
+  assert.ok(res.logs.includes("SW1 floods broadcast out Fa0/2, Fa0/3, Fa0/4"));
+  assert.equal(res.flooded, false); // only unknown unicast counts as a flood
+  assert.equal(res.tables.SW1[PC1.mac].port, "Fa0/1");
+});
+
+test("the reply is forwarded out the requester's port only", () => {
+  const { nodes, links } = defaultTopology();
+  const req = propagateFrame(makeRequest(PC1, PC3.ip).frame, "PC1", nodes, links, { SW1: {} }, 0);
+  const res = propagateFrame(makeReply(PC3, PC1).frame, "PC3", nodes, links, req.tables, 1);
+  assert.deepEqual(res.delivered, ["PC1"]);
+  assert.equal(res.flooded, false);
+  assert.equal(res.tables.SW1[PC3.mac].port, "Fa0/3");
+});
+
+test("resolving fills both caches with REACHABLE entries", () => {
+  const engine = engineFor([{ type: "send" }]);
+  const world = engine.run();
+  assert.equal(world.arpCaches.PC1[PC3.ip].mac, PC3.mac);
+  assert.equal(world.arpCaches.PC1[PC3.ip].state, "REACHABLE");
+  assert.equal(world.arpCaches.PC3[PC1.ip].mac, PC1.mac);
+  assert.deepEqual(world.arpCaches.PC2, {});
+});
+
+test("a second send is a cache hit: one request and one reply on the wire", () => {
+  const events = record(engineFor([{ type: "send" }, { type: "send" }]));
+  assert.deepEqual(
+    arpFrames(events).map((e) => [e.frame.arp.opcode, e.mode]),
+    [
+      [1, "broadcast"],
+      [2, "unicast"]
+    ]
+  );
+  assert.ok(logs(events).some((l) => l.includes("ARP cache hit")));
+});
+
+test("an entry past the timeout goes STALE and the next send re-ARPs", () => {
+  const engine = engineFor([{ type: "send" }, { type: "wait", seconds: 45 }, { type: "send" }]);
+  const events = record(engine);
+  assert.ok(logs(events).some((l) => l.includes("192.168.1.30 is now STALE")));
+  assert.equal(arpFrames(events).filter((e) => e.frame.arp.opcode === 1).length, 2);
+  assert.equal(engine.getWorld().arpCaches.PC1[PC3.ip].state, "REACHABLE");
+});
+
+test("the ping waits in the queue during ARP, leaves on the reply and is dropped on failure", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.goto(engine.script.findIndex((st) => st.kind === "ARP_REPLY"));
+  assert.equal(engine.getWorld().pending.PC1[PC3.ip].icmp.type, 8);
+  const events = record(engine);
+  assert.deepEqual(engine.getWorld().pending, {});
+  assert.ok(logs(events).includes(`PC1 releases the queued ICMP echo request for ${PC3.ip} to ${PC3.mac}`));
+  assert.deepEqual(frames(events).map((e) => e.frame.icmp.type), [8, 0]);
+
+  const topology = defaultTopology();
+  topology.links = topology.links.filter((l) => l.b !== "PC3");
+  const lost = engineFor([{ type: "send" }], { topology });
+  const dropped = record(lost);
+  assert.deepEqual(lost.getWorld().pending, {});
+  assert.ok(frames(dropped).every((e) => e.frame.arp));
+  assert.ok(logs(dropped).some((l) => l.startsWith("The queued ICMP echo request for 192.168.1.30 is dropped")));
+});
+
+test("unanswered requests are retried, then the entry is FAILED", () => {
+  const topology = defaultTopology();
+  topology.links = topology.links.filter((l) => l.b !== "PC3");
+  const engine = engineFor([{ type: "send" }], { topology });
+  const events = record(engine);
+  assert.equal(frames(events).length, 3);
+  assert.deepEqual(engine.getWorld().arpCaches.PC1[PC3.ip], { mac: null, state: "FAILED", at: engine.getWorld().time });
+});
+
+test("the clock is deterministic and only moves with the script", () => {
+  const a = engineFor([{ type: "send" }, { type: "wait", seconds: 5 }]);
+  const b = engineFor([{ type: "send" }, { type: "wait", seconds: 5 }]);
+  assert.deepEqual(record(a), record(b));
+  assert.equal(a.getWorld().time, a.script.length + 5);
+  a.tick(10);
+  assert.equal(a.getWorld().time, a.script.length + 15);
+});
+
+test("reset restores the initial world and rewinds the queue", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.run();
+  engine.reset();
+  assert.equal(engine.getCursor(), 0);
+  assert.equal(engine.getWorld().time, 0);
+  assert.deepEqual(engine.getWorld().arpCaches.PC1, {});
+});
+
+test("DAI drops a forged reply before it reaches the victim", () => {
+  const spoof = [{ type: "send" }, { type: "spoof", victim: "sender", as: "target" }];
+  const open = engineFor(spoof).run();
+  const guarded = engineFor(spoof, { defenses: { dai: true } }).run();
+  assert.equal(open.arpCaches.PC1[PC3.ip].mac, "00:1a:2b:3c:4d:20");
+  assert.equal(guarded.arpCaches.PC1[PC3.ip].mac, PC3.mac);
+});
+
+test("every frame sent is captured and encodes to a libpcap record", () => {
+  const world = engineFor([{ type: "send" }]).run();
+  assert.equal(world.capture.length, 4); // request, reply, echo request, echo reply
+  const bytes = encodeFrame(world.capture[0].frame);
+  assert.equal(bytes.length, 60);
+  assert.deepEqual([...bytes.slice(12, 14)], [0x08, 0x06]);
+  const pcap = buildPcap(world.capture, 0);
+  const view = new DataView(pcap.buffer);
+  assert.equal(view.getUint32(0, true), 0xa1b2c3d4);
+  assert.equal(view.getUint32(20, true), 1);
+  assert.equal(pcap.length, 24 + 2 * (16 + 60) + 2 * (16 + 74));
+});
+
+test("goto restores the exact world of an earlier step without replaying it", () => {
+  const engine = engineFor([{ type: "send" }, { type: "send" }]);
+  const events = record(engine);
+  const end = engine.getWorld();
+  engine.goto(1);
+  assert.deepEqual(engine.getWorld().arpCaches.PC1, {});
+  assert.equal(engine.getCursor(), 2);
+  engine.goto(engine.script.length - 1);
+  assert.equal(engine.getWorld(), end);
+  assert.equal(arpFrames(events).length, 2);
+});
+
+test("ticking the clock in the past discards the snapshots after it", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.run();
+  const seen = [];
+  engine.subscribe((e) => seen.push(e.type));
+  engine.goto(0);
+  engine.tick(10);
+  assert.deepEqual(seen, ["restore", "state", "discard", "state"]);
+  assert.equal(engine.getHistoryLength(), 1);
+  engine.step();
+  assert.equal(engine.getWorld().time, 12);
+});
+
+test("a gateway that is not a router drops the packet instead of routing it", () => {
+  const topology = routedTopology();
+  topology.nodes.PC1.gateway = "192.168.1.20";
+  const engine = engineFor([{ type: "send", to: "PC4" }], { topology });
+  const last = engine.script.at(-1);
+  assert.equal(last.kind, "NO_ROUTE");
+  assert.equal(last.title, "PC2 is not a router: packet dropped");
+  assert.doesNotThrow(() => engine.run());
+});
+
+const savedLab = () =>
+  serializeLab({
+    topology: routedTopology(),
+    scenario: { senderId: "PC1", targetId: "PC3", attackerId: "PC2", presetId: "spoof" },
+    defenses: { staticArp: false, dai: true, dupMacAlert: false },
+    arpTimeout: 60,
+    macAging: 300
+  });
+
+test("a saved lab validates back into the same lab", () => {
+  const { lab, errors } = validateLab(JSON.parse(JSON.stringify(savedLab())));
+  assert.equal(errors, undefined);
+  assert.deepEqual(lab.topology, routedTopology());
+  assert.equal(lab.scenario.presetId, "spoof");
+  assert.equal(lab.defenses.dai, true);
+  assert.equal(lab.arpTimeout, 60);
+});
+
+test("validation names every bad field", () => {
+  const doc = savedLab();
+  doc.topology.nodes.PC1.ip = "192.168.1.300";
+  doc.topology.links.push({ a: "PC1", b: "PC9" });
+  doc.scenario.targetId = "SW1";
+  doc.scenario.actions = [{ type: "wait" }, { type: "send", ip: 5, seq: -1 }, { type: "send", ip: "192.168.2.40" }];
+  assert.deepEqual(validateLab(doc).errors, [
+    'topology.nodes.PC1.ip: "192.168.1.300" is not a valid IPv4 address',
+    "topology.links[6] must join two existing devices",
+    'scenario.targetId: "SW1" is not a PC in the topology',
+    "scenario.actions[0].seconds must be a positive number",
+    "scenario.actions[1].ip: 5 is not a valid IPv4 address",
+    "scenario.actions[1].seq must be an ICMP sequence number (0-65535)"
+  ]);
+  assert.match(validateLab({ ...savedLab(), version: 99 }).errors[0], /newer simulator/);
+  assert.deepEqual(validateLab({ ...savedLab(), version: 0 }).errors, ["version 0 is not a lab version (they start at 1)."]);
+  assert.match(validateLab({ ...savedLab(), version: -3 }).errors[0], /not a lab version/);
+  assert.match(validateLab([]).errors[0], /not a JSON object/);
+});
+
+test("validation checks the ports and ends of every link", () => {
+  const doc = savedLab();
+  const links = doc.topology.links;
+  links[4] = { ...links[4], bPort: "Gi9/9" };
+  links[5] = { ...links[5], bPort: undefined };
+  links.push({ a: "SW1", b: "PC1", aPort: "Fa0/9" }, { a: "SW2", b: "PC1", aPort: 7 }, { a: "SW2", b: "PC2", aPort: "Fa0/1" });
+  assert.deepEqual(validateLab(JSON.parse(JSON.stringify(doc))).errors, [
+    'topology.links[4].bPort: "Gi9/9" is not an interface of R1 (Gi0/0, Gi0/1)',
+    "topology.links[5].bPort is missing: a link to router R1 must name its interface",
+    "topology.links[6]: SW1 and PC1 are already linked by topology.links[0]",
+    "topology.links[6]: PC1 has a single NIC, already linked by topology.links[0]",
+    "topology.links[7].aPort must be a port or interface name",
+    "topology.links[7]: PC1 has a single NIC, already linked by topology.links[0]",
+    "topology.links[8].aPort: SW2 Fa0/1 is already used by topology.links[2]",
+    "topology.links[8]: PC2 has a single NIC, already linked by topology.links[1]"
+  ]);
+});
+
+test("validation wants each gateway to be a router on the host's subnet", () => {
+  const doc = savedLab();
+  doc.topology.nodes.PC1.gateway = "192.168.1.20";
+  doc.topology.nodes.PC3.gateway = "192.168.1.1";
+  assert.deepEqual(validateLab(JSON.parse(JSON.stringify(doc))).errors, [
+    "topology.nodes.PC1.gateway: 192.168.1.20 is PC2, a pc and not a router",
+    "topology.nodes.PC3.gateway: 192.168.1.1 is not on 192.168.2.0/24"
+  ]);
+  // Loaded anyway, the lab runs: the packet stops at the host
+  const engine = createEngine({ ...doc, scenario: { ...doc.scenario, targetId: "PC4" }, arpTimeout: 60 });
+  assert.doesNotThrow(() => engine.run());
+  assert.equal(engine.script.at(-1).title, "PC2 is not a router: packet dropped");
+});
+
+test("a lab survives the URL hash round trip", async () => {
+  const hash = await encodeLabHash(savedLab());
+  assert.match(hash, /^lab=[A-Za-z0-9_-]+$/);
+  assert.deepEqual(await decodeLabHash(`#${hash}`), savedLab());
+  assert.equal(await decodeLabHash("#other"), null);
+  assert.ok((await decodeLabHash("#lab=AAAA")).errors);
+});
+
+test("console ping resolves on a cache miss and prints Windows output", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.step();
+  const seen = [];
+  engine.subscribe((e) => seen.push(e));
+  const out = engine.command("PC1", "ping 192.168.1.30");
+  assert.equal(out[1], "Reply from 192.168.1.30: bytes=32 time<1ms TTL=128");
+  assert.deepEqual(arpFrames(seen).map((e) => e.frame.arp.opcode), [1, 2]);
+  assert.equal(frames(seen).length, 2 + 4 * 2);
+  assert.deepEqual(engine.command("PC1", "arp -a").slice(1), [
+    "  Internet Address      Physical Address      Type",
+    "  192.168.1.30          00-1a-2b-3c-4d-30     dynamic"
+  ]);
+  assert.deepEqual(engine.command("PC1", "ip neigh"), ["192.168.1.30 dev eth0 lladdr 00:1a:2b:3c:4d:30 REACHABLE"]);
+  assert.match(engine.command("PC1", "ping 192.168.1.77")[1], /Reply from 192.168.1.10: Destination host unreachable/);
+  assert.equal(engine.command("PC1", "ip neigh").at(-1), "192.168.1.77 dev eth0 FAILED");
+
+  // -n picks the count, before or after the host; other options are refused
+  assert.match(engine.command("PC1", "ping -n 2 192.168.1.30").at(-1), /Sent = 2, Received = 2, Lost = 0/);
+  assert.match(engine.command("PC1", "ping 192.168.1.30 -n 1").at(-1), /Sent = 1,/);
+  assert.deepEqual(engine.command("PC1", "ping 192.168.1.30 -n 99999"), ["Bad value for option -n, valid range is from 1 to 10."]);
+  assert.deepEqual(engine.command("PC1", "ping 192.168.1.30 -t").slice(0, 3), ["Bad option -t.", "", "Usage: ping [-n count] target_name"]);
+  assert.equal(engine.command("PC1", "ping")[0], "Usage: ping [-n count] target_name");
+});
+
+test("arp -s adds a static entry that ping uses without asking; arp -d removes it", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.step();
+  engine.command("PC1", "arp -s 192.168.1.30 00-1a-2b-3c-4d-30");
+  assert.equal(engine.getWorld().arpCaches.PC1[PC3.ip].state, "PERMANENT");
+  const seen = [];
+  engine.subscribe((e) => seen.push(e));
+  engine.command("PC1", "ping 192.168.1.30");
+  const asked = arpFrames(seen).filter((e) => e.frame.arp.opcode === 1);
+  assert.deepEqual(asked.map((e) => e.frame.arp.sha), [PC3.mac]); // only PC3 ARPs, to answer
+  assert.equal(engine.getWorld().arpCaches.PC1[PC3.ip].state, "PERMANENT");
+  engine.command("PC1", "arp -d 192.168.1.30");
+  assert.deepEqual(engine.getWorld().arpCaches.PC1, {});
+  assert.match(engine.command("PC1", "arp -d 192.168.1.30")[0], /not found/);
+  assert.match(engine.command("PC1", "arp -s 192.168.1.30 nope")[0], /parameter is incorrect/);
+});
+
+test("show mac address-table lists what the switch learned, in IOS format", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.run();
+  const out = engine.command("SW1", "show mac address-table");
+  assert.ok(out.includes("   1    001a.2b3c.4d10    DYNAMIC     Fa0/1"));
+  assert.equal(out.at(-1), "Total Mac Addresses for this criterion: 2");
+  assert.match(engine.command("SW1", "arp -a")[0], /Invalid input/);
+});
+
+// Play a run and keep what each step did, the way the UI grades a quiz
+function outcomes(engine) {
+  const byStep = {};
+  engine.subscribe((e) => {
+    const at = engine.getCursor() - 1;
+    byStep[at] ??= { frames: [] };
+    if (e.type === "frame") byStep[at].frames.push(e);
+    if (e.type === "state") byStep[at].world = e.world;
+  });
+  engine.run();
+  return byStep;
+}
+
+test("the built-in quiz asks before the request, reply and cache update, graded on what happened", () => {
+  const scenario = { senderId: "PC1", targetId: "PC3", attackerId: "PC2" };
+  const engine = engineFor([{ type: "send" }]);
+  const quiz = buildQuiz(DEFAULT_QUIZ, engine.script, defaultTopology().nodes, scenario);
+  assert.deepEqual(
+    quiz.map((q) => [engine.script[q.step].kind, q.ask]),
+    [
+      ["ARP_REQUEST", "receivers"],
+      ["ARP_REQUEST", "field"],
+      ["ARP_REPLY", "field"],
+      ["CACHE_UPDATE", "cache"],
+      ["DATA", "field"]
+    ]
+  );
+  const done = outcomes(engine);
+  const [receivers, tha, replyDst, cache] = quiz;
+  assert.equal(gradeAnswer(receivers, ["PC4", "PC2", "PC3"], done[receivers.step]).correct, true);
+  assert.equal(gradeAnswer(receivers, ["PC3"], done[receivers.step]).correct, false);
+  assert.equal(gradeAnswer(tha, ZEROMAC, done[tha.step]).correct, true);
+  assert.deepEqual(gradeAnswer(replyDst, BROADCAST, done[replyDst.step]), { correct: false, expected: PC1.mac });
+  assert.equal(gradeAnswer(cache, PC3.mac, done[cache.step]).correct, true);
+});
+
+test("instructor questions pick the nth step, resolve roles and travel in the lab file", () => {
+  const spec = [{ step: "CACHE_CHECK", nth: 3, ask: "cache", device: "sender", ip: "target" }];
+  const engine = engineFor([{ type: "send" }, { type: "send" }]);
+  const scenario = { senderId: "PC1", targetId: "PC3", attackerId: "PC2" };
+  const [q] = buildQuiz(spec, engine.script, defaultTopology().nodes, scenario);
+  const checks = engine.script.flatMap((st, i) => (st.kind === "CACHE_CHECK" ? [i] : []));
+  assert.equal(q.step, checks[2]);
+  assert.deepEqual([q.device, q.ip], ["PC1", PC3.ip]);
+  assert.equal(buildQuiz([{ step: "ARP_SPOOF", ask: "receivers" }], engine.script, defaultTopology().nodes, scenario).length, 0);
+
+  const doc = { ...savedLab(), quiz: spec };
+  assert.deepEqual(validateLab(JSON.parse(JSON.stringify(doc))).lab.quiz, spec);
+  doc.quiz = [{ step: "ARP_REPLY", ask: "field", field: "arp.nope" }, { step: "ARP_REPLY", ask: "cache", device: "PC9" }];
+  assert.deepEqual(validateLab(doc).errors, [
+    'quiz[0].field: "arp.nope" is not one of eth.dst, eth.src, arp.sha, arp.spa, arp.tha, arp.tpa, ipv4.src, ipv4.dst, ipv6.src, ipv6.dst, icmpv6.target',
+    'quiz[1].device: "PC9" is not sender/target/attacker or a device id'
+  ]);
+});
+
+test("IPv6 maps each IPv4 address into fd00::/16 and solicits its solicited-node group", () => {
+  assert.equal(toIpv6(PC3.ip), "fd00:192:168:1::30");
+  assert.equal(toIpv6(toIpv6(PC3.ip)), "fd00:192:168:1::30");
+  assert.equal(solicitedNode("fd00:192:168:1::30"), "ff02::1:ff00:30");
+  assert.equal(multicastMac("ff02::1:ff00:30"), "33:33:ff:00:00:30");
+});
+
+test("in IPv6 mode the solicitation is multicast, other NICs drop it and the neighbor cache fills", () => {
+  const engine = engineFor([{ type: "send" }], { ipVersion: 6 });
+  const [ns, na, echo] = frames(record(engine));
+  assert.equal(ns.frame.eth.dst, "33:33:ff:00:00:30");
+  assert.deepEqual(ns.frame.icmpv6, { type: 135, code: 0, target: "fd00:192:168:1::30", sll: PC1.mac });
+  const ignored = ns.delivery.hops.filter((h) => h.ignored).map((h) => h.to);
+  assert.deepEqual(ignored.sort(), ["PC2", "PC4"]);
+  assert.equal(na.frame.eth.dst, PC1.mac);
+  assert.equal(na.frame.icmpv6.type, 136);
+  assert.match(formatFrame(na.frame).icmpv6, /^Flags: 0x60000000 \(Router 0, Solicited 1, Override 1\)$/m);
+  assert.equal(echo.frame.icmpv6.type, 128);
+
+  const bytes = encodeFrame(ns.frame);
+  assert.deepEqual([bytes[12], bytes[13], bytes[20], bytes[21]], [0x86, 0xdd, 58, 255]);
+  const body = bytes.slice(54);
+  const pseudo = [...bytes.slice(22, 54), 0, 0, 0, body.length, 0, 0, 0, 58];
+  let sum = 0;
+  const words = [...pseudo, ...body];
+  for (let i = 0; i < words.length; i += 2) sum += (words[i] << 8) + (words[i + 1] ?? 0);
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >> 16);
+  assert.equal(sum, 0xffff);
+
+  const world = engine.getWorld();
+  assert.equal(world.arpCaches.PC1["fd00:192:168:1::30"].state, "REACHABLE");
+  assert.deepEqual(engine.command("PC1", "ip -6 neigh"), ["fd00:192:168:1::30 dev eth0 lladdr 00:1a:2b:3c:4d:30 REACHABLE"]);
+  assert.deepEqual(engine.command("PC1", "ip -4 neigh"), []);
+});
+
+test("a quiz on who takes in a solicitation expects only the solicited-node listener", () => {
+  const scenario = { senderId: "PC1", targetId: "PC3", attackerId: "PC2" };
+  const engine = engineFor([{ type: "send" }], { ipVersion: 6 });
+  const [q] = buildQuiz([{ step: "ND_SOLICIT", ask: "receivers" }], engine.script, defaultTopology().nodes, scenario);
+  const done = outcomes(engine);
+  assert.deepEqual(done[q.step].frames[0].delivery.delivered.sort(), ["PC2", "PC3", "PC4"]);
+  assert.deepEqual(gradeAnswer(q, ["PC3"], done[q.step]), { correct: true, expected: ["PC3"] });
+  assert.equal(gradeAnswer(q, ["PC2", "PC3", "PC4"], done[q.step]).correct, false);
+});
+
+test("IPv6 duplicate address detection solicits from :: and the owner answers all nodes", () => {
+  const engine = engineFor([{ type: "probe", device: "target", ipOf: "sender" }], { ipVersion: 6 });
+  const events = record(engine);
+  const [dad, defense] = frames(events);
+  assert.equal(dad.frame.ipv6.src, "::");
+  assert.equal(dad.frame.icmpv6.target, "fd00:192:168:1::10");
+  assert.equal(defense.frame.ipv6.dst, "ff02::1");
+  assert.equal(defense.frame.icmpv6.type, 136);
+  assert.equal(engine.script.at(-1).kind, "CONFLICT");
+  assert.equal(engine.getWorld().ipOverrides.PC3, undefined);
+});
+
+test("a broadcast stays in its VLAN and crosses the trunk with an 802.1Q tag", () => {
+  const engine = engineFor([{ type: "send" }], { topology: vlanTopology() });
+  const [request] = frames(record(engine));
+  assert.deepEqual(
+    request.delivery.hops.map((h) => [h.to, h.tag]),
+    [
+      ["SW1", null],
+      ["SW2", 10],
+      ["PC3", null]
+    ]
+  );
+  assert.equal(engine.getWorld().arpCaches.PC1[PC3.ip].state, "REACHABLE");
+  assert.equal(engine.getWorld().macTables.SW2[PC1.mac].vlan, 10);
+  assert.deepEqual(engine.command("SW1", "show vlan brief").slice(2), [
+    "1    default                          active",
+    "10   VLAN0010                         active    Fa0/1",
+    "20   VLAN0020                         active    Fa0/2"
+  ]);
+
+  const bytes = encodeFrame(tagFrame(request.frame, 10));
+  assert.deepEqual([...bytes.slice(12, 18)], [0x81, 0x00, 0x00, 0x0a, 0x08, 0x06]);
+  assert.equal(bytes.length, 64);
+});
+
+test("hosts in different VLANs do not resolve each other", () => {
+  const topology = vlanTopology();
+  const engine = createEngine({
+    topology,
+    scenario: { senderId: "PC1", targetId: "PC2", attackerId: "PC4", actions: [{ type: "send" }] }
+  });
+  const events = record(engine);
+  assert.ok(arpFrames(events).every((e) => !e.delivery.delivered.includes("PC2")));
+  assert.equal(engine.getWorld().arpCaches.PC1["192.168.1.20"].state, "FAILED");
+});
+
+test("a DHCP client leases an address with DORA and probes it before pinging", () => {
+  const engine = engineFor([{ type: "dhcp", device: "sender" }, { type: "send" }], { topology: dhcpTopology() });
+  assert.equal(engine.getWorld().ipOverrides.PC1, "0.0.0.0");
+  const events = record(engine);
+  const dora = frames(events).filter((e) => e.frame.dhcp);
+  assert.deepEqual(
+    dora.map((e) => [e.frame.dhcp.type, e.frame.eth.dst, e.frame.ipv4.src, e.mode]),
+    [
+      [1, BROADCAST, "0.0.0.0", "broadcast"],
+      [2, PC1.mac, "192.168.1.2", "unicast"],
+      [3, BROADCAST, "0.0.0.0", "broadcast"],
+      [5, PC1.mac, "192.168.1.2", "unicast"]
+    ]
+  );
+  const kinds = engine.script.map((st) => st.kind);
+  assert.ok(kinds.indexOf("DHCP_ACK") < kinds.indexOf("ARP_PROBE"));
+  assert.ok(kinds.indexOf("CHANGE_IP") < kinds.indexOf("ARP_REQUEST"));
+  const request = arpFrames(events).find((e) => e.frame.arp.opcode === 1 && !e.frame.variant);
+  assert.equal(request.frame.arp.spa, "192.168.1.100");
+
+  const world = engine.getWorld();
+  assert.equal(world.ipOverrides.PC1, "192.168.1.100");
+  assert.equal(world.leases.PC1.gateway, "192.168.1.1");
+  assert.equal(world.arpCaches.PC3["192.168.1.100"].mac, PC1.mac);
+
+  const bytes = encodeFrame(dora[3].frame);
+  assert.equal(bytes.length, 14 + 20 + 8 + 240 + 28);
+  assert.deepEqual([...bytes.slice(278, 285)], [0x63, 0x82, 0x53, 0x63, 53, 1, 5]);
+  assert.ok(frameFields(dora[3].frame).some((f) => f.key === "dhcp.yiaddr" && f.text.endsWith("192.168.1.100")));
+});
+
+test("a DHCP client declines an address its probe finds in use and takes the next one", () => {
+  const topology = dhcpTopology();
+  topology.nodes.PC3 = { ...topology.nodes.PC3, ip: "192.168.1.100" };
+  const engine = engineFor([{ type: "dhcp", device: "sender" }], { topology });
+  const events = record(engine);
+  const kinds = engine.script.map((st) => st.kind);
+  assert.ok(kinds.indexOf("CONFLICT") < kinds.indexOf("DHCP_DECLINE"));
+  const offers = frames(events).filter((e) => e.frame.dhcp?.type === 2);
+  assert.deepEqual(offers.map((e) => e.frame.dhcp.yiaddr), ["192.168.1.100", "192.168.1.101"]);
+  assert.equal(engine.getWorld().ipOverrides.PC1, "192.168.1.101");
+  assert.equal(engine.getBindings()["192.168.1.101"].mac, PC1.mac);
+});
+
+test("a lossy link loses the frames its seed picks, and the same seed replays the run exactly", () => {
+  const topology = defaultTopology();
+  topology.links = topology.links.map((l) => (l.b === "PC3" ? { ...l, loss: 0.5 } : l));
+  const run = (seed) =>
+    createEngine({ topology, scenario: { senderId: "PC1", targetId: "PC3", attackerId: "PC2", presetId: "basic", seed } });
+  const engine = run(1);
+  const events = record(engine);
+  const noReply = engine.script.find((st) => st.kind === "NO_REPLY");
+  assert.equal(noReply.title, "No reply within 1s: PC3 answered, but the reply was lost on the SW1-PC3 link");
+  const lostReply = arpFrames(events).find((e) => e.frame.arp.opcode === 2);
+  assert.deepEqual(lostReply.delivery.hops.map((h) => [h.to, !!h.lost]), [["SW1", true]]);
+  assert.ok(engine.script.some((st) => st.kind === "CACHE_UPDATE"));
+
+  const again = run(1);
+  again.run();
+  assert.deepEqual(again.script, engine.script);
+  assert.equal(again.getWorld().rng, engine.getWorld().rng);
+  assert.notDeepEqual(run(3).script, engine.script);
+});
+
+test("DHCP, forged replies and probes draw their losses too", () => {
+  const cutOff = (topology, id) => ({ ...topology, links: topology.links.map((l) => (l.b === id ? { ...l, loss: 1 } : l)) });
+  const dhcp = engineFor([{ type: "dhcp", device: "sender" }], { topology: cutOff(dhcpTopology(), "PC1") });
+  dhcp.run();
+  const kinds = dhcp.script.map((st) => st.kind);
+  assert.equal(kinds.filter((k) => k === "DHCP_DISCOVER").length, 3);
+  assert.ok(!kinds.includes("DHCP_OFFER"));
+  assert.match(dhcp.script.find((st) => st.kind === "NO_REPLY").title, /the Discover never reached Server1 \(it is lost on the SW1-PC1 link\)/);
+  assert.deepEqual(dhcp.getWorld().leases, {});
+
+  const spoof = engineFor([{ type: "spoof", victim: "target", as: "sender" }], { topology: cutOff(defaultTopology(), "PC3") });
+  spoof.run();
+  assert.ok(!spoof.script.some((st) => st.kind === "CACHE_POISON"));
+  assert.equal(spoof.script.at(-1).title, "The forged frame never reaches PC3: it is lost on the SW1-PC3 link");
+
+  // The owner never hears the probes, so the duplicate address goes unnoticed
+  const probe = engineFor([{ type: "probe", device: "target", ipOf: "sender" }], { topology: cutOff(defaultTopology(), "PC1") });
+  probe.run();
+  assert.ok(!probe.script.some((st) => st.kind === "CONFLICT"));
+  assert.equal(probe.getWorld().ipOverrides.PC3, PC1.ip);
+});
+
+test("a powered-off target leaves a stale entry that fails to re-resolve, and its switch port is flushed", () => {
+  const engine = engineFor([{ type: "send" }, { type: "powerOff", device: "target" }, { type: "wait", seconds: 45 }, { type: "send" }]);
+  const lines = logs(record(engine));
+  assert.ok(lines.includes("SW1 MAC table: Fa0/3 went down, flushing 00:1a:2b:3c:4d:30"));
+  const after = engine.script.slice(engine.script.findIndex((st) => st.kind === "POWER_OFF"));
+  assert.deepEqual(
+    after.map((st) => st.kind).filter((k) => k.startsWith("CACHE_") || k === "NO_REPLY"),
+    ["CACHE_CHECK", "CACHE_STALE", "NO_REPLY", "NO_REPLY", "CACHE_FAILED"]
+  );
+  assert.ok(after.find((st) => st.kind === "NO_REPLY").title.endsWith("PC3 is powered off"));
+  assert.equal(engine.getWorld().arpCaches.PC1[PC3.ip].state, "FAILED");
+
+  // Unplugging mid-run replans the rest: the cached MAC is used, the frame is lost
+  const live = engineFor([{ type: "send" }, { type: "send" }]);
+  live.goto(live.script.findIndex((st) => st.kind === "DATA"));
+  live.inject({ type: "unplug", device: "PC3" });
+  live.run();
+  const kinds = live.script.map((st) => st.kind);
+  assert.deepEqual(kinds.slice(kinds.indexOf("LINK_DOWN")), ["LINK_DOWN", "CACHE_CHECK", "CACHE_HIT", "DATA", "FRAME_LOST"]);
+  assert.deepEqual(live.getWorld().faults.down, ["SW1-PC3"]);
+
+  // Reset goes back to the planned run, without the injected fault
+  const planned = engineFor([{ type: "send" }, { type: "send" }]).script;
+  live.reset();
+  assert.deepEqual(live.script, planned);
+  live.run();
+  assert.deepEqual(live.getWorld().faults.down, []);
+});
+
+test("concurrent flows share the clock: their frames go out in the same steps, tagged by flow", () => {
+  const engine = engineFor([{ type: "together", actions: [{ type: "send" }, { type: "send", from: "PC2", to: "PC4" }] }]);
+  const events = record(engine);
+  const groups = engine.script.filter((st) => st.kind === "GROUP");
+  assert.equal(groups.length, engine.script.length - 1);
+  const requests = arpFrames(events).filter((e) => e.frame.arp.opcode === 1);
+  assert.deepEqual(
+    requests.map((e) => [e.flow, e.frame.arp.spa, e.frame.arp.tpa]),
+    [
+      [0, PC1.ip, PC3.ip],
+      [1, "192.168.1.20", "192.168.1.40"]
+    ]
+  );
+  assert.equal(engine.getWorld().time, engine.script.length);
+  assert.equal(engine.getWorld().arpCaches.PC2["192.168.1.40"].state, "REACHABLE");
+
+  // Two hosts with the probed address both answer, in one step
+  const probe = engineFor([
+    { type: "changeIp", device: "PC2", ip: "192.168.1.99" },
+    { type: "changeIp", device: "PC4", ip: "192.168.1.99" },
+    { type: "probe", device: "target", ip: "192.168.1.99" }
+  ]);
+  probe.run();
+  const replies = probe.script.find((st) => st.kind === "GROUP" && st.steps.some((x) => x.kind === "ARP_REPLY"));
+  assert.deepEqual(replies.steps.map((x) => x.frame.arp.sha), ["00:1a:2b:3c:4d:20", "00:1a:2b:3c:4d:40"]);
+  assert.match(probe.script.at(-1).title, /in use by 00:1a:2b:3c:4d:20 and 00:1a:2b:3c:4d:40/);
+});
+
+test("capture rows summarize each frame and display filters pick them out", () => {
+  const engine = engineFor([{ type: "send" }]);
+  engine.run();
+  const frames = engine.getWorld().capture.map((r) => r.frame);
+  assert.deepEqual(
+    frames.slice(0, 3).map(summarizeFrame),
+    [
+      { source: PC1.mac, destination: "Broadcast", protocol: "ARP", info: `Who has ${PC3.ip}? Tell ${PC1.ip}` },
+      { source: PC3.mac, destination: PC1.mac, protocol: "ARP", info: `${PC3.ip} is at ${PC3.mac}` },
+      { source: PC1.ip, destination: PC3.ip, protocol: "ICMP", info: "Echo (ping) request id=0x0001, seq=1, ttl=128" }
+    ]
+  );
+
+  const count = (text) => frames.filter(compileFilter(text).test).length;
+  assert.equal(count(""), frames.length);
+  assert.equal(count("arp.opcode == 2"), 1);
+  assert.equal(count("eth.src == 00:1A:2B:3C:4D:10 && !arp"), count("icmp.type == 8"));
+  assert.equal(count("arp or (ip.addr == 192.168.1.30 and icmp)"), frames.length);
+  // != needs the field: ARP frames have no ip.addr
+  assert.equal(count("ip.addr != 192.168.1.99"), count("ip"));
+  // The quiz's RFC 826 names are aliases of the Wireshark ones
+  assert.equal(count("arp.spa == 192.168.1.10"), count("arp.src.proto_ipv4 == 192.168.1.10"));
+  assert.equal(count("arp.tha == 00:1a:2b:3c:4d:10"), 1);
+
+  assert.match(compileFilter("arp.op == 2").error, /"arp.op" is neither a protocol nor a field/);
+  assert.match(compileFilter("arp == 2").error, /"arp" is a protocol: it cannot be compared on its own, only its fields can \(such as arp.opcode\)/);
+  assert.match(compileFilter("eth.src == 10.0.0.1").error, /not a valid MAC address for eth.src/);
+  assert.match(compileFilter("(arp").error, /never closed/);
+});
+
+test("STP elects the lowest bridge ID as root and blocks one port of a switch loop; without it a broadcast storms", () => {
+  const topology = redundantTopology();
+  const tree = spanningTree(topology.nodes, topology.links);
+  assert.equal(tree.bridges.SW2.rootPort, "Fa0/23");
+  assert.deepEqual(blockedPorts(tree), [["SW3", "Fa0/24"]]);
+  const lower = { ...topology.nodes, SW3: { ...topology.nodes.SW3, stpPriority: 4096 } };
+  assert.deepEqual(spanningTree(lower, topology.links).bridges.SW1.root.mac, topology.nodes.SW3.mac);
+
+  const withStp = engineFor([{ type: "send" }], { topology });
+  const events = record(withStp);
+  const kinds = withStp.script.map((st) => st.kind);
+  assert.ok(kinds.indexOf("STP_CONVERGED") < kinds.indexOf("ARP_REQUEST"));
+  const request = arpFrames(events).find((e) => e.frame.arp.opcode === 1);
+  assert.equal(request.delivery.loop, false);
+  assert.ok(request.delivery.hops.some((h) => h.blocked && h.to === "SW3"));
+  assert.deepEqual(request.delivery.delivered.filter((id) => id === "PC3"), ["PC3"]);
+
+  const storm = engineFor([{ type: "send" }], { topology, defenses: { stp: false } });
+  const stormEvents = record(storm);
+  assert.ok(!storm.script.some((st) => st.kind === "STP_BPDU"));
+  const flood = arpFrames(stormEvents).find((e) => e.frame.arp.opcode === 1);
+  assert.equal(flood.delivery.loop, true);
+  assert.equal(flood.delivery.duplicates, 32);
+  assert.equal(flood.delivery.capped, true);
+  assert.equal(storm.getWorld().arpCaches.PC1[PC3.ip].state, "REACHABLE");
+});
+
+test("BPDUs encode as 802.3 + LLC, and unplugging a forwarding link unblocks the alternate port", () => {
+  const topology = redundantTopology();
+  const bpdu = makeBpdu(topology.nodes.SW1, "Fa0/23", bridgeId(topology.nodes.SW1), 0).frame;
+  const bytes = encodeFrame(bpdu);
+  assert.deepEqual([...bytes.slice(12, 17)], [0, 38, 0x42, 0x42, 0x03]);
+  assert.deepEqual([...bytes.slice(22, 24)], [0x80, 0x00]);
+  assert.equal(frameFields(bpdu).find((f) => f.key === "stp.port").text, "Port ID: 0x8017");
+
+  const engine = engineFor([{ type: "unplug", device: "SW1", port: "Fa0/24" }, { type: "send" }], { topology });
+  const lines = logs(record(engine));
+  assert.ok(lines.some((l) => /STP reconverges: SW3 Fa0\/24 stops blocking/.test(l)));
+  assert.equal(engine.getWorld().arpCaches.PC1[PC3.ip].state, "REACHABLE");
+});
+
+test("receivers check hand-made ARP frames in RFC 826 order: header, merge, target, then opcode", () => {
+  const preset = (id) => CRAFT_PRESETS.find((p) => p.id === id).build(PC1, PC3);
+  const crafted = (id) => {
+    const engine = engineFor([{ type: "craft", device: "PC1", frame: preset(id) }]);
+    return { engine, lines: logs(record(engine)), cache: engine.getWorld().arpCaches.PC3 };
+  };
+
+  const hlen = crafted("hlen");
+  assert.ok(hlen.lines.includes("PC3 drops it: hlen 8 is not the 6 bytes of a MAC address: SHA and THA cannot be read"));
+  assert.deepEqual(hlen.cache, {});
+  assert.equal(summarizeFrame(hlen.engine.getWorld().capture[0].frame).info, "[Malformed ARP] hlen 8 is not the 6 bytes of a MAC address");
+
+  const opcode = crafted("opcode");
+  assert.equal(opcode.cache[PC1.ip].mac, PC1.mac);
+  assert.ok(!opcode.engine.script.some((st) => st.kind === "ARP_REPLY"));
+  assert.match(formatFrame(preset("opcode")).arp, /opcode: 7 \(unknown\)/);
+
+  const unicast = crafted("unicast");
+  assert.ok(unicast.lines.includes(`PC2 ignores the frame: ${PC3.mac} is not its MAC`));
+  assert.equal(unicast.engine.getWorld().arpCaches.PC1[PC3.ip].mac, PC3.mac);
+
+  assert.equal(crafted("unsolicited").cache[PC1.ip].mac, PC1.mac);
+
+  // Not the target: only an entry it already has is merged, and static entries stay
+  const other = { ip: "192.168.1.20", mac: "00:1a:2b:3c:4d:20" };
+  const request = preset("request");
+  assert.equal(receiveArp(other, request, undefined).verdict, "ignore");
+  assert.equal(receiveArp(other, request, { mac: "00:00:00:00:00:99", permanent: false }).learn, PC1.mac);
+  assert.equal(receiveArp(PC3, request, { mac: "00:00:00:00:00:99", permanent: true }).learn, null);
+});
+
+test("lab files check the fields of a crafted frame", () => {
+  const doc = savedLab();
+  const frame = CRAFT_PRESETS[0].build(PC1, PC3);
+  doc.scenario.actions = [{ type: "craft", device: "PC1", frame: { ...frame, arp: { ...frame.arp, hlen: 300, tpa: "10.0.0" } } }];
+  assert.deepEqual(validateLab(doc).errors, [
+    'scenario.actions[0].frame.arp.tpa: "10.0.0" is not an IPv4 address',
+    "scenario.actions[0].frame.arp.hlen must be an integer from 0 to 255"
+  ]);
+});
+
+test("auto-layout hangs hosts under their switch without overlapping", () => {
+  const { nodes } = autoLayout(routedTopology(), "tree");
+  assert.ok(nodes.R1.y < nodes.SW1.y && nodes.SW1.y < nodes.PC1.y);
+  assert.ok(nodes.SW1.x < nodes.SW2.x);
+  const big = bigLanTopology(120);
+  const spots = new Set(Object.values(big.nodes).map((n) => `${n.x},${n.y}`));
+  assert.equal(spots.size, 126);
+  assert.ok(big.nodes.PC1.y > big.nodes.SW2.y && big.nodes.SW2.y > big.nodes.SW1.y);
+  const grid = autoLayout(big, "grid");
+  assert.equal(new Set(Object.values(grid.nodes).map((n) => `${n.x},${n.y}`)).size, 126);
+  assert.deepEqual(topologyBounds({ a: { x: 10, y: 40 }, b: { x: 110, y: 20 } }), { x: 10, y: 20, w: 100, h: 20 });
+});
+
+test("every host on the big flat LAN hears each ARP broadcast", () => {
+  const lab = LABS.find((l) => l.id === "big");
+  assert.equal(validateLab(JSON.parse(JSON.stringify(serializeLab({
+    topology: lab.build(),
+    scenario: { senderId: "PC1", targetId: "PC3", attackerId: "PC2", presetId: "custom", actions: lab.actions },
+    defenses: {}
+  })))).errors, undefined);
+  const frames = record(engineFor(lab.actions, { topology: lab.build() })).filter((e) => e.type === "frame");
+  const request = frames.find((e) => e.frame.arp?.opcode === 1);
+  assert.equal(request.delivery.delivered.length, 119);
+});
@@ -1,4 +1,66 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ARP_RETRIES,
+  ARP_TIMEOUT_OPTIONS,
+  CRAFT_PRESETS,
+  DEFAULT_QUIZ,
+  DEFAULT_SEED,
+  FILTER_EXAMPLES,
+  LABS,
+  MAC_AGING_OPTIONS,
+  QUIZ_FIELDS,
+  SCENARIOS,
+  STP_PRIORITY,
+  ZEROIP,
+  activeLinks,
+  addDevice,
+  animTiming,
+  arpHeaderFaults,
+  autoLayout,
+  buildPcap,
+  blockedPorts,
+  buildQuiz,
+  clamp,
+  compileFilter,
+  connectDevices,
+  craftErrors,
+  createEngine,
+  decodeLabHash,
+  defaultTopology,
+  describeArp,
+  describeDhcp,
+  describeNd,
+  describeStp,
+  deviceIps,
+  deviceMacs,
+  encodeFrame,
+  encodeLabHash,
+  formatFrame,
+  frameFields,
+  gradeAnswer,
+  hopPhase,
+  initialWorld,
+  ipv6Nodes,
+  isValidIp,
+  isValidMac,
+  isValidMask,
+  isSeed,
+  isStpPriority,
+  isValidVlan,
+  lerp,
+  linkKey,
+  liveNodes,
+  portVlan,
+  removeDevice,
+  serializeLab,
+  spanningTree,
+  subnetPrefix,
+  summarizeFrame,
+  tagFrame,
+  topologyBounds,
+  validateLab,
+  validateQuiz
+} from "./arp_engine.mjs";
 
 /**
  * ARP Simulator — Step-by-step UI (single-file React)
@@ -10,86 +72,429 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * - Colors: broadcast/request = yellow, reply = green
  * - "Pause on switch" like Packet Tracer (brief dwell at SW)
  * - Ethernet vs ARP layer toggle in frame-details panel
+ * - Switch MAC table: learning, flooding/forwarding and aging
+ * - Scenario engine: steps are generated from sender/target + an action list
+ * - Topology editor: drag, add/remove PCs and switches, wire ports, edit IP/MAC
+ * - Multi-switch LANs: hop-by-hop propagation with a dwell at every switch
+ * - Routers: default gateways, cross-subnet resolution and proxy ARP
+ * - ARP spoofing (MITM) with static entries, DAI and duplicate-MAC alerts as defenses
+ * - RFC 5227: ARP Probe, ARP Announcement, gratuitous ARP and address-conflict detection
+ * - ARP cache entry states (INCOMPLETE / REACHABLE / STALE / FAILED) with timeouts and retries
+ * - libpcap export of every frame sent during a run (open it in Wireshark)
+ * - Hex/ASCII dump of the selected frame with field <-> byte highlighting
+ * - Simulation runs in the headless engine (arp_engine.mjs); this file only renders it
+ * - Time travel: Back and the timeline restore the exact state after any step
+ * - Labs save/load as versioned JSON files and open from a shareable URL hash
+ * - Per-device console: arp -a/-d/-s, ip neigh and ping on PCs, show mac address-table on switches
+ * - The ICMP echo that needed ARP is sent too: queued while ARP is pending, then released or dropped
+ * - Quiz mode: predict frames and caches before a step plays, scored; instructors ship question sets in labs
+ * - IPv6 mode: Neighbor Discovery (NS to the solicited-node group, NA, DAD) and the neighbor cache next to ARP
+ * - VLANs: access ports per VLAN, 802.1Q trunks between switches, broadcasts stay inside their VLAN
+ * - DHCP: servers lease addresses with Discover/Offer/Request/Ack; clients ARP-probe the lease before using it
+ * - Faults: per-link latency and loss (seeded, replayable), unplug links and power devices off mid-run
+ * - Capture table: every frame with time, addresses, protocol and info; Wireshark-style display filters
+ * - Concurrent flows: frames from several hosts share one clock, each with its own dot, colour ring and details
+ * - STP: BPDUs elect a root bridge and block redundant ports; turn it off to watch a broadcast storm grow
+ * - Frame editor: hand-made (even malformed) ARP frames, and what each receiver makes of them under RFC 826
+ * - Big networks: wheel zoom, pan, fit and tree/grid auto-layout; memoised canvas pieces keep 100+ hosts smooth
  */
 
-const BROADCAST = "ff:ff:ff:ff:ff:ff";
-const ZEROMAC = "00:00:00:00:00:00";
-
-function hex16(n) {
-  return "0x" + n.toString(16).padStart(4, "0");
-}
+const ARP_STATE_COLORS = {
+  INCOMPLETE: "text-yellow-200",
+  REACHABLE: "text-emerald-200",
+  STALE: "text-white/50",
+  FAILED: "text-red-300",
+  PERMANENT: "text-sky-200"
+};
+const SVG_W = 1050;
+const SVG_H = 650;
 
 function now() {
   return new Date().toLocaleTimeString();
 }
 
-function clamp(v, a, b) {
-  return Math.max(a, Math.min(b, v));
+function downloadBytes(bytes, filename, type) {
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-function lerp(a, b, t) {
-  return a + (b - a) * t;
+// Timeline colours follow the packet colours on the canvas
+const TIMELINE_COLORS = {
+  ARP_REQUEST: "bg-yellow-400",
+  ARP_PROBE: "bg-yellow-400",
+  ARP_ANNOUNCE: "bg-yellow-400",
+  ARP_GRATUITOUS: "bg-yellow-400",
+  ARP_REPLY: "bg-emerald-400",
+  ARP_CRAFTED: "bg-amber-300",
+  ND_SOLICIT: "bg-orange-400",
+  ND_DAD: "bg-orange-400",
+  ND_ADVERT: "bg-emerald-400",
+  ND_UNSOLICITED: "bg-emerald-400",
+  DHCP_DISCOVER: "bg-yellow-400",
+  DHCP_REQUEST: "bg-yellow-400",
+  DHCP_DECLINE: "bg-yellow-400",
+  DHCP_OFFER: "bg-emerald-400",
+  DHCP_ACK: "bg-emerald-400",
+  PACKET_QUEUED: "bg-violet-400/50",
+  DATA: "bg-violet-400",
+  ARP_SPOOF: "bg-red-400",
+  CACHE_POISON: "bg-red-400",
+  CONFLICT: "bg-red-400",
+  CACHE_FAILED: "bg-red-400",
+  FRAME_LOST: "bg-red-400",
+  LINK_DOWN: "bg-red-400/60",
+  POWER_OFF: "bg-red-400/60",
+  LINK_UP: "bg-sky-400/60",
+  POWER_ON: "bg-sky-400/60",
+  STP_BPDU: "bg-sky-400",
+  STP_CONVERGED: "bg-sky-400/60",
+  GROUP: "bg-gradient-to-r from-yellow-400 to-emerald-400"
+};
+
+// What a frame is for: ARP, Neighbor Discovery, DHCP and STP frames, not data
+function describeFrame(frame) {
+  return frame.arp ? describeArp(frame) : (describeNd(frame) ?? describeDhcp(frame) ?? describeStp(frame));
 }
 
-function formatFrame(frame) {
-  const { eth, arp } = frame;
-  const op = arp.opcode === 1 ? "request" : arp.opcode === 2 ? "reply" : String(arp.opcode);
-  return {
-    ethernet: [`Dst: ${eth.dst}`, `Src: ${eth.src}`, `Type: ${hex16(eth.type)} (ARP)`].join("\n"),
-    arp: [
-      `htype: ${arp.htype} (Ethernet)`,
-      `ptype: ${hex16(arp.ptype)} (IPv4)`,
-      `hlen:  ${arp.hlen}`,
-      `plen:  ${arp.plen}`,
-      `opcode: ${arp.opcode} (${op})`,
-      `SHA: ${arp.sha}`,
-      `SPA: ${arp.spa}`,
-      `THA: ${arp.tha}`,
-      `TPA: ${arp.tpa}`
-    ].join("\n")
-  };
+// Capture rows take the packet colours of the canvas
+function captureColor(frame) {
+  if (frame.arp && (arpHeaderFaults(frame.arp).length || (frame.arp.opcode !== 1 && frame.arp.opcode !== 2))) return "text-red-300";
+  if (frame.arp) return frame.arp.opcode === 1 ? "text-yellow-200" : "text-emerald-200";
+  if (frame.icmpv6?.type === 135) return "text-orange-200";
+  if (frame.icmpv6?.type === 136) return "text-emerald-200";
+  if (frame.dhcp) return frame.udp.dstPort === 67 ? "text-yellow-200" : "text-emerald-200";
+  if (frame.stp) return "text-sky-200";
+  return "text-violet-200";
 }
 
-function makeRequest(sender, targetIp) {
-  return {
-    kind: "ARP_REQUEST",
-    title: `ARP Request (broadcast): Who has ${targetIp}? Tell ${sender.ip}`,
-    frame: {
-      eth: { dst: BROADCAST, src: sender.mac, type: 0x0806 },
-      arp: {
-        htype: 1,
-        ptype: 0x0800,
-        hlen: 6,
-        plen: 4,
-        opcode: 1,
-        sha: sender.mac,
-        spa: sender.ip,
-        tha: ZEROMAC,
-        tpa: targetIp
-      }
-    }
-  };
+// STP port roles as drawn next to the port labels
+const STP_ROLES = {
+  root: { fill: "fill-sky-300", text: "fill-sky-200", label: "root port, forwarding" },
+  designated: { fill: "fill-emerald-300", text: "fill-emerald-200", label: "designated, forwarding" },
+  alternate: { fill: "fill-orange-400", text: "fill-orange-300", label: "alternate, blocking" }
+};
+
+// Concurrent flows are told apart by a ring around their dots
+const FLOW_RINGS = ["stroke-sky-300", "stroke-pink-400", "stroke-amber-200", "stroke-lime-300"];
+const FLOW_TEXT = ["text-sky-300", "text-pink-400", "text-amber-200", "text-lime-300"];
+
+// ---- Canvas ----
+// The pieces of the network drawing live out here and are memoised, so a
+// step or a frame of animation only redraws what changed; with a hundred
+// hosts on the canvas that is what keeps it smooth.
+
+// The canvas shows this box of the topology (its viewBox); zoom is how much
+// of the 1050×650 home view fits in it
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 4;
+const FIT_PAD = 160; // half a switch plus labels around the outermost devices
+
+function zoomOf(view) {
+  return SVG_W / view.w;
+}
+
+// The view zoomed by factor around (cx, cy), which stays where it is on screen
+function zoomView(view, factor, cx, cy) {
+  const w = SVG_W / clamp(zoomOf(view) * factor, MIN_ZOOM, MAX_ZOOM);
+  const k = w / view.w;
+  return { x: cx - (cx - view.x) * k, y: cy - (cy - view.y) * k, w, h: (w * SVG_H) / SVG_W };
+}
+
+// Every device in view, never zoomed in past 100%
+function fittedView(nodes) {
+  const b = topologyBounds(nodes);
+  const w = clamp(Math.max(b.w + 2 * FIT_PAD, ((b.h + 2 * FIT_PAD) * SVG_W) / SVG_H), SVG_W, SVG_W / MIN_ZOOM);
+  const h = (w * SVG_H) / SVG_W;
+  return { x: b.x + b.w / 2 - w / 2, y: b.y + b.h / 2 - h / 2, w, h };
+}
+
+// A callback that keeps its identity from render to render but always runs
+// the latest fn, so memoised canvas pieces do not redraw because of it
+function useStableCallback(fn) {
+  const ref = useRef(fn);
+  ref.current = fn;
+  return useCallback((...args) => ref.current(...args), []);
+}
+
+const NODE_DIMS = {
+  switch: { w: 260, h: 104, rx: 26 },
+  router: { w: 230, h: 96, rx: 48 },
+  server: { w: 170, h: 96, rx: 6 },
+  pc: { w: 170, h: 82, rx: 18 }
+};
+
+const CanvasNode = memo(function CanvasNode({ n, v6, isKey, off, rootBridge, linking, cursor, onPointerDown }) {
+  const dims = NODE_DIMS[n.type] ?? NODE_DIMS.pc;
+  // A DHCP client without a lease has no address to show yet
+  const addr = n.ip === ZEROIP ? "DHCP: no lease" : n.dhcp && !v6 ? `${n.ip} (DHCP)` : n.ip;
+
+  return (
+    <g onPointerDown={(e) => onPointerDown(n.id, e)} style={{ cursor }} opacity={off ? 0.4 : 1}>
+      <rect
+        x={n.x - dims.w / 2}
+        y={n.y - dims.h / 2}
+        width={dims.w}
+        height={dims.h}
+        rx={dims.rx}
+        className="stroke-white/20 fill-white/10"
+      />
+      <text x={n.x} y={n.y - 14} textAnchor="middle" className="fill-white text-[14px] font-semibold">
+        {n.name}
+      </text>
+      {n.interfaces ? (
+        n.interfaces.map((i, k) => (
+          <text key={i.name} x={n.x} y={n.y + 8 + 16 * k} textAnchor="middle" className="fill-white/80 text-[11px]">
+            {`${i.name} ${i.ip}/${subnetPrefix(i.ip, i.mask)}${i.proxyArp ? " (proxy)" : ""}`}
+          </text>
+        ))
+      ) : (
+        <text x={n.x} y={n.y + 10} textAnchor="middle" className="fill-white/80 text-[12px]">
+          {n.ip ? addr : `MAC: ${n.mac}`}
+        </text>
+      )}
+      {n.ip ? (
+        <text x={n.x} y={n.y + 30} textAnchor="middle" className="fill-white/70 text-[11px]">
+          {n.mac}
+        </text>
+      ) : null}
+      {off ? (
+        <text x={n.x} y={n.y + dims.h / 2 + 16} textAnchor="middle" className="fill-red-300 text-[12px] font-semibold">
+          powered off
+        </text>
+      ) : null}
+      {rootBridge ? (
+        <text x={n.x} y={n.y - dims.h / 2 - 12} textAnchor="middle" className="fill-sky-200 text-[12px] font-semibold">
+          root bridge
+        </text>
+      ) : null}
+
+      {isKey ? (
+        <rect
+          x={n.x - dims.w / 2 - 6}
+          y={n.y - dims.h / 2 - 6}
+          width={dims.w + 12}
+          height={dims.h + 12}
+          rx={dims.rx + 6}
+          className="stroke-white/40 fill-transparent"
+        />
+      ) : null}
+
+      {linking ? (
+        <rect
+          x={n.x - dims.w / 2 - 10}
+          y={n.y - dims.h / 2 - 10}
+          width={dims.w + 20}
+          height={dims.h + 20}
+          rx={dims.rx + 10}
+          strokeDasharray="8 6"
+          className="stroke-sky-400/80 fill-transparent"
+        />
+      ) : null}
+    </g>
+  );
+});
+
+// Port labels sit a fixed distance from the switch centre along the link;
+// switch ports outside VLAN 1 name their VLAN, and switch-to-switch ports
+// show their STP role
+function PortLabel({ S, P, port, role }) {
+  const d = Math.hypot(P.x - S.x, P.y - S.y) || 1;
+  const off = Math.min(90, d / 2);
+  const vlan = S.type === "switch" ? portVlan(S, port) : 1;
+  const x = S.x + ((P.x - S.x) / d) * off;
+  const y = S.y + ((P.y - S.y) / d) * off;
+  return (
+    <>
+      <text x={x + 8} y={y} className="fill-white/50 text-[11px]">
+        {vlan === 1 ? port : vlan === "trunk" ? `${port} trunk` : `${port} VLAN ${vlan}`}
+      </text>
+      {role ? (
+        <>
+          <circle cx={x} cy={y - 4} r={5} className={STP_ROLES[role].fill} />
+          <text x={x + 8} y={y + 13} className={`text-[10px] ${STP_ROLES[role].text}`}>
+            {STP_ROLES[role].label}
+          </text>
+        </>
+      ) : null}
+    </>
+  );
+}
+
+const CanvasLink = memo(function CanvasLink({ link, index, A, B, aRole, bRole, down, picked, clickable, onClick }) {
+  // A blocked end dashes the link; unplugged links are dashed red and slow or
+  // lossy ones say so at their middle
+  const blocked = aRole === "alternate" || bRole === "alternate";
+  const impair = [link.latency ? `${link.latency} ms` : null, link.loss ? `${Math.round(link.loss * 100)}% loss` : null].filter(Boolean);
+  return (
+    <g onClick={() => onClick(index)} style={{ cursor: clickable ? "pointer" : undefined }}>
+      <line x1={A.x} y1={A.y} x2={B.x} y2={B.y} className="stroke-transparent" strokeWidth={16} />
+      <line
+        x1={A.x}
+        y1={A.y}
+        x2={B.x}
+        y2={B.y}
+        className={picked ? "stroke-sky-400/80" : down ? "stroke-red-400/60" : blocked ? "stroke-orange-400/50" : "stroke-white/20"}
+        strokeWidth={3}
+        strokeDasharray={down ? "10 8" : blocked ? "4 6" : undefined}
+      />
+      {link.aPort ? <PortLabel S={A} P={B} port={link.aPort} role={aRole} /> : null}
+      {link.bPort ? <PortLabel S={B} P={A} port={link.bPort} role={bRole} /> : null}
+      {impair.length || down ? (
+        <text x={(A.x + B.x) / 2 + 8} y={(A.y + B.y) / 2 - 6} className={`text-[11px] ${down ? "fill-red-300" : "fill-amber-200/80"}`}>
+          {down ? "unplugged" : impair.join(", ")}
+        </text>
+      ) : null}
+    </g>
+  );
+});
+
+function arpColor(frameObj, mode) {
+  const op = frameObj?.arp?.opcode;
+  const nd = frameObj?.icmpv6?.type;
+  // Forged reply = red, Neighbor Solicitation (multicast) = orange, Advertisement = green
+  if (mode === "spoof") return { stroke: "stroke-red-400/70", fill: "fill-red-300" };
+  // BPDUs = sky, like the root port markers
+  if (frameObj?.stp) return { stroke: "stroke-sky-400/70", fill: "fill-sky-300" };
+  // DHCP like ARP: Discover/Request (broadcast) = yellow, Offer/Ack (unicast) = green
+  if (frameObj?.dhcp && mode === "broadcast") return { stroke: "stroke-yellow-400/70", fill: "fill-yellow-300" };
+  if (frameObj?.dhcp) return { stroke: "stroke-emerald-400/70", fill: "fill-emerald-300" };
+  if (nd === 135) return { stroke: "stroke-orange-400/70", fill: "fill-orange-300" };
+  if (nd === 136) return { stroke: "stroke-emerald-400/70", fill: "fill-emerald-300" };
+  // ICMP echo in IPv4 or IPv6 = violet
+  if (frameObj?.ipv4 || frameObj?.ipv6) return { stroke: "stroke-violet-400/70", fill: "fill-violet-300" };
+  // Request/broadcast = yellow, Reply/unicast = green
+  if (op === 1) return { stroke: "stroke-yellow-400/70", fill: "fill-yellow-300" };
+  if (op === 2) return { stroke: "stroke-emerald-400/70", fill: "fill-emerald-300" };
+  return { stroke: "stroke-white/40", fill: "fill-white" };
 }
 
-function makeReply(target, requester) {
-  return {
-    kind: "ARP_REPLY",
-    title: `ARP Reply (unicast): ${target.ip} is at ${target.mac}`,
-    frame: {
-      eth: { dst: requester.mac, src: target.mac, type: 0x0806 },
-      arp: {
-        htype: 1,
-        ptype: 0x0800,
-        hlen: 6,
-        plen: 4,
-        opcode: 2,
-        sha: target.mac,
-        spa: target.ip,
-        tha: requester.mac,
-        tpa: requester.ip
+// The highlighted route of every frame in flight. Clicking a frame's path
+// or dot shows it in the details panel, even mid-flight.
+const FlightPaths = memo(function FlightPaths({ flights, nodes, pickedId, onPick }) {
+  const many = flights.length > 1;
+  return flights.map((flight) => {
+    const col = arpColor(flight.frameObj, flight.type);
+    const picked = flight.id === pickedId;
+    return (
+      <g key={flight.id} className="cursor-pointer" opacity={picked || !many ? 1 : 0.55} onPointerDown={(e) => onPick(e, flight.id)}>
+        {flight.hops.map((h, i) => {
+          const A = nodes[h.from];
+          const B = nodes[h.to];
+          if (!A || !B) return null;
+          return (
+            <line
+              key={i}
+              x1={A.x}
+              y1={A.y}
+              x2={B.x}
+              y2={B.y}
+              className={h.loop || h.lost ? "stroke-red-500/70" : col.stroke}
+              strokeWidth={picked && many ? 11 : 8}
+              strokeLinecap="round"
+              strokeDasharray={h.tag !== null ? "18 10" : undefined}
+            />
+          );
+        })}
+      </g>
+    );
+  });
+});
+
+// The moving dots. Frames in flight run on one animation clock: each starts
+// at the clock time it was sent, so frames from the same step move side by
+// side. The clock lives here, not in App, so only the dots redraw on every
+// animation frame; it only runs while some frame is still on its way.
+const FlightDots = memo(function FlightDots({ flights, nodes, pickedId, clockRef, onPick }) {
+  const [clockMs, setClockMs] = useState(clockRef.current);
+  const flying = flights.some((f) => clockMs < f.start + f.durationMs);
+  useEffect(() => {
+    if (!flying) return;
+    let last = 0;
+    let raf = null;
+
+    function tick(ts) {
+      if (last) {
+        clockRef.current += ts - last;
+        setClockMs(clockRef.current);
       }
+      last = ts;
+      raf = requestAnimationFrame(tick);
     }
-  };
+
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [flying, clockRef]);
+
+  // Rings only when frames of more than one flow are on the canvas
+  const rings = flights.some((f) => f.flow !== flights[0].flow);
+  return flights.map((flight) => {
+    const col = arpColor(flight.frameObj, flight.type);
+    // Where each dot is comes from the engine's hopPhase()
+    const T = clamp((clockMs - flight.start) / flight.durationMs, 0, 1) * flight.units;
+    const ring = rings ? FLOW_RINGS[flight.flow % FLOW_RINGS.length] : null;
+    const picked = flights.length > 1 && flight.id === pickedId;
+    const ringProps = ring ? { strokeWidth: picked ? 5 : 3, className: ring } : {};
+
+    return (
+      <g key={flight.id} className="cursor-pointer" onPointerDown={(e) => onPick(e, flight.id)}>
+        {flight.hops.map((h, i) => {
+          const A = nodes[h.from];
+          const B = nodes[h.to];
+          const { phase, u } = hopPhase(h, T);
+          if (!A || !B || phase === "pending" || phase === "done") return null;
+          if (phase === "travel") {
+            return (
+              <g key={i}>
+                <circle cx={lerp(A.x, B.x, u)} cy={lerp(A.y, B.y, u)} r={8} className={col.fill} />
+                {ring && <circle cx={lerp(A.x, B.x, u)} cy={lerp(A.y, B.y, u)} r={12} fill="none" {...ringProps} />}
+              </g>
+            );
+          }
+          // Lost on a lossy link: a red cross where the frame vanished
+          if (phase === "lost") {
+            const x = lerp(A.x, B.x, u);
+            const y = lerp(A.y, B.y, u);
+            return (
+              <path
+                key={i}
+                d={`M ${x - 9} ${y - 9} L ${x + 9} ${y + 9} M ${x + 9} ${y - 9} L ${x - 9} ${y + 9}`}
+                strokeWidth={4}
+                className="stroke-red-400"
+              />
+            );
+          }
+          // A NIC that has not joined the multicast group drops the frame: hollow dot
+          if (h.ignored) return <circle key={i} cx={B.x} cy={B.y} r={8} strokeWidth={3} className={`fill-transparent ${col.stroke}`} />;
+          return <circle key={i} cx={B.x} cy={B.y} r={h.leaf ? 8 : 9} className={h.loop ? "fill-red-400" : col.fill} />;
+        })}
+      </g>
+    );
+  });
+});
+
+// One segment per script step; click any of them to jump there
+function Timeline({ script, step, played, onPick }) {
+  return (
+    <div className="mb-3 flex items-center gap-2 text-xs text-white/60">
+      <span>Timeline:</span>
+      <div className="flex flex-1 gap-0.5">
+        {script.map((s, i) => (
+          <button
+            key={i}
+            title={`${i + 1}. ${s.title}`}
+            onClick={() => onPick(i)}
+            className={`h-4 flex-1 rounded-sm ${TIMELINE_COLORS[s.kind] ?? "bg-white/30"} ${i < played ? "" : "opacity-30"} ${
+              i === step ? "ring-2 ring-white" : ""
+            }`}
+          />
+        ))}
+      </div>
+    </div>
+  );
 }
 
 function pill(text) {
@@ -111,356 +516,979 @@ function PanelCard({ title, children }) {
   );
 }
 
-export default function App() {
-  // Layout: Switch above, PCs in a straight line with spacing
-  const nodes = useMemo(() => {
-    const pcY = 470;
-    const swY = 240;
-    const baseX = 240;
-    const gap = 240;
-
-    const pc = (i, id, ip, mac) => ({ id, name: id, type: "pc", x: baseX + gap * i, y: pcY, ip, mac });
-
-    return {
-      SW1: { id: "SW1", name: "Switch1", type: "switch", x: baseX + gap * 1.5, y: swY, mac: "02:aa:bb:cc:dd:f1" },
-      PC1: pc(0, "PC1", "192.168.1.10", "00:1a:2b:3c:4d:10"),
-      PC2: pc(1, "PC2", "192.168.1.20", "00:1a:2b:3c:4d:20"),
-      PC3: pc(2, "PC3", "192.168.1.30", "00:1a:2b:3c:4d:30"),
-      PC4: pc(3, "PC4", "192.168.1.40", "00:1a:2b:3c:4d:40")
-    };
-  }, []);
+// The addressing fields a device card can edit, per device type. A switch
+// edits the VLAN of each connected port as text: a VLAN id or "trunk", and its
+// STP bridge priority. A PC can be a DHCP client, a server hands out its pool.
+function editableFields(device, ports = []) {
+  if (device.type === "router") return { interfaces: device.interfaces.map((i) => ({ ...i })) };
+  if (device.type === "switch") {
+    const vlans = Object.fromEntries(ports.map((p) => [p, String(portVlan(device, p))]));
+    return { mac: device.mac, vlans, stpPriority: String(device.stpPriority ?? STP_PRIORITY) };
+  }
+  const host = { ip: device.ip, mask: device.mask ?? "", gateway: device.gateway ?? "", mac: device.mac };
+  if (device.type === "server") return { ...host, pool: { start: device.pool?.start ?? "", end: device.pool?.end ?? "" } };
+  return { ...host, dhcp: !!device.dhcp };
+}
+
+const vlanValid = (v) => v === "trunk" || isValidVlan(Number(v));
+
+// Access ports left in VLAN 1 are not stored
+function vlanPatch(vlans) {
+  const set = Object.entries(vlans).filter(([, v]) => v !== "1");
+  return Object.fromEntries(set.map(([port, v]) => [port, v === "trunk" ? v : Number(v)]));
+}
+
+// The default priority is not stored either
+const stpPatch = (v) => (Number(v) === STP_PRIORITY ? undefined : Number(v));
+
+function fieldsValid(draft) {
+  if (draft.interfaces) return draft.interfaces.every((i) => isValidIp(i.ip) && isValidMask(i.mask));
+  if (draft.vlans) {
+    return isValidMac(draft.mac) && Object.values(draft.vlans).every(vlanValid) && isStpPriority(Number(draft.stpPriority));
+  }
+  if (draft.ip === undefined) return isValidMac(draft.mac);
+  if (draft.pool && !(isValidIp(draft.pool.start) && isValidIp(draft.pool.end))) return false;
+  return (
+    isValidIp(draft.ip) && isValidMask(draft.mask) && (draft.gateway === "" || isValidIp(draft.gateway)) && isValidMac(draft.mac)
+  );
+}
+
+const LAYER_TEXT = {
+  ethernet: "text-sky-200",
+  dot1q: "text-amber-200",
+  stp: "text-sky-200",
+  arp: "text-emerald-200",
+  ipv4: "text-violet-200",
+  icmp: "text-fuchsia-200",
+  ipv6: "text-violet-200",
+  icmpv6: "text-fuchsia-200",
+  udp: "text-cyan-200",
+  dhcp: "text-lime-200",
+  pad: "text-white/30"
+};
+
+// One hoverable line per header field; hovering highlights its bytes in the dump
+function FieldLines({ fields, hover, onHover }) {
+  return (
+    <div className="mt-2 font-mono text-xs text-white/80">
+      {fields.map((f) => (
+        <div
+          key={f.key}
+          onMouseEnter={() => onHover(f.key)}
+          onMouseLeave={() => onHover(null)}
+          className={`rounded px-1 ${hover === f.key ? "bg-yellow-300/25" : ""}`}
+        >
+          {f.text}
+          <span className="ml-2 text-white/40">
+            [{f.start}
+            {f.len > 1 ? `-${f.start + f.len - 1}` : ""}]
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Wireshark-style bytes pane: offset, 16 hex bytes, ASCII
+function HexDump({ bytes, fields, hover, onHover }) {
+  const fieldAt = (i) => fields.find((f) => i >= f.start && i < f.start + f.len);
+  const rows = [];
+  for (let off = 0; off < bytes.length; off += 16) rows.push(off);
+  const cell = (i, content) => {
+    const f = fieldAt(i);
+    return (
+      <span
+        key={i}
+        onMouseEnter={() => onHover(f?.key ?? null)}
+        onMouseLeave={() => onHover(null)}
+        className={`${f ? LAYER_TEXT[f.layer] : ""} ${f && hover === f.key ? "bg-yellow-300/40 text-white" : ""}`}
+      >
+        {content}
+      </span>
+    );
+  };
+  return (
+    <pre className="font-mono text-xs leading-5">
+      {rows.map((off) => {
+        const row = [...bytes.slice(off, off + 16)];
+        return (
+          <div key={off}>
+            <span className="text-white/40">{off.toString(16).padStart(4, "0")} </span>
+            {row.map((b, j) => cell(off + j, ` ${b.toString(16).padStart(2, "0")}`))}
+            {"   ".repeat(16 - row.length)}
+            {"  "}
+            {row.map((b, j) => cell(off + j, b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : "."))}
+          </div>
+        );
+      })}
+    </pre>
+  );
+}
 
-  const links = useMemo(
-    () => [
-      { a: "SW1", b: "PC1" },
-      { a: "SW1", b: "PC2" },
-      { a: "SW1", b: "PC3" },
-      { a: "SW1", b: "PC4" }
-    ],
-    []
+// Inline addressing editor for one device card; edits apply (and reset the run) on Apply
+function DeviceEditor({ device, ports, onSave }) {
+  const current = JSON.stringify(editableFields(device, ports));
+  const [draft, setDraft] = useState(() => editableFields(device, ports));
+
+  useEffect(() => {
+    setDraft(JSON.parse(current));
+  }, [current]);
+
+  const dirty = JSON.stringify(draft) !== current;
+  const valid = fieldsValid(draft);
+  const input = (ok) =>
+    `w-40 rounded-lg border bg-slate-900 px-2 py-0.5 font-mono text-xs ${ok ? "border-white/10" : "border-red-400/80"}`;
+  const row = (label, value, ok, onChange) => (
+    <div key={label} className="flex items-center justify-between gap-2">
+      {label}: <input value={value} onChange={(e) => onChange(e.target.value.trim())} className={input(ok)} />
+    </div>
   );
+  const set = (field) => (v) => setDraft((d) => ({ ...d, [field]: v }));
+  const setIface = (k, field) => (v) =>
+    setDraft((d) => ({ ...d, interfaces: d.interfaces.map((i, n) => (n === k ? { ...i, [field]: v } : i)) }));
 
-  const initialCaches = useMemo(() => ({ PC1: {}, PC2: {}, PC3: {}, PC4: {} }), []);
+  return (
+    <div className="mt-1 space-y-1 text-sm text-white/80">
+      {draft.interfaces ? (
+        draft.interfaces.map((i, k) => (
+          <div key={i.name} className="space-y-1 rounded-lg border border-white/10 p-2">
+            <div className="flex items-center justify-between text-xs text-white/60">
+              <span>
+                {i.name} <span className="font-mono">{i.mac}</span>
+              </span>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={i.proxyArp} onChange={(e) => setIface(k, "proxyArp")(e.target.checked)} />
+                proxy ARP
+              </label>
+            </div>
+            {row("IP", i.ip, isValidIp(i.ip), setIface(k, "ip"))}
+            {row("Mask", i.mask, isValidMask(i.mask), setIface(k, "mask"))}
+          </div>
+        ))
+      ) : (
+        <>
+          {draft.dhcp !== undefined ? (
+            <label className="flex items-center gap-2 text-xs text-white/70">
+              <input type="checkbox" checked={draft.dhcp} onChange={(e) => set("dhcp")(e.target.checked)} />
+              DHCP client (IPv4 address, mask and gateway come from a server)
+            </label>
+          ) : null}
+          {draft.ip !== undefined && !draft.dhcp ? row("IP", draft.ip, isValidIp(draft.ip), set("ip")) : null}
+          {draft.ip !== undefined && !draft.dhcp ? row("Mask", draft.mask, isValidMask(draft.mask), set("mask")) : null}
+          {draft.ip !== undefined && !draft.dhcp
+            ? row("Gateway", draft.gateway, draft.gateway === "" || isValidIp(draft.gateway), set("gateway"))
+            : null}
+          {row("MAC", draft.mac, isValidMac(draft.mac), set("mac"))}
+          {draft.pool
+            ? ["start", "end"].map((k) =>
+                row(`Pool ${k}`, draft.pool[k], isValidIp(draft.pool[k]), (v) => setDraft((d) => ({ ...d, pool: { ...d.pool, [k]: v } })))
+              )
+            : null}
+          {draft.vlans
+            ? Object.entries(draft.vlans).map(([port, v]) =>
+                row(`${port} VLAN`, v, vlanValid(v), (next) => setDraft((d) => ({ ...d, vlans: { ...d.vlans, [port]: next.toLowerCase() } })))
+              )
+            : null}
+          {draft.stpPriority !== undefined
+            ? row("STP priority", draft.stpPriority, isStpPriority(Number(draft.stpPriority)), set("stpPriority"))
+            : null}
+        </>
+      )}
+      {dirty ? (
+        <button
+          disabled={!valid}
+          onClick={() => {
+            const patch = draft.mac ? { ...draft, mac: draft.mac.toLowerCase() } : draft;
+            onSave(draft.vlans ? { ...patch, vlans: vlanPatch(draft.vlans), stpPriority: stpPatch(draft.stpPriority) } : patch);
+          }}
+          className="rounded-lg bg-emerald-500/80 px-2 py-0.5 text-xs font-semibold hover:bg-emerald-500 disabled:opacity-40"
+        >
+          Apply (resets run)
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+// Frame editor fields, in wire order; the numbers are edited as text too
+const CRAFT_FIELDS = [
+  ["eth", "dst", "Ethernet dst"],
+  ["eth", "src", "Ethernet src"],
+  ["arp", "htype", "htype"],
+  ["arp", "ptype", "ptype"],
+  ["arp", "hlen", "hlen"],
+  ["arp", "plen", "plen"],
+  ["arp", "opcode", "opcode"],
+  ["arp", "sha", "SHA"],
+  ["arp", "spa", "SPA"],
+  ["arp", "tha", "THA"],
+  ["arp", "tpa", "TPA"]
+];
+
+function craftDraft(frame) {
+  const text = (layer, field) => (field === "ptype" ? `0x${frame.arp.ptype.toString(16).padStart(4, "0")}` : String(frame[layer][field]));
+  return Object.fromEntries(CRAFT_FIELDS.map(([layer, field]) => [`${layer}.${field}`, text(layer, field)]));
+}
 
-  const [zoom, setZoom] = useState(0.75);
+function craftFrame(draft) {
+  const value = (layer, field) => {
+    const v = draft[`${layer}.${field}`].trim();
+    if (layer === "eth" || ["sha", "spa", "tha", "tpa"].includes(field)) return v.toLowerCase();
+    return v === "" ? NaN : Number(v);
+  };
+  const frame = { eth: {}, arp: {} };
+  for (const [layer, field] of CRAFT_FIELDS) frame[layer][field] = value(layer, field);
+  return frame;
+}
+
+// Build an ARP frame by hand, from a preset or from scratch, and send it
+// from any host at the current step
+function FrameEditor({ hosts, from, to, disabled, onSend }) {
+  const [deviceId, setDeviceId] = useState(from.id);
+  const [presetId, setPresetId] = useState(CRAFT_PRESETS[0].id);
+  const sender = hosts.find((h) => h.id === deviceId) ?? from;
+  const peer = sender.id === to.id ? from : to;
+  const build = (id, self) => craftDraft(CRAFT_PRESETS.find((p) => p.id === id).build(self, self.id === to.id ? from : to));
+  const [draft, setDraft] = useState(() => build(presetId, sender));
+  const frame = craftFrame(draft);
+  const errors = craftErrors(frame);
+  const info = errors.length ? null : describeArp(frame);
+
+  function choose(id, self) {
+    setPresetId(id);
+    setDraft(build(id, self));
+  }
+
+  return (
+    <div className="space-y-2 text-sm text-white/80">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span>From</span>
+        <select
+          value={sender.id}
+          onChange={(e) => {
+            setDeviceId(e.target.value);
+            choose(presetId, hosts.find((h) => h.id === e.target.value));
+          }}
+          className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1"
+        >
+          {hosts.map((h) => (
+            <option key={h.id} value={h.id}>
+              {h.name}
+            </option>
+          ))}
+        </select>
+        <span>Start from</span>
+        <select value={presetId} onChange={(e) => choose(e.target.value, sender)} className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1">
+          {CRAFT_PRESETS.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <span className="text-white/50">to {peer.name}</span>
+      </div>
+      <div className="grid grid-cols-1 gap-x-3 gap-y-1 font-mono text-xs sm:grid-cols-2">
+        {CRAFT_FIELDS.map(([layer, field, label]) => {
+          const key = `${layer}.${field}`;
+          const bad = errors.some((e) => e.startsWith(`${key}:`) || e.startsWith(`${key} `));
+          return (
+            <label key={key} className="flex items-center justify-between gap-2">
+              {label}
+              <input
+                value={draft[key]}
+                onChange={(e) => setDraft((d) => ({ ...d, [key]: e.target.value }))}
+                className={`w-36 rounded-lg border bg-slate-900 px-2 py-0.5 ${bad ? "border-red-400/80" : "border-white/10"}`}
+              />
+            </label>
+          );
+        })}
+      </div>
+      {errors.length ? (
+        <ul className="list-disc pl-4 text-xs text-red-300">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      ) : (
+        <div className="rounded-xl border border-white/10 bg-white/5 p-3 text-xs">
+          <div className="font-semibold text-white/80">{info.name}</div>
+          <ul className="mt-1 list-disc space-y-1 pl-4 text-white/70">
+            {info.notes.map((n) => (
+              <li key={n}>{n}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <button
+        disabled={disabled || errors.length > 0}
+        onClick={() => onSend({ type: "craft", device: sender.id, frame })}
+        className="rounded-lg bg-amber-400/80 px-3 py-1 text-xs font-semibold text-slate-900 hover:bg-amber-400 disabled:opacity-40"
+      >
+        Send it now
+      </button>
+      <div className="text-xs text-white/60">
+        Every NIC the frame reaches checks it the RFC 826 way: hardware type and length, protocol type and length, then its cache,
+        then whether it is the target, and only then the opcode. The event log says what each one did and why.
+      </div>
+    </div>
+  );
+}
+
+// The open quiz question: single choice (radio) or multiple choice (checkboxes)
+function QuizQuestion({ question, onCheck }) {
+  const [picked, setPicked] = useState([]);
+  const toggle = (value) =>
+    setPicked((prev) => (question.multi ? (prev.includes(value) ? prev.filter((v) => v !== value) : [...prev, value]) : [value]));
+  return (
+    <div className="rounded-xl border border-violet-300/40 bg-violet-500/10 p-3 text-sm">
+      <div className="font-semibold text-white">Before step {question.step + 1}:</div>
+      <div className="mt-1 text-white/90">{question.prompt}</div>
+      <div className="mt-2 space-y-1 text-xs">
+        {question.choices.map((c) => (
+          <label key={c.value} className="flex items-center gap-2 font-mono">
+            <input type={question.multi ? "checkbox" : "radio"} checked={picked.includes(c.value)} onChange={() => toggle(c.value)} />
+            {c.label}
+          </label>
+        ))}
+      </div>
+      <button
+        disabled={!question.multi && picked.length === 0}
+        onClick={() => onCheck(question.multi ? picked : picked[0])}
+        className="mt-2 rounded-lg bg-violet-500/80 px-3 py-1 text-xs font-semibold hover:bg-violet-500 disabled:opacity-40"
+      >
+        Lock in and play the step
+      </button>
+    </div>
+  );
+}
+
+// JSON editor for the instructor's question set, checked before it is used
+function QuizEditor({ spec, nodes, onApply }) {
+  const [text, setText] = useState(() => JSON.stringify(spec, null, 2));
+  const [errors, setErrors] = useState([]);
+
+  function apply() {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      setErrors([`Not valid JSON: ${err.message}`]);
+      return;
+    }
+    const errs = validateQuiz(parsed, nodes);
+    setErrors(errs);
+    if (errs.length === 0) onApply(parsed);
+  }
+
+  return (
+    <div className="space-y-2 text-xs">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={10}
+        className="w-full rounded-xl border border-white/10 bg-slate-900 p-2 font-mono text-xs"
+      />
+      {errors.map((e) => (
+        <div key={e} className="text-red-300">
+          {e}
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <button onClick={apply} className="rounded-lg bg-emerald-500/80 px-2 py-0.5 font-semibold hover:bg-emerald-500">
+          Apply (resets run)
+        </button>
+        <button onClick={() => onApply(null)} className="rounded-lg bg-white/10 px-2 py-0.5 font-semibold hover:bg-white/15">
+          Use built-in questions
+        </button>
+      </div>
+      <div className="text-white/60">
+        Each question: {"{ step, nth?, ask, field?, device?, ip? }"}. step is a step kind such as ARP_REPLY (nth picks which one) or a step number;
+        ask is receivers, field ({Object.keys(QUIZ_FIELDS).join(", ")}) or cache (device/ip: sender, target, attacker, a device id or an IP).
+      </div>
+    </div>
+  );
+}
+
+// Terminal-style console for one device: commands run in the engine, so a
+// ping plays its ARP exchange on the canvas like a scenario step
+function DeviceConsole({ device, lines, onRun, onClose }) {
+  const [input, setInput] = useState("");
+  const [recall, setRecall] = useState(null); // index into typed commands while browsing with the arrows
+  const endRef = useRef(null);
+  const prompt = device.type === "switch" ? `${device.name}#` : "C:\\>";
+  const typed = lines.filter((l) => l.input?.trim()).map((l) => l.input);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView?.({ block: "nearest" });
+  }, [lines]);
+
+  function onKeyDown(e) {
+    if (e.key === "Enter") {
+      onRun(prompt, input);
+      setInput("");
+      setRecall(null);
+    }
+    if ((e.key === "ArrowUp" || e.key === "ArrowDown") && typed.length > 0) {
+      e.preventDefault();
+      const at = recall ?? typed.length;
+      const next = clamp(at + (e.key === "ArrowUp" ? -1 : 1), 0, typed.length);
+      setRecall(next);
+      setInput(typed[next] ?? "");
+    }
+  }
+
+  return (
+    <div>
+      <div className="mb-2 flex items-center justify-between text-xs text-white/60">
+        <span>{device.type === "switch" ? "Try: show mac address-table, show vlan brief" : "Try: arp -a, ping <ip>, ip neigh, help"}</span>
+        <button onClick={onClose} className="rounded-lg bg-white/10 px-2 py-0.5 font-semibold hover:bg-white/15">
+          Close
+        </button>
+      </div>
+      <div className="max-h-[260px] overflow-auto rounded-xl border border-white/10 bg-black/70 p-2 font-mono text-xs leading-5 text-emerald-100">
+        {lines.map((l, i) => (
+          <div key={i} className="whitespace-pre">
+            {l.text || " "}
+          </div>
+        ))}
+        <div className="flex whitespace-pre" ref={endRef}>
+          {prompt}
+          <input
+            autoFocus
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={onKeyDown}
+            spellCheck={false}
+            className="flex-1 bg-transparent text-emerald-100 outline-none"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function App() {
+  const [topology, setTopology] = useState(defaultTopology);
+  const baseNodes = topology.nodes;
+  const links = topology.links;
+
+  const [view, setView] = useState({ x: 0, y: 0, w: SVG_W, h: SVG_H }); // the viewBox
   const [step, setStep] = useState(0);
   const [auto, setAuto] = useState(false);
-  const [selectedFrame, setSelectedFrame] = useState(null);
-  const [layerTab, setLayerTab] = useState("both"); // ethernet | arp | both
+  const [frameLog, setFrameLog] = useState([]); // every frame sent: { id, step, flow, frame, delivery }
+  const [layerTab, setLayerTab] = useState("both"); // ethernet | arp | ip | both | hex
+  const [hoverField, setHoverField] = useState(null);
   const [eventLog, setEventLog] = useState([]);
-  const [arpCaches, setArpCaches] = useState(initialCaches);
-
-  const senderId = "PC1";
-  const targetId = "PC3";
-  const sender = nodes[senderId];
-  const target = nodes[targetId];
-
-  const script = useMemo(() => {
-    const s = [];
-    s.push({ kind: "START", title: `${sender.name} wants to send IPv4 traffic to ${target.ip}` });
-    s.push({ kind: "CACHE_CHECK", title: `${sender.name} checks ARP cache for ${target.ip}` });
-    s.push({ kind: "CACHE_MISS", title: `Cache miss -> ${sender.name} must ARP for ${target.ip}` });
-    s.push(makeRequest(sender, target.ip));
-    s.push({ kind: "TARGET_RECEIVES", title: `${target.name} receives broadcast ARP request and recognizes ${target.ip}` });
-    s.push(makeReply(target, sender));
-    s.push({ kind: "CACHE_UPDATE", title: `${sender.name} updates ARP cache: ${target.ip} -> ${target.mac}` });
-    s.push({ kind: "CACHE_HIT", title: `Second send: ARP cache hit -> no broadcast needed` });
-    return s;
-  }, [sender, target]);
-
-  const [anim, setAnim] = useState(null);
-  const rafRef = useRef(null);
-  const lastRef = useRef(0);
-
-  function pushLog(line) {
-    setEventLog((prev) => [{ t: now(), line }, ...prev].slice(0, 200));
-  }
-
-  function resetAll() {
+  const [quizOn, setQuizOn] = useState(false);
+  const [quizSpec, setQuizSpec] = useState(null); // instructor's question set; null = DEFAULT_QUIZ
+  const [answers, setAnswers] = useState({}); // question id -> { answer, result? }
+  const [editingQuiz, setEditingQuiz] = useState(false);
+  const [macAging, setMacAging] = useState(30);
+  const [arpTimeout, setArpTimeout] = useState(30);
+  const captureEpoch = useRef(Math.floor(Date.now() / 1000));
+
+  const [scenario, setScenario] = useState({
+    senderId: "PC1",
+    targetId: "PC3",
+    attackerId: "PC2",
+    presetId: SCENARIOS[0].id
+  });
+  const [defenses, setDefenses] = useState({ staticArp: false, dai: false, dupMacAlert: false, stp: true });
+  const { senderId, targetId, attackerId } = scenario;
+  const v6 = scenario.ipVersion === 6;
+
+  // Built from the start-of-run addresses, not the live ones. Keyed on the
+  // addresses and wiring only, so dragging a node around does not rebuild the run.
+  const addrKey =
+    Object.values(baseNodes)
+      .map((n) => JSON.stringify([n.id, n.ip, n.mask, n.gateway, n.mac, n.interfaces, n.vlans, n.stpPriority, n.dhcp, n.pool, n.off]))
+      .join(",") +
+    "/" +
+    links.map((l) => JSON.stringify([l.a, l.b, l.latency, l.loss, l.down])).join(",");
+  const engine = useMemo(
+    () => createEngine({ topology, scenario, defenses, arpTimeout, macAging }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [scenario, addrKey, defenses, arpTimeout]
+  );
+  const script = engine.script;
+
+  // Mirror of the engine's world; every step replaces it
+  const [world, setWorld] = useState(() => engine.getWorld());
+  const { arpCaches, macTables, time: simTime, capture, pending } = world;
+  // IPv6 mode numbers the same topology through toIpv6(); the editor keeps the IPv4 plan
+  const runNodes = useMemo(() => (v6 ? ipv6Nodes(baseNodes) : baseNodes), [v6, baseNodes]);
+  const nodes = useMemo(() => liveNodes(runNodes, world.ipOverrides, world.leases), [runNodes, world.ipOverrides, world.leases]);
+  // Port roles over the links that are up, the same tree the engine forwards on
+  const stpOn = defenses.stp !== false;
+  const stpTree = useMemo(
+    () => (stpOn ? spanningTree(runNodes, activeLinks(links, world.faults)) : null),
+    [stpOn, runNodes, links, world.faults]
+  );
+  const stpBlocked = stpTree ? blockedPorts(stpTree) : [];
+  // Only worth a label when some other bridge agrees on it
+  const isRootBridge = (id) => {
+    const b = stpTree?.bridges[id];
+    return !!b && b.cost === 0 && Object.values(stpTree.bridges).some((o) => o !== b && o.root.mac === b.id.mac);
+  };
+
+  // Frames in flight; FlightDots runs their clock
+  const [flights, setFlights] = useState([]);
+  const clockRef = useRef(0);
+  const frameIds = useRef(0);
+  const [pickedFrame, setPickedFrame] = useState(null);
+
+  // Lines are tagged with the step they belong to, so going back hides the
+  // later ones instead of piling up duplicates. Notes from the UI itself
+  // (at = -1) stay visible at every step.
+  function pushLog(line, at = -1) {
+    setEventLog((prev) => [{ t: now(), line, step: at }, ...prev].slice(0, 1000));
+  }
+
+  // Anything that changes the lab passes its new value in, since state set
+  // in the same handler is not visible here yet
+  function resetAll(next = {}) {
+    const topo = next.topology ?? topology;
+    engine.reset();
+    setWorld(initialWorld(topo, next.scenario ?? scenario, next.defenses ?? defenses));
     setAuto(false);
     setStep(0);
-    setSelectedFrame(null);
+    setFrameLog([]);
     setLayerTab("both");
     setEventLog([]);
-    setArpCaches(initialCaches);
-    setAnim(null);
+    setAnswers({});
+    captureEpoch.current = Math.floor(Date.now() / 1000);
+    stopAnim();
   }
 
-  function startAnim(fromId, toId, mode, frameObj) {
-    const from = nodes[fromId];
-
-    if (mode === "broadcast") {
-      const dsts = ["PC1", "PC2", "PC3", "PC4"].filter((id) => id !== fromId);
-      const segments = dsts.map((id) => ({ to: nodes[id] }));
-      setAnim({ type: "broadcast", from, segments, t: 0, frameObj });
-      return;
+  function chooseScenario(patch) {
+    const next = { ...scenario, ...patch };
+    // A preset replaces any custom action list loaded from a lab file
+    if (patch.presetId) next.actions = undefined;
+    // Sender and target must be two different hosts
+    if (next.senderId === next.targetId) {
+      if (patch.senderId) next.targetId = scenario.senderId;
+      else next.senderId = scenario.targetId;
     }
-
-    const to = nodes[toId];
-    setAnim({ type: "unicast", from, to, t: 0, frameObj });
+    // ...and the attacker a third one
+    if (next.attackerId === next.senderId || next.attackerId === next.targetId) {
+      next.attackerId = Object.values(baseNodes).find((n) => n.type === "pc" && n.id !== next.senderId && n.id !== next.targetId)?.id;
+    }
+    setScenario(next);
+    resetAll({ scenario: next });
   }
 
-  function stopAnim() {
-    setAnim(null);
+  function toggleDefense(key) {
+    const next = { ...defenses, [key]: !defenses[key] };
+    setDefenses(next);
+    resetAll({ defenses: next });
   }
 
-  // Animate
-  useEffect(() => {
-    if (!anim) return;
-    const durationMs = 1200; // slightly slower to make pause visible
+  // The entry timeout is baked into the script, so changing it restarts the run
+  function chooseArpTimeout(sec) {
+    setArpTimeout(sec);
+    resetAll();
+  }
 
-    function tick(ts) {
-      if (!lastRef.current) lastRef.current = ts;
-      const dt = ts - lastRef.current;
-      lastRef.current = ts;
+  function exportPcap() {
+    downloadBytes(buildPcap(capture, captureEpoch.current), `arp-sim-${scenario.presetId}.pcap`, "application/vnd.tcpdump.pcap");
+    pushLog(`Exported ${capture.length} frames as a libpcap file (open it in Wireshark).`);
+  }
 
-      setAnim((a) => {
-        if (!a) return a;
-        return { ...a, t: clamp(a.t + dt / durationMs, 0, 1) };
-      });
+  // Nodes are referenced by id so a dot follows a node that is being dragged
+  function startAnim(id, delivery, mode, frameObj, flow) {
+    const flight = { id, type: mode, hops: delivery.hops, ...animTiming(delivery.hops), frameObj, flow, start: clockRef.current };
+    setFlights((prev) => [...prev, flight]);
+  }
 
-      rafRef.current = requestAnimationFrame(tick);
-    }
+  // ---- Quiz ----
+  const questions = useMemo(
+    () => (quizOn ? buildQuiz(quizSpec ?? DEFAULT_QUIZ, script, runNodes, scenario) : []),
+    [quizOn, quizSpec, script, runNodes, scenario]
+  );
+  const openQuestion = questions.find((q) => q.step === step + 1 && !answers[q.id]);
+  const graded = questions.filter((q) => answers[q.id]?.result);
+  const score = graded.filter((q) => answers[q.id].result.correct).length;
+
+  // Forward moves stop just before a step whose question is still open
+  function moveTo(target) {
+    const open = questions.find((q) => q.step > step && q.step <= target && !answers[q.id]);
+    setStep(open ? open.step - 1 : target);
+  }
 
-    rafRef.current = requestAnimationFrame(tick);
-    return () => {
-      if (rafRef.current) cancelAnimationFrame(rafRef.current);
-      rafRef.current = null;
-      lastRef.current = 0;
-    };
-  }, [anim]);
+  function lockAnswer(question, answer) {
+    const next = { ...answers, [question.id]: { answer } };
+    setAnswers(next);
+    if (!questions.some((q) => q.step === question.step && !next[q.id])) setStep(question.step);
+  }
 
-  // Auto play
-  useEffect(() => {
-    if (!auto) return;
-    const id = setInterval(() => {
-      setStep((s) => Math.min(s + 1, script.length - 1));
-    }, 1350);
-    return () => clearInterval(id);
-  }, [auto, script.length]);
+  function toggleQuiz() {
+    setQuizOn((v) => !v);
+    resetAll();
+  }
 
-  // Step effects
-  useEffect(() => {
-    const cur = script[step];
-    if (!cur) return;
-    stopAnim();
+  function applyQuizSpec(spec) {
+    setQuizSpec(spec);
+    setEditingQuiz(false);
+    resetAll();
+  }
 
-    if (cur.kind === "START") {
-      pushLog(cur.title);
-      pushLog("ARP caches are empty at the start.");
-    }
+  const choiceLabel = (q, value) => q.choices.find((c) => c.value === value)?.label ?? value;
+  const answerText = (q, value) => (Array.isArray(value) ? value.map((v) => choiceLabel(q, v)).join(", ") || "(none)" : choiceLabel(q, value));
 
-    if (cur.kind === "CACHE_CHECK") {
-      const has = Boolean(arpCaches[senderId]?.[target.ip]);
-      pushLog(`${sender.name} ARP cache lookup: ${target.ip} -> ${has ? arpCaches[senderId][target.ip] : "(missing)"}`);
-    }
+  // ---- Lab files and links ----
+  const fileRef = useRef(null);
 
-    if (cur.kind === "CACHE_MISS") pushLog("No entry found, so the host must resolve the target MAC using ARP.");
+  function currentLab() {
+    return serializeLab({ topology, scenario, defenses, arpTimeout, macAging, quiz: quizSpec });
+  }
 
-    if (cur.kind === "ARP_REQUEST") {
-      setSelectedFrame(cur.frame);
-      pushLog(cur.title);
-      pushLog("Broadcast frame: everyone receives it, only the owner of TPA replies.");
-      startAnim(senderId, null, "broadcast", cur.frame);
+  function loadLab(doc, source) {
+    const res = doc.errors ? doc : validateLab(doc);
+    if (res.errors) {
+      pushLog(`Cannot load lab from ${source}:`);
+      res.errors.forEach((e) => pushLog(`- ${e}`));
+      return;
     }
+    const { lab } = res;
+    setTopology(lab.topology);
+    setScenario(lab.scenario);
+    setDefenses(lab.defenses);
+    setArpTimeout(lab.arpTimeout);
+    setMacAging(lab.macAging);
+    setQuizSpec(lab.quiz);
+    if (lab.quiz) setQuizOn(true);
+    resetAll({ topology: lab.topology, scenario: lab.scenario, defenses: lab.defenses });
+    setView(fittedView(lab.topology.nodes));
+    pushLog(`Loaded lab from ${source}.`);
+  }
 
-    if (cur.kind === "TARGET_RECEIVES") pushLog(cur.title);
+  function saveLab() {
+    downloadBytes(new TextEncoder().encode(JSON.stringify(currentLab(), null, 2)), "arp-lab.json", "application/json");
+  }
 
-    if (cur.kind === "ARP_REPLY") {
-      setSelectedFrame(cur.frame);
-      pushLog(cur.title);
-      pushLog("Unicast frame: sent only back to the requester MAC.");
-      startAnim(targetId, senderId, "unicast", cur.frame);
+  async function openLab(file) {
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch (err) {
+      pushLog(`Cannot load lab from ${file.name}: not valid JSON (${err.message})`);
+      return;
     }
+    loadLab(doc, file.name);
+  }
 
-    if (cur.kind === "CACHE_UPDATE") {
-      pushLog(cur.title);
-      setArpCaches((prev) => ({
-        ...prev,
-        [senderId]: { ...prev[senderId], [target.ip]: target.mac },
-        [targetId]: { ...prev[targetId], [sender.ip]: sender.mac }
-      }));
+  async function copyLink() {
+    const hash = await encodeLabHash(currentLab());
+    window.history.replaceState(null, "", `#${hash}`);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch {
+      // No clipboard access: the address bar still holds the link
     }
+    pushLog(`Link to this lab is in the address bar (and clipboard): ${hash.length} characters.`);
+  }
 
-    if (cur.kind === "CACHE_HIT") {
-      pushLog(cur.title);
-      pushLog(`${sender.name} can now send IPv4 frames using dst MAC ${target.mac}. (IPv4 not simulated.)`);
-    }
+  // A shared link opens its lab once, on first load
+  useEffect(() => {
+    decodeLabHash(window.location.hash).then((doc) => doc && loadLab(doc, "the link"));
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [step]);
+  }, []);
 
-  const stepLabel = `${step + 1} / ${script.length}`;
+  // ---- Topology editor ----
+  const svgRef = useRef(null);
+  const [editMode, setEditMode] = useState("move"); // move | link | delete | fault
+  const [linkFrom, setLinkFrom] = useState(null);
+  const [faultLink, setFaultLink] = useState(null); // key of the link whose faults are being edited
+  const [dragId, setDragId] = useState(null);
+  const dragStart = useRef(null); // pointer position at press: a press that does not move is a click
+  const [consoleId, setConsoleId] = useState(null);
+  const [consoleLines, setConsoleLines] = useState({}); // scrollback per device: [{ text, input? }]
+
+  // Structural edits invalidate the run (ports, caches and tables change)
+  function applyTopology(next, scenarioPatch) {
+    const sc = scenarioPatch ? { ...scenario, ...scenarioPatch } : scenario;
+    if (scenarioPatch) setScenario(sc);
+    setTopology(next);
+    resetAll({ topology: next, scenario: sc });
+  }
 
-  const frameDetails = useMemo(() => (selectedFrame ? formatFrame(selectedFrame) : null), [selectedFrame]);
+  function svgPoint(e) {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: p.x, y: p.y };
+  }
 
-  // UI helpers
-  const svgW = 1050;
-  const svgH = 650;
+  // ---- Pan and zoom ----
+  // The wheel zooms around the pointer; dragging the background pans
+  const panStart = useRef(null); // { x, y, view, scale } at press
+  useEffect(() => {
+    const svg = svgRef.current;
+    function onWheel(e) {
+      e.preventDefault();
+      const p = svgPoint(e);
+      setView((v) => zoomView(v, Math.exp(-e.deltaY / 500), p.x, p.y));
+    }
+    // Not passive, or the page would scroll too
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-  function nodeColor(type) {
-    return type === "switch" ? "fill-white/10" : "fill-white/10";
+  function zoomCentre(factor) {
+    setView((v) => zoomView(v, factor, v.x + v.w / 2, v.y + v.h / 2));
   }
 
-  function Node({ n }) {
-    const isKey = n.id === senderId || n.id === targetId;
-    const dims = n.type === "switch" ? { w: 260, h: 104, rx: 26 } : { w: 170, h: 82, rx: 18 };
-
-    return (
-      <g>
-        <rect
-          x={n.x - dims.w / 2}
-          y={n.y - dims.h / 2}
-          width={dims.w}
-          height={dims.h}
-          rx={dims.rx}
-          className={`stroke-white/20 ${nodeColor(n.type)}`}
-        />
-        <text x={n.x} y={n.y - 14} textAnchor="middle" className="fill-white text-[14px] font-semibold">
-          {n.name}
-        </text>
-        <text x={n.x} y={n.y + 10} textAnchor="middle" className="fill-white/80 text-[12px]">
-          {n.ip ? n.ip : `MAC: ${n.mac}`}
-        </text>
-        {n.ip ? (
-          <text x={n.x} y={n.y + 30} textAnchor="middle" className="fill-white/70 text-[11px]">
-            {n.mac}
-          </text>
-        ) : null}
-
-        {isKey ? (
-          <rect
-            x={n.x - dims.w / 2 - 6}
-            y={n.y - dims.h / 2 - 6}
-            width={dims.w + 12}
-            height={dims.h + 12}
-            rx={dims.rx + 6}
-            className="stroke-white/40 fill-transparent"
-          />
-        ) : null}
-      </g>
-    );
+  function onCanvasPointerDown(e) {
+    panStart.current = { x: e.clientX, y: e.clientY, view, scale: svgRef.current.getScreenCTM().a };
   }
 
-  function Link({ a, b }) {
-    const A = nodes[a];
-    const B = nodes[b];
-    return <line x1={A.x} y1={A.y} x2={B.x} y2={B.y} className="stroke-white/20" strokeWidth={3} />;
+  // Positions are not part of the run, so laying the canvas out again keeps it
+  function layOut(mode) {
+    const next = autoLayout(topology, mode);
+    setTopology(next);
+    setView(fittedView(next.nodes));
+    pushLog(`Laid the devices out as a ${mode}.`);
   }
 
-  function progressWithPause(t, split, pause) {
-    const pauseStart = split;
-    const pauseEnd = split + pause;
+  function addNode(type) {
+    const count = Object.keys(baseNodes).length;
+    const res = addDevice(topology, type, 120 + ((count * 90) % (SVG_W - 240)), 100);
+    applyTopology(res.topology);
+    pushLog(`Added ${res.topology.nodes[res.id].name}. Use Link mode to wire it.`);
+  }
 
-    if (t < pauseStart) return { leg: 1, u: t / split };
-    if (t < pauseEnd) return { leg: 0, u: 1 };
+  function deleteNode(id) {
+    const remaining = Object.values(baseNodes).filter((n) => n.type === "pc" && n.id !== id);
+    if (baseNodes[id].type === "pc" && remaining.length < 2) {
+      pushLog("A lab needs at least two PCs.");
+      return;
+    }
+    const next = removeDevice(topology, id);
+    if (id === senderId || id === targetId) {
+      const ids = remaining.map((n) => n.id);
+      const s = id === senderId ? ids.find((x) => x !== targetId) : senderId;
+      const t = id === targetId ? ids.find((x) => x !== s) : targetId;
+      applyTopology(next, { senderId: s, targetId: t });
+      return;
+    }
+    applyTopology(next);
+  }
 
-    const rem = 1 - pauseEnd;
-    const u2 = rem <= 0 ? 1 : (t - pauseEnd) / rem;
-    return { leg: 2, u: clamp(u2, 0, 1) };
+  function onNodePointerDown(id, e) {
+    e.stopPropagation();
+    if (editMode === "move") {
+      setDragId(id);
+      dragStart.current = { x: e.clientX, y: e.clientY };
+    }
+    if (editMode === "delete") deleteNode(id);
+    if (editMode === "fault") injectAction({ type: world.faults.off.includes(id) ? "powerOn" : "powerOff", device: id });
+    if (editMode === "link") {
+      if (!linkFrom) {
+        setLinkFrom(id);
+        return;
+      }
+      const res = connectDevices(topology, linkFrom, id);
+      setLinkFrom(null);
+      if (res.error) pushLog(`Cannot link: ${res.error}`);
+      else applyTopology(res.topology);
+    }
   }
 
-  function arpColor(frameObj) {
-    const op = frameObj?.arp?.opcode;
-    // Request/broadcast = yellow, Reply/unicast = green
-    if (op === 1) return { stroke: "stroke-yellow-400/70", fill: "fill-yellow-300" };
-    if (op === 2) return { stroke: "stroke-emerald-400/70", fill: "fill-emerald-300" };
-    return { stroke: "stroke-white/40", fill: "fill-white" };
+  function onLinkClick(index) {
+    if (editMode === "fault") setFaultLink(linkKey(links[index]));
+    if (editMode !== "delete") return;
+    applyTopology({ ...topology, links: links.filter((_, i) => i !== index) });
   }
 
-  function PacketPath() {
-    if (!anim) return null;
-    const sw = nodes["SW1"];
-    const col = arpColor(anim.frameObj);
+  // Stable, so the memoised nodes and links only redraw when they change
+  const nodePointerDown = useStableCallback(onNodePointerDown);
+  const linkClick = useStableCallback(onLinkClick);
+  // Clicking a frame's path or dot shows it in the details panel, even mid-flight
+  const pickFlight = useCallback((e, id) => {
+    e.stopPropagation();
+    setPickedFrame({ id });
+  }, []);
+
+  // Latency and loss are baked into the script (every frame draws its
+  // losses), so changing them restarts the run
+  function setLinkFaults(key, patch) {
+    applyTopology({ ...topology, links: links.map((l) => (linkKey(l) === key ? { ...l, ...patch } : l)) });
+  }
 
-    const line = (A, B, key) => (
-      <line
-        key={key}
-        x1={A.x}
-        y1={A.y}
-        x2={B.x}
-        y2={B.y}
-        className={col.stroke}
-        strokeWidth={8}
-        strokeLinecap="round"
-      />
-    );
+  // Unplugging, power switches and hand-made frames act on the run in
+  // progress: the engine makes them the next step and plans the rest of the
+  // run again from there
+  function injectAction(action) {
+    stopAnim();
+    engine.inject(action);
+    setStep(step + 1);
+  }
 
-    if (anim.type === "broadcast") {
-      return (
-        <g>
-          {line(anim.from, sw, "fs")}
-          {anim.segments.map((seg, i) => line(sw, seg.to, `s-${i}`))}
-        </g>
-      );
+  function onCanvasPointerMove(e) {
+    const pan = panStart.current;
+    if (pan) {
+      const dx = (e.clientX - pan.x) / pan.scale;
+      const dy = (e.clientY - pan.y) / pan.scale;
+      setView({ ...pan.view, x: pan.view.x - dx, y: pan.view.y - dy });
+      return;
     }
-
-    return (
-      <g>
-        {line(anim.from, sw, "u1")}
-        {line(sw, anim.to, "u2")}
-      </g>
-    );
+    if (!dragId) return;
+    const d = dragStart.current;
+    if (d && Math.hypot(e.clientX - d.x, e.clientY - d.y) < 4) return;
+    dragStart.current = null;
+    const p = svgPoint(e);
+    setTopology((prev) => ({ ...prev, nodes: { ...prev.nodes, [dragId]: { ...prev.nodes[dragId], x: p.x, y: p.y } } }));
   }
 
-  function PacketDot() {
-    if (!anim) return null;
+  // Clicking (not dragging) a PC or switch opens its console
+  function onCanvasPointerUp() {
+    if (dragId && dragStart.current && baseNodes[dragId].type !== "router") setConsoleId(dragId);
+    dragStart.current = null;
+    panStart.current = null;
+    setDragId(null);
+  }
 
-    const sw = nodes["SW1"];
-    const col = arpColor(anim.frameObj);
+  function runConsole(prompt, line) {
+    const id = consoleId;
+    if (/^(cls|clear)$/i.test(line.trim())) {
+      setConsoleLines((prev) => ({ ...prev, [id]: [] }));
+      return;
+    }
+    const entry = { text: `${prompt}${line}`, input: line };
+    stopAnim();
+    const output = engine.command(id, line).map((text) => ({ text }));
+    setConsoleLines((prev) => ({ ...prev, [id]: [...(prev[id] ?? []), entry, ...output].slice(-500) }));
+  }
 
-    // Broadcast: sender -> switch (pause) -> all PCs
-    if (anim.type === "broadcast") {
-      const senderN = anim.from;
-      const split = 0.38;
-      const pause = 0.18;
-      const p = progressWithPause(anim.t, split, pause);
+  function saveDevice(id, patch) {
+    const others = Object.values(baseNodes).filter((n) => n.id !== id);
+    const updated = { ...baseNodes[id], ...patch };
+    const ips = new Set(others.flatMap(deviceIps));
+    const macs = new Set(others.flatMap(deviceMacs));
+    deviceIps(updated)
+      .filter((ip) => ips.has(ip))
+      .forEach((ip) => pushLog(`Warning: ${ip} is already used by another device.`));
+    deviceMacs(updated)
+      .filter((mac) => macs.has(mac))
+      .forEach((mac) => pushLog(`Warning: ${mac} is already used by another device.`));
+    applyTopology({ ...topology, nodes: { ...baseNodes, [id]: { ...baseNodes[id], ...patch } } });
+  }
 
-      if (p.leg === 1) {
-        return <circle cx={lerp(senderN.x, sw.x, p.u)} cy={lerp(senderN.y, sw.y, p.u)} r={8} className={col.fill} />;
-      }
+  function stopAnim() {
+    setFlights([]);
+  }
 
-      if (p.leg === 0) {
-        return <circle cx={sw.x} cy={sw.y} r={9} className={col.fill} />;
-      }
+  // Auto play (it waits at open quiz questions)
+  useEffect(() => {
+    if (!auto) return;
+    const id = setInterval(() => {
+      setStep((s) => (questions.some((q) => q.step === s + 1 && !answers[q.id]) ? s : Math.min(s + 1, script.length - 1)));
+    }, 1350);
+    return () => clearInterval(id);
+  }, [auto, script.length, questions, answers]);
+
+  // The UI only listens: the engine logs, puts frames on the wire and
+  // hands back the new world after every step
+  useEffect(
+    () =>
+      engine.subscribe((e) => {
+        const at = engine.getCursor() - 1;
+        if (e.type === "log") pushLog(e.line, at);
+        if (e.type === "frame") {
+          const id = ++frameIds.current;
+          setFrameLog((prev) => [...prev, { id, step: at, flow: e.flow, frame: e.frame, delivery: e.delivery }]);
+          startAnim(id, e.delivery, e.mode, e.frame, e.flow);
+        }
+        if (e.type === "discard") {
+          setEventLog((prev) => prev.filter((x) => x.step <= e.after));
+          setFrameLog((prev) => prev.filter((x) => x.step <= e.after));
+        }
+        if (e.type === "state") setWorld(e.world);
+      }),
+    [engine]
+  );
 
-      return (
-        <g>
-          {anim.segments.map((seg, idx) => (
-            <circle
-              key={idx}
-              cx={lerp(sw.x, seg.to.x, p.u)}
-              cy={lerp(sw.y, seg.to.y, p.u)}
-              r={8}
-              className={col.fill}
-            />
-          ))}
-        </g>
-      );
-    }
+  useEffect(() => {
+    engine.setMacAging(macAging);
+  }, [engine, macAging]);
 
-    // Unicast: from -> switch (pause) -> to
-    const from = anim.from;
-    const to = anim.to;
-    const split = 0.5;
-    const pause = 0.18;
-    const p = progressWithPause(anim.t, split, pause);
+  // Step effects
+  useEffect(() => {
+    if (!script[step]) return;
+    stopAnim();
+    setPickedFrame(null);
+    engine.goto(step);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step, engine]);
 
-    if (p.leg === 1) {
-      return <circle cx={lerp(from.x, sw.x, p.u)} cy={lerp(from.y, sw.y, p.u)} r={8} className={col.fill} />;
-    }
+  // Grade the answers for a step once the engine has played it and the
+  // world and frame log shown here have caught up with it
+  useEffect(() => {
+    const due = questions.filter((q) => q.step === step && answers[q.id] && !answers[q.id].result);
+    if (due.length === 0 || engine.getCursor() - 1 !== step || world !== engine.getWorld()) return;
+    const outcome = { frames: frameLog.filter((f) => f.step === step), world };
+    setAnswers((prev) => {
+      const next = { ...prev };
+      due.forEach((q) => (next[q.id] = { ...prev[q.id], result: gradeAnswer(q, prev[q.id].answer, outcome) }));
+      return next;
+    });
+  }, [questions, answers, step, world, frameLog, engine]);
 
-    if (p.leg === 0) {
-      return <circle cx={sw.x} cy={sw.y} r={9} className={col.fill} />;
-    }
+  const stepLabel = `${step + 1} / ${script.length}`;
 
-    return <circle cx={lerp(sw.x, to.x, p.u)} cy={lerp(sw.y, to.y, p.u)} r={8} className={col.fill} />;
-  }
+  // Everything shown is what was true right after the current step
+  const visibleLog = eventLog.filter((e) => e.step <= step);
+  // A frame picked on the canvas ({ id }) or in the capture table ({ row })
+  // is shown until the next step; otherwise the last one sent
+  const stepFrames = frameLog.filter((f) => f.step === step);
+  // Copies of a looping frame this step, summed over every frame sent in it
+  const stormCopies = stepFrames.reduce((sum, f) => sum + (f.delivery.duplicates ?? 0), 0);
+  const stormCapped = stepFrames.some((f) => f.delivery.capped);
+  const shownFrame = useMemo(() => {
+    const row = capture[pickedFrame?.row];
+    if (row) return { row: pickedFrame.row, frame: row.frame };
+    return frameLog.find((f) => f.id === pickedFrame?.id && f.step <= step) ?? frameLog.filter((f) => f.step <= step).pop() ?? null;
+  }, [frameLog, step, pickedFrame, capture]);
+  // A frame that crossed a trunk can be shown as it was there, with its 802.1Q tag
+  const trunkHop = shownFrame?.delivery?.hops.find((h) => h.tag !== null) ?? null;
+  const [onTrunk, setOnTrunk] = useState(true);
+  const selectedFrame = useMemo(
+    () => (shownFrame && trunkHop && onTrunk ? tagFrame(shownFrame.frame, trunkHop.tag) : shownFrame?.frame ?? null),
+    [shownFrame, trunkHop, onTrunk]
+  );
+  const frameDetails = useMemo(() => (selectedFrame ? formatFrame(selectedFrame) : null), [selectedFrame]);
+  const frameBytes = useMemo(
+    () => (selectedFrame ? { bytes: encodeFrame(selectedFrame), fields: frameFields(selectedFrame) } : null),
+    [selectedFrame]
+  );
+  const frameInfo = selectedFrame ? describeFrame(selectedFrame) : null;
+
+  // Capture table: every frame so far, narrowed by the display filter
+  const [captureFilter, setCaptureFilter] = useState("");
+  const compiledFilter = useMemo(() => compileFilter(captureFilter), [captureFilter]);
+  const captureRows = useMemo(
+    () =>
+      capture
+        .map((r, i) => ({ row: i, time: r.time, frame: r.frame, ...summarizeFrame(r.frame) }))
+        .filter((r) => !compiledFilter.test || compiledFilter.test(r.frame)),
+    [capture, compiledFilter]
+  );
 
+  // PCs first, then switches
   const deviceList = useMemo(() => {
-    const ids = ["PC1", "PC2", "PC3", "PC4", "SW1"];
-    return ids.map((id) => nodes[id]);
+    const all = Object.values(nodes);
+    return [...all.filter((n) => n.type === "pc"), ...all.filter((n) => n.type !== "pc")];
   }, [nodes]);
 
+  const hostList = deviceList.filter((d) => d.type === "pc");
+
+  const selectedLink = links.find((l) => linkKey(l) === faultLink) ?? null;
+  const linkIsDown = selectedLink ? world.faults.down.includes(faultLink) : false;
+
   const currentTitle = script[step]?.title ?? "";
 
   return (
@@ -470,7 +1498,11 @@ export default function App() {
           <div className="flex items-center justify-between gap-3">
             <div>
               <div className="text-xl font-semibold">ARP Simulator</div>
-              <div className="mt-1 text-sm text-white/70">Broadcast (yellow) ARP Request, Unicast (green) ARP Reply, with switch pause.</div>
+              <div className="mt-1 text-sm text-white/70">
+                {v6
+                  ? "Multicast (orange) Neighbor Solicitation, Unicast (green) Neighbor Advertisement, with switch pause."
+                  : "Broadcast (yellow) ARP Request, Unicast (green) ARP Reply, with switch pause."}
+              </div>
             </div>
             <div className="flex items-center gap-2">
               {pill(`Step ${stepLabel}`)}
@@ -479,7 +1511,7 @@ export default function App() {
           </div>
 
           <div className="flex flex-wrap items-center gap-2">
-            <button onClick={resetAll} className="rounded-xl bg-red-500/90 px-4 py-2 text-sm font-semibold shadow hover:bg-red-500">
+            <button onClick={() => resetAll()} className="rounded-xl bg-red-500/90 px-4 py-2 text-sm font-semibold shadow hover:bg-red-500">
               Reset
             </button>
             <button
@@ -489,7 +1521,7 @@ export default function App() {
               Back
             </button>
             <button
-              onClick={() => setStep((s) => Math.min(script.length - 1, s + 1))}
+              onClick={() => moveTo(Math.min(script.length - 1, step + 1))}
               className="rounded-xl bg-emerald-500/90 px-4 py-2 text-sm font-semibold shadow hover:bg-emerald-500"
             >
               Next →
@@ -501,17 +1533,77 @@ export default function App() {
               Auto Play
             </button>
 
+            <div className="flex flex-wrap items-center gap-2 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/80">
+              <span>Scenario</span>
+              <select
+                value={scenario.presetId}
+                onChange={(e) => chooseScenario({ presetId: e.target.value })}
+                className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+              >
+                {SCENARIOS.map((sc) => (
+                  <option key={sc.id} value={sc.id}>
+                    {sc.name}
+                  </option>
+                ))}
+                {scenario.presetId === "custom" && <option value="custom">Custom (from lab file)</option>}
+              </select>
+              <select
+                value={v6 ? 6 : 4}
+                onChange={(e) => chooseScenario({ ipVersion: parseInt(e.target.value, 10) })}
+                className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+              >
+                <option value={4}>ARP (IPv4)</option>
+                <option value={6}>Neighbor Discovery (IPv6)</option>
+              </select>
+              <span>Sender</span>
+              <select
+                value={senderId}
+                onChange={(e) => chooseScenario({ senderId: e.target.value })}
+                className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+              >
+                {hostList.map((d) => (
+                  <option key={d.id} value={d.id}>
+                    {d.name}
+                  </option>
+                ))}
+              </select>
+              <span>Target</span>
+              <select
+                value={targetId}
+                onChange={(e) => chooseScenario({ targetId: e.target.value })}
+                className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+              >
+                {hostList.map((d) => (
+                  <option key={d.id} value={d.id}>
+                    {d.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="ml-auto flex items-center gap-3 rounded-xl border border-white/10 bg-white/5 px-3 py-2">
-              <div className="text-sm text-white/80">Zoom: {Math.round(zoom * 100)}%</div>
+              <div className="text-sm text-white/80">Zoom: {Math.round(zoomOf(view) * 100)}%</div>
+              <button onClick={() => zoomCentre(1 / 1.25)} className="rounded-lg bg-white/5 px-2 text-sm font-semibold hover:bg-white/10">
+                −
+              </button>
               <input
                 type="range"
-                min={0.45}
-                max={1.2}
+                min={MIN_ZOOM}
+                max={MAX_ZOOM}
                 step={0.01}
-                value={zoom}
-                onChange={(e) => setZoom(parseFloat(e.target.value))}
-                className="w-44"
+                value={zoomOf(view)}
+                onChange={(e) => zoomCentre(parseFloat(e.target.value) / zoomOf(view))}
+                className="w-32"
               />
+              <button onClick={() => zoomCentre(1.25)} className="rounded-lg bg-white/5 px-2 text-sm font-semibold hover:bg-white/10">
+                +
+              </button>
+              <button
+                onClick={() => setView(fittedView(nodes))}
+                className="rounded-lg bg-white/5 px-2 text-xs font-semibold hover:bg-white/10"
+              >
+                Fit
+              </button>
             </div>
           </div>
 
@@ -522,67 +1614,404 @@ export default function App() {
 
         <div className="mt-4 grid grid-cols-1 gap-4 lg:grid-cols-[1fr_360px]">
           <div className="rounded-2xl border border-white/10 bg-white/5 p-3 shadow-sm">
+            <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-white/60">Editor:</span>
+              {[
+                ["move", "Move"],
+                ["link", "Link"],
+                ["delete", "Delete"],
+                ["fault", "Faults"]
+              ].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => {
+                    setEditMode(mode);
+                    setLinkFrom(null);
+                  }}
+                  className={`rounded-xl px-3 py-1 text-xs font-semibold ${editMode === mode ? "bg-white/15" : "bg-white/5 hover:bg-white/10"}`}
+                >
+                  {label}
+                </button>
+              ))}
+              <button onClick={() => addNode("pc")} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                + PC
+              </button>
+              <button onClick={() => addNode("switch")} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                + Switch
+              </button>
+              <button onClick={() => addNode("router")} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                + Router
+              </button>
+              <button onClick={() => addNode("server")} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                + Server
+              </button>
+              <select
+                value=""
+                onChange={(e) => {
+                  const lab = LABS.find((l) => l.id === e.target.value);
+                  if (!lab) return;
+                  const preset = lab.actions
+                    ? { presetId: "custom", actions: lab.actions }
+                    : lab.presetId
+                      ? { presetId: lab.presetId, actions: undefined }
+                      : {};
+                  const next = lab.build();
+                  applyTopology(next, { senderId: "PC1", targetId: "PC3", attackerId: "PC2", ...preset });
+                  setView(fittedView(next.nodes));
+                }}
+                className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+              >
+                <option value="">Load lab…</option>
+                {LABS.map((l) => (
+                  <option key={l.id} value={l.id}>
+                    {l.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value=""
+                onChange={(e) => e.target.value && layOut(e.target.value)}
+                className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+              >
+                <option value="">Auto-layout…</option>
+                <option value="tree">Tree</option>
+                <option value="grid">Grid</option>
+              </select>
+              <button onClick={saveLab} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                Save lab
+              </button>
+              <button onClick={() => fileRef.current.click()} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                Open lab…
+              </button>
+              <input
+                ref={fileRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) openLab(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+              <button onClick={copyLink} className="rounded-xl bg-white/5 px-3 py-1 text-xs font-semibold hover:bg-white/10">
+                Copy link
+              </button>
+              <span className="text-xs text-white/60">
+                {editMode === "move"
+                  ? "Drag devices to rearrange them; click a PC, server or switch to open its console."
+                  : editMode === "link"
+                    ? linkFrom
+                      ? `Click the device to connect to ${nodes[linkFrom].name}.`
+                      : "Click two devices to wire them (switches use their next free port)."
+                    : editMode === "fault"
+                      ? "Click a device to power it off or on, or a link to set its latency and loss or unplug it."
+                      : "Click a device or link to remove it."}
+              </span>
+            </div>
+            <Timeline script={script} step={step} played={engine.getHistoryLength()} onPick={moveTo} />
             <div className="overflow-hidden rounded-2xl border border-white/10 bg-slate-950/40">
               <div className="h-[540px] w-full">
-                <svg viewBox={`0 0 ${svgW} ${svgH}`} className="h-full w-full" style={{ transform: `scale(${zoom})`, transformOrigin: "top left" }}>
+                <svg
+                  ref={svgRef}
+                  viewBox={`${view.x} ${view.y} ${view.w} ${view.h}`}
+                  className="h-full w-full touch-none select-none"
+                  onPointerDown={onCanvasPointerDown}
+                  onPointerMove={onCanvasPointerMove}
+                  onPointerUp={onCanvasPointerUp}
+                  onPointerLeave={() => {
+                    panStart.current = null;
+                    setDragId(null);
+                  }}
+                >
                   <defs>
                     <pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">
                       <path d="M 40 0 L 0 0 0 40" fill="none" className="stroke-white/5" strokeWidth="1" />
                     </pattern>
                   </defs>
-                  <rect width={svgW} height={svgH} fill="url(#grid)" />
-
-                  {links.map((l, i) => (
-                    <Link key={i} a={l.a} b={l.b} />
-                  ))}
-
-                  <PacketPath />
-                  <PacketDot />
+                  <rect x={view.x} y={view.y} width={view.w} height={view.h} fill="url(#grid)" />
+
+                  {links.map((l, i) => {
+                    const A = nodes[l.a];
+                    const B = nodes[l.b];
+                    const key = linkKey(l);
+                    const down = world.faults.down.includes(key);
+                    // Switch-to-switch links show each end's STP role
+                    const stpLink = stpTree && A.type === "switch" && B.type === "switch" && !down;
+                    return (
+                      <CanvasLink
+                        key={`${l.a}-${l.b}`}
+                        link={l}
+                        index={i}
+                        A={A}
+                        B={B}
+                        aRole={stpLink ? stpTree.roles[A.id]?.[l.aPort] : undefined}
+                        bRole={stpLink ? stpTree.roles[B.id]?.[l.bPort] : undefined}
+                        down={down}
+                        picked={editMode === "fault" && faultLink === key}
+                        clickable={editMode === "delete" || editMode === "fault"}
+                        onClick={linkClick}
+                      />
+                    );
+                  })}
+
+                  <FlightPaths flights={flights} nodes={nodes} pickedId={shownFrame?.id} onPick={pickFlight} />
+                  <FlightDots flights={flights} nodes={nodes} pickedId={shownFrame?.id} clockRef={clockRef} onPick={pickFlight} />
 
                   {Object.values(nodes).map((n) => (
-                    <Node key={n.id} n={n} />
+                    <CanvasNode
+                      key={n.id}
+                      n={n}
+                      v6={v6}
+                      isKey={n.id === senderId || n.id === targetId}
+                      off={world.faults.off.includes(n.id)}
+                      rootBridge={isRootBridge(n.id)}
+                      linking={linkFrom === n.id}
+                      cursor={editMode === "move" ? (dragId === n.id ? "grabbing" : "grab") : "pointer"}
+                      onPointerDown={nodePointerDown}
+                    />
                   ))}
                 </svg>
               </div>
             </div>
 
             <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
-              <PanelCard title="ARP Cache (sender / target)">
+              <PanelCard title={v6 ? "Neighbor cache (all hosts)" : "ARP Cache (all hosts)"}>
                 <div className="space-y-2 text-sm text-white/80">
-                  <div className="rounded-xl border border-white/10 bg-white/5 p-3">
-                    <div className="font-semibold text-white">{sender.name}</div>
-                    <div className="mt-1 font-mono text-xs whitespace-pre-wrap">
-                      {Object.keys(arpCaches[senderId]).length === 0
-                        ? "(empty)"
-                        : Object.entries(arpCaches[senderId])
-                            .map(([ip, mac]) => `${ip} -> ${mac}`)
-                            .join("\n")}
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-white/70">
+                    <span>Clock: {simTime}s</span>
+                    <span className="ml-auto">Reachable for:</span>
+                    <select
+                      value={arpTimeout}
+                      onChange={(e) => chooseArpTimeout(parseInt(e.target.value, 10))}
+                      className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+                    >
+                      {ARP_TIMEOUT_OPTIONS.map((sec) => (
+                        <option key={sec} value={sec}>
+                          {sec}s
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {deviceList
+                    .filter((d) => d.type !== "switch")
+                    .map((d) => (
+                      <div key={d.id} className="rounded-xl border border-white/10 bg-white/5 p-3 font-mono text-xs">
+                        <div className="mb-1 font-sans font-semibold text-white">{d.name}</div>
+                        {Object.keys(arpCaches[d.id] ?? {}).length === 0 ? (
+                          "(empty)"
+                        ) : (
+                          <table className="w-full text-left">
+                            <thead className="text-white/60">
+                              <tr>
+                                <th className="font-normal">IP</th>
+                                <th className="font-normal">MAC</th>
+                                <th className="font-normal">State</th>
+                                <th className="font-normal">Age</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {Object.entries(arpCaches[d.id]).map(([ip, e]) => (
+                                <tr key={ip} className={ARP_STATE_COLORS[e.state]}>
+                                  <td>{ip}</td>
+                                  <td>{e.mac ?? "(none)"}</td>
+                                  <td>
+                                    {e.state}
+                                    {pending[d.id]?.[ip] ? <span className="ml-1 text-violet-200">+1 queued</span> : null}
+                                  </td>
+                                  <td>{e.state === "PERMANENT" ? "-" : `${simTime - e.at}s`}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    ))}
+                  <div className="text-xs text-white/60">
+                    REACHABLE entries go STALE after the timeout; a STALE entry is {v6 ? "solicited again" : "re-ARPed"} on the next send. Unanswered{" "}
+                    {v6 ? "solicitations" : "requests"} retry {ARP_RETRIES} times, then FAILED. A packet waiting on {v6 ? "resolution" : "ARP"} is
+                    queued and dropped if the entry fails.
+                  </div>
+                </div>
+              </PanelCard>
+
+              <PanelCard title="Switch MAC table">
+                <div className="space-y-2 text-sm text-white/80">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-white/70">
+                    <span>Clock: {simTime}s</span>
+                    <span className="ml-auto">Aging:</span>
+                    <select
+                      value={macAging}
+                      onChange={(e) => setMacAging(parseInt(e.target.value, 10))}
+                      className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+                    >
+                      {MAC_AGING_OPTIONS.map((sec) => (
+                        <option key={sec} value={sec}>
+                          {sec}s
+                        </option>
+                      ))}
+                    </select>
+                    <button onClick={() => engine.tick(10)} className="rounded-lg bg-white/10 px-2 py-1 font-semibold hover:bg-white/15">
+                      +10s
+                    </button>
+                  </div>
+                  {Object.entries(macTables).map(([swId, table]) => (
+                    <div key={swId} className="rounded-xl border border-white/10 bg-white/5 p-3 font-mono text-xs">
+                      <div className="mb-1 font-sans font-semibold text-white">{nodes[swId].name}</div>
+                      {Object.keys(table).length === 0 ? (
+                        "(empty)"
+                      ) : (
+                        <table className="w-full text-left">
+                          <thead className="text-white/60">
+                            <tr>
+                              <th className="font-normal">VLAN</th>
+                              <th className="font-normal">MAC</th>
+                              <th className="font-normal">Port</th>
+                              <th className="font-normal">Age</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {Object.entries(table).map(([mac, e]) => (
+                              <tr key={mac}>
+                                <td>{e.vlan}</td>
+                                <td>{mac}</td>
+                                <td>{e.port}</td>
+                                <td>{simTime - e.learnedAt}s</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
                     </div>
+                  ))}
+                  <div className="text-xs text-white/60">
+                    The request floods out every port; the reply is forwarded out one port because the switch learned the requester's MAC.
                   </div>
-                  <div className="rounded-xl border border-white/10 bg-white/5 p-3">
-                    <div className="font-semibold text-white">{target.name}</div>
-                    <div className="mt-1 font-mono text-xs whitespace-pre-wrap">
-                      {Object.keys(arpCaches[targetId]).length === 0
-                        ? "(empty)"
-                        : Object.entries(arpCaches[targetId])
-                            .map(([ip, mac]) => `${ip} -> ${mac}`)
-                            .join("\n")}
+                </div>
+              </PanelCard>
+
+              <PanelCard title="Spanning tree (STP)">
+                <div className="space-y-2 text-sm text-white/80">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={stpOn} onChange={() => toggleDefense("stp")} />
+                    Run 802.1D STP on every switch (off: loops are not broken)
+                  </label>
+                  {stpTree ? (
+                    <div className="rounded-xl border border-white/10 bg-white/5 p-3 font-mono text-xs">
+                      {Object.entries(stpTree.bridges).map(([id, b]) => (
+                        <div key={id} className={isRootBridge(id) ? "text-sky-200" : ""}>
+                          {nodes[id].name}: {b.id.priority}/{b.id.mac}
+                          {b.cost === 0 ? (isRootBridge(id) ? " root bridge" : "") : `, cost ${b.cost} via ${b.rootPort}`}
+                        </div>
+                      ))}
+                      {stpBlocked.map(([id, port]) => (
+                        <div key={`${id} ${port}`} className="text-orange-300">
+                          {nodes[id].name} {port}: blocking
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+                  {stormCopies > 0 ? (
+                    <div className="rounded-xl border border-red-300/40 bg-red-500/10 p-3 text-xs text-red-200">
+                      This step: {stormCopies} duplicate frame copies
+                      {stormCapped ? `, capped at ${stormCopies}: real switches would keep flooding until the links saturate` : ""}.
                     </div>
+                  ) : null}
+                  <div className="text-xs text-white/60">
+                    {stpOn && stpBlocked.length === 0
+                      ? "No redundant links: the tree is the whole LAN and nothing blocks. Load the Redundant switches lab to see a loop broken."
+                      : "Lowest bridge ID (priority, then MAC) is root. Each switch forwards on its cheapest port to the root; one end of every redundant link blocks. Without STP, a broadcast circles the loop forever."}
                   </div>
                 </div>
               </PanelCard>
 
-              <PanelCard title="Selected frame details (Ethernet vs ARP)">
+              <PanelCard title="Capture">
+                <input
+                  value={captureFilter}
+                  onChange={(e) => setCaptureFilter(e.target.value)}
+                  list="capture-filters"
+                  spellCheck={false}
+                  placeholder="Apply a display filter… e.g. arp.opcode == 2"
+                  className={`w-full rounded-lg border px-2 py-1 font-mono text-xs outline-none ${
+                    compiledFilter.error
+                      ? "border-red-400/60 bg-red-500/15"
+                      : captureFilter.trim()
+                        ? "border-emerald-400/60 bg-emerald-500/10"
+                        : "border-white/10 bg-slate-900"
+                  }`}
+                />
+                <datalist id="capture-filters">
+                  {FILTER_EXAMPLES.map((f) => (
+                    <option key={f} value={f} />
+                  ))}
+                </datalist>
+                {compiledFilter.error && <div className="mt-1 text-xs text-red-300">{compiledFilter.error}</div>}
+                <div className="mt-2 max-h-[240px] overflow-auto rounded-xl border border-white/10 bg-slate-950/40">
+                  <table className="w-full font-mono text-xs">
+                    <thead className="sticky top-0 bg-slate-900 text-left text-white/60">
+                      <tr>
+                        <th className="px-2 py-1">No.</th>
+                        <th className="px-2 py-1">Time</th>
+                        <th className="px-2 py-1">Source</th>
+                        <th className="px-2 py-1">Destination</th>
+                        <th className="px-2 py-1">Protocol</th>
+                        <th className="px-2 py-1">Info</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {captureRows.map((r) => (
+                        <tr
+                          key={r.row}
+                          onClick={() => setPickedFrame({ row: r.row })}
+                          className={`cursor-pointer ${captureColor(r.frame)} ${r.row === shownFrame?.row ? "bg-white/15" : "hover:bg-white/5"}`}
+                        >
+                          <td className="px-2 py-0.5 text-white/50">{r.row + 1}</td>
+                          <td className="px-2 py-0.5">{r.time}s</td>
+                          <td className="px-2 py-0.5">{r.source}</td>
+                          <td className="px-2 py-0.5">{r.destination}</td>
+                          <td className="px-2 py-0.5">{r.protocol}</td>
+                          <td className="px-2 py-0.5">{r.info}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {captureRows.length === 0 && (
+                    <div className="p-2 text-xs text-white/60">
+                      {capture.length === 0 ? "(no frames yet) — press Next" : "No frame matches the filter."}
+                    </div>
+                  )}
+                </div>
+                <div className="mt-2 text-xs text-white/60">
+                  Displayed: {captureRows.length} of {capture.length}. Click a row to load it into the frame details below.
+                </div>
+              </PanelCard>
+
+              <PanelCard title="Selected frame details">
                 {!frameDetails ? (
-                  <div className="text-sm text-white/70">Advance to the ARP Request/Reply steps to see full headers.</div>
+                  <div className="text-sm text-white/70">Advance to an ARP or ICMP step to see full headers.</div>
                 ) : (
                   <div className="grid grid-cols-1 gap-3">
+                    {stepFrames.length > 1 && (
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-xs text-white/60">Sent together (or click a dot):</span>
+                        {stepFrames.map((f) => (
+                          <button
+                            key={f.id}
+                            onClick={() => setPickedFrame({ id: f.id })}
+                            className={`rounded-xl px-3 py-1 font-mono text-xs ${FLOW_TEXT[(f.flow ?? 0) % FLOW_TEXT.length]} ${
+                              f.id === shownFrame?.id ? "bg-white/15" : "bg-white/5 hover:bg-white/10"
+                            }`}
+                          >
+                            {f.delivery.hops[0]?.from}: {describeFrame(f.frame)?.name ?? "IP packet"}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                     <div className="flex flex-wrap items-center gap-2">
                       <button
                         onClick={() => setLayerTab("both")}
                         className={`rounded-xl px-3 py-1 text-xs font-semibold ${layerTab === "both" ? "bg-white/15" : "bg-white/5 hover:bg-white/10"}`}
                       >
-                        Ethernet + ARP
+                        All layers
                       </button>
                       <button
                         onClick={() => setLayerTab("ethernet")}
@@ -596,52 +2025,373 @@ export default function App() {
                       >
                         ARP ("L2.5")
                       </button>
+                      <button
+                        onClick={() => setLayerTab("ip")}
+                        className={`rounded-xl px-3 py-1 text-xs font-semibold ${layerTab === "ip" ? "bg-white/15" : "bg-white/5 hover:bg-white/10"}`}
+                      >
+                        IP and up (L3+)
+                      </button>
+                      <button
+                        onClick={() => setLayerTab("hex")}
+                        className={`rounded-xl px-3 py-1 text-xs font-semibold ${layerTab === "hex" ? "bg-white/15" : "bg-white/5 hover:bg-white/10"}`}
+                      >
+                        Hex dump
+                      </button>
                     </div>
 
+                    {trunkHop && (
+                      <label className="flex items-center gap-2 text-xs text-white/70">
+                        <input type="checkbox" checked={onTrunk} onChange={(e) => setOnTrunk(e.target.checked)} />
+                        As carried on the trunk {trunkHop.from} → {trunkHop.to} (802.1Q tag, VLAN {trunkHop.tag})
+                      </label>
+                    )}
+
                     {(layerTab === "both" || layerTab === "ethernet") && (
                       <div className="rounded-xl border border-white/10 bg-white/5 p-3">
                         <div className="text-xs font-semibold text-white/80">Ethernet II (Layer 2)</div>
-                        <pre className="mt-2 whitespace-pre-wrap font-mono text-xs text-white/80">{frameDetails.ethernet}</pre>
+                        <FieldLines
+                          fields={frameBytes.fields.filter((f) => f.layer === "ethernet")}
+                          hover={hoverField}
+                          onHover={setHoverField}
+                        />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ethernet") && frameDetails.dot1q && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">802.1Q VLAN tag (trunks only: access ports send the frame untagged)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "dot1q")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ethernet") && frameDetails.stp && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">LLC + Spanning Tree Protocol (Layer 2 only)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "stp")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {layerTab === "arp" && !frameDetails.arp && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3 text-xs text-white/60">
+                        {frameDetails.stp
+                          ? "No ARP layer: a BPDU is switch-to-switch traffic carried in an 802.3 frame with an LLC header."
+                          : frameDetails.ipv6
+                            ? "No ARP layer: IPv6 resolves addresses with ICMPv6 Neighbor Discovery (EtherType 0x86DD)."
+                            : "No ARP layer: this frame carries an IPv4 packet (EtherType 0x0800)."}
+                      </div>
+                    )}
+
+                    {layerTab === "ip" && !frameDetails.ipv4 && !frameDetails.ipv6 && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3 text-xs text-white/60">
+                        {frameDetails.stp
+                          ? "No IP layer: switches exchange BPDUs below IP, so they work before any address is set."
+                          : "No IPv4 layer: ARP rides directly on Ethernet (EtherType 0x0806)."}
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ip") && frameDetails.ipv4 && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">IPv4 (Layer 3)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "ipv4")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ip") && frameDetails.icmp && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">ICMP (carried in IPv4, protocol 1)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "icmp")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ip") && frameDetails.udp && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">UDP (carried in IPv4, protocol 17)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "udp")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ip") && frameDetails.dhcp && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">DHCP (UDP ports 67/68)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "dhcp")} hover={hoverField} onHover={setHoverField} />
                       </div>
                     )}
 
-                    {(layerTab === "both" || layerTab === "arp") && (
+                    {(layerTab === "both" || layerTab === "ip") && frameDetails.ipv6 && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">IPv6 (Layer 3)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "ipv6")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "ip") && frameDetails.icmpv6 && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">ICMPv6 (carried in IPv6, next header 58)</div>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "icmpv6")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {(layerTab === "both" || layerTab === "arp") && frameDetails.arp && (
                       <div className="rounded-xl border border-white/10 bg-white/5 p-3">
                         <div className="text-xs font-semibold text-white/80">ARP (between L2/L3)</div>
-                        <pre className="mt-2 whitespace-pre-wrap font-mono text-xs text-white/80">{frameDetails.arp}</pre>
+                        <FieldLines fields={frameBytes.fields.filter((f) => f.layer === "arp")} hover={hoverField} onHover={setHoverField} />
+                      </div>
+                    )}
+
+                    {frameInfo && layerTab !== "hex" && (
+                      <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                        <div className="text-xs font-semibold text-white/80">{frameInfo.name}</div>
+                        <ul className="mt-2 list-disc space-y-1 pl-4 text-xs text-white/70">
+                          {frameInfo.notes.map((n) => (
+                            <li key={n}>{n}</li>
+                          ))}
+                        </ul>
                       </div>
                     )}
+
+                    <div className="rounded-xl border border-white/10 bg-white/5 p-3">
+                      <div className="text-xs font-semibold text-white/80">
+                        Bytes on the wire ({frameBytes.bytes.length}, no FCS)
+                        {hoverField && <span className="ml-2 font-normal text-yellow-200">{frameBytes.fields.find((f) => f.key === hoverField)?.text}</span>}
+                      </div>
+                      <HexDump bytes={frameBytes.bytes} fields={frameBytes.fields} hover={hoverField} onHover={setHoverField} />
+                      {layerTab === "hex" && (
+                        <FieldLines fields={frameBytes.fields} hover={hoverField} onHover={setHoverField} />
+                      )}
+                    </div>
                   </div>
                 )}
               </PanelCard>
+
+              <PanelCard title="Frame editor (hand-made ARP)">
+                <FrameEditor
+                  key={addrKey}
+                  hosts={Object.values(nodes).filter((n) => n.type === "pc" || n.type === "server")}
+                  from={nodes[senderId]}
+                  to={nodes[targetId]}
+                  disabled={v6}
+                  onSend={injectAction}
+                />
+                {v6 ? <div className="mt-2 text-xs text-white/60">IPv6 mode: hosts resolve neighbors with ND, so there is no ARP to craft.</div> : null}
+              </PanelCard>
+
+              <PanelCard title="ARP security">
+                <div className="space-y-2 text-sm text-white/80">
+                  <div className="flex items-center justify-between gap-2">
+                    <span>Attacker</span>
+                    <select
+                      value={attackerId ?? ""}
+                      onChange={(e) => chooseScenario({ attackerId: e.target.value })}
+                      className="rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+                    >
+                      {hostList
+                        .filter((d) => d.id !== senderId && d.id !== targetId)
+                        .map((d) => (
+                          <option key={d.id} value={d.id}>
+                            {d.name}
+                          </option>
+                        ))}
+                    </select>
+                  </div>
+                  {[
+                    ["staticArp", "Static ARP entries (sender <-> target)"],
+                    ["dai", "Dynamic ARP Inspection on switches"],
+                    ["dupMacAlert", "Duplicate-MAC / changed-MAC alerts (arpwatch)"]
+                  ].map(([key, label]) => (
+                    <label key={key} className="flex items-center gap-2 text-xs">
+                      <input type="checkbox" checked={defenses[key]} onChange={() => toggleDefense(key)} />
+                      {label}
+                    </label>
+                  ))}
+                  {defenses.dai ? (
+                    <div className="rounded-xl border border-white/10 bg-white/5 p-3 font-mono text-xs">
+                      <div className="mb-1 font-sans font-semibold text-white">DHCP snooping bindings</div>
+                      {Object.entries(engine.getBindings()).map(([ip, b]) => (
+                        <div key={ip}>
+                          {ip} {b.mac} {b.switchId} {b.port}
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+                  <div className="text-xs text-white/60">
+                    Run the "ARP spoofing (man in the middle)" scenario, then toggle a defense and run it again.
+                  </div>
+                </div>
+              </PanelCard>
+
+              <PanelCard title="Faults">
+                <div className="space-y-2 text-sm text-white/80">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-white/70">
+                    <span>Loss seed</span>
+                    <input
+                      type="number"
+                      min={0}
+                      value={scenario.seed ?? DEFAULT_SEED}
+                      onChange={(e) => {
+                        const seed = Number(e.target.value);
+                        if (isSeed(seed)) chooseScenario({ seed });
+                      }}
+                      className="w-28 rounded-lg border border-white/10 bg-slate-900 px-2 py-1 text-xs"
+                    />
+                    <button
+                      onClick={() => chooseScenario({ seed: Math.floor(Math.random() * 2 ** 32) })}
+                      className="rounded-lg bg-white/10 px-2 py-1 font-semibold hover:bg-white/15"
+                    >
+                      New seed
+                    </button>
+                  </div>
+                  {selectedLink ? (
+                    <div className="space-y-1 rounded-xl border border-white/10 bg-white/5 p-3 text-xs">
+                      <div className="mb-1 font-semibold text-white">Link {faultLink}</div>
+                      <label className="flex items-center justify-between gap-2">
+                        Latency (ms)
+                        <input
+                          type="number"
+                          min={0}
+                          step={10}
+                          value={selectedLink.latency ?? 0}
+                          onChange={(e) => {
+                            const ms = Number(e.target.value);
+                            if (Number.isFinite(ms) && ms >= 0) setLinkFaults(faultLink, { latency: ms });
+                          }}
+                          className="w-20 rounded-lg border border-white/10 bg-slate-900 px-2 py-1"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between gap-2">
+                        Loss (%)
+                        <input
+                          type="number"
+                          min={0}
+                          max={100}
+                          value={Math.round((selectedLink.loss ?? 0) * 100)}
+                          onChange={(e) => {
+                            const pct = Number(e.target.value);
+                            if (pct >= 0 && pct <= 100) setLinkFaults(faultLink, { loss: pct / 100 });
+                          }}
+                          className="w-20 rounded-lg border border-white/10 bg-slate-900 px-2 py-1"
+                        />
+                      </label>
+                      <button
+                        onClick={() =>
+                          injectAction({ type: linkIsDown ? "plug" : "unplug", device: selectedLink.a, port: selectedLink.aPort })
+                        }
+                        className="rounded-lg bg-white/10 px-2 py-1 font-semibold hover:bg-white/15"
+                      >
+                        {linkIsDown ? "Plug back in now" : "Unplug now"}
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="text-xs text-white/60">Switch the editor to Faults and click a link to edit it.</div>
+                  )}
+                  {world.faults.down.length + world.faults.off.length > 0 ? (
+                    <div className="rounded-xl border border-white/10 bg-white/5 p-3 font-mono text-xs text-red-200">
+                      {world.faults.down.map((key) => (
+                        <div key={key}>unplugged: {key}</div>
+                      ))}
+                      {world.faults.off.map((id) => (
+                        <div key={id}>powered off: {nodes[id].name}</div>
+                      ))}
+                    </div>
+                  ) : null}
+                  <div className="text-xs text-white/60">
+                    Latency, loss and the seed restart the run, and the same seed loses the same frames again. Unplugging a link or
+                    powering a device off happens at the current step; the rest of the run is replanned around it.
+                  </div>
+                </div>
+              </PanelCard>
             </div>
           </div>
 
           <div className="space-y-4">
+            <PanelCard title="Quiz">
+              <div className="space-y-2 text-sm text-white/80">
+                <div className="flex flex-wrap items-center gap-2 text-xs text-white/70">
+                  <label className="flex items-center gap-2 text-sm text-white/80">
+                    <input type="checkbox" checked={quizOn} onChange={toggleQuiz} />
+                    Quiz mode
+                  </label>
+                  <span>
+                    {quizOn ? `${questions.length} questions, ` : ""}
+                    {quizSpec ? "instructor's set" : "built-in set"}
+                  </span>
+                  <button
+                    onClick={() => setEditingQuiz((v) => !v)}
+                    className="ml-auto rounded-lg bg-white/10 px-2 py-0.5 font-semibold hover:bg-white/15"
+                  >
+                    {editingQuiz ? "Close editor" : "Edit questions"}
+                  </button>
+                </div>
+                {editingQuiz ? <QuizEditor spec={quizSpec ?? DEFAULT_QUIZ} nodes={baseNodes} onApply={applyQuizSpec} /> : null}
+                {quizOn && openQuestion ? <QuizQuestion key={openQuestion.id} question={openQuestion} onCheck={(a) => lockAnswer(openQuestion, a)} /> : null}
+                {quizOn && !openQuestion && graded.length < questions.length ? (
+                  <div className="text-xs text-white/60">Press Next: the run stops before the next step with a question.</div>
+                ) : null}
+                {graded.map((q) => {
+                  const { answer, result } = answers[q.id];
+                  return (
+                    <div key={q.id} className={`rounded-xl border p-2 text-xs ${result.correct ? "border-emerald-400/40" : "border-red-400/40"}`}>
+                      <div className="text-white/80">
+                        {result.correct ? "✓" : "✗"} Step {q.step + 1}: {q.prompt}
+                      </div>
+                      <div className="font-mono text-white/60">You said: {answerText(q, answer)}</div>
+                      {result.correct ? null : <div className="font-mono text-emerald-200">Actual: {answerText(q, result.expected)}</div>}
+                    </div>
+                  );
+                })}
+                {quizOn && questions.length > 0 ? (
+                  <div className="text-sm font-semibold text-white">
+                    {graded.length === questions.length ? "Final score" : "Score so far"}: {score} / {graded.length}
+                  </div>
+                ) : null}
+              </div>
+            </PanelCard>
+            {consoleId && nodes[consoleId] ? (
+              <PanelCard title={`Console: ${nodes[consoleId].name}`}>
+                <DeviceConsole
+                  key={consoleId}
+                  device={nodes[consoleId]}
+                  lines={consoleLines[consoleId] ?? []}
+                  onRun={runConsole}
+                  onClose={() => setConsoleId(null)}
+                />
+              </PanelCard>
+            ) : null}
             <PanelCard title="Network devices">
               <div className="space-y-3">
                 {deviceList.map((d) => (
                   <div key={d.id} className="rounded-2xl border border-white/10 bg-white/5 p-3">
                     <div className="flex items-center justify-between">
                       <div className="font-semibold">{d.name}</div>
-                      {d.id === senderId ? pill("Sender") : d.id === targetId ? pill("Target") : null}
-                    </div>
-                    <div className="mt-1 text-sm text-white/80">
-                      {d.ip ? (
-                        <>
-                          <div>
-                            IP: <span className="font-mono">{d.ip}</span>
-                          </div>
-                          <div>
-                            MAC: <span className="font-mono">{d.mac}</span>
-                          </div>
-                        </>
-                      ) : (
-                        <div>
-                          MAC: <span className="font-mono">{d.mac}</span>
-                        </div>
-                      )}
+                      {d.id === senderId
+                        ? pill("Sender")
+                        : d.id === targetId
+                          ? pill("Target")
+                          : d.id === attackerId && scenario.presetId === "spoof"
+                            ? pill("Attacker")
+                            : null}
                     </div>
+                    {v6 && d.ip ? <div className="font-mono text-xs text-white/60">IPv6: {d.ip}</div> : null}
+                    {d.dhcp && !v6 ? (
+                      <div className="font-mono text-xs text-white/60">
+                        {world.leases[d.id]
+                          ? `Lease: ${world.leases[d.id].ip} from ${nodes[world.leases[d.id].serverId].name}${d.ip === ZEROIP ? " (probing it)" : ""}`
+                          : "No lease yet"}
+                      </div>
+                    ) : null}
+                    {d.type === "server"
+                      ? Object.entries(world.leases)
+                          .filter(([, l]) => l.serverId === d.id)
+                          .map(([client, l]) => (
+                            <div key={client} className="font-mono text-xs text-white/60">
+                              Leased {l.ip} to {nodes[client].name} ({l.expires - simTime}s left)
+                            </div>
+                          ))
+                      : null}
+                    <DeviceEditor
+                      device={v6 || d.dhcp ? baseNodes[d.id] : d}
+                      ports={links.filter((l) => l.a === d.id || l.b === d.id).map((l) => (l.a === d.id ? l.aPort : l.bPort))}
+                      onSave={(patch) => saveDevice(d.id, patch)}
+                    />
                   </div>
                 ))}
               </div>
@@ -649,11 +2399,11 @@ export default function App() {
 
             <PanelCard title="Event log">
               <div className="max-h-[290px] overflow-auto rounded-xl border border-white/10 bg-slate-950/40 p-2">
-                {eventLog.length === 0 ? (
+                {visibleLog.length === 0 ? (
                   <div className="p-2 text-sm text-white/60">(no events yet) — press Next</div>
                 ) : (
                   <div className="space-y-2">
-                    {eventLog.map((e, idx) => (
+                    {visibleLog.map((e, idx) => (
                       <div key={idx} className="rounded-xl border border-white/10 bg-white/5 p-2">
                         <div className="text-xs text-white/60">{e.t}</div>
                         <div className="text-sm text-white/80">{e.line}</div>
@@ -662,7 +2412,17 @@ export default function App() {
                   </div>
                 )}
               </div>
-              <div className="mt-2 text-xs text-white/60">Tip: Steps 4 and 6 show the raw Ethernet + ARP fields.</div>
+              <div className="mt-2 text-xs text-white/60">Tip: the ARP Request and Reply steps show the raw Ethernet + ARP fields.</div>
+              <div className="mt-2 flex items-center gap-2 text-xs text-white/70">
+                <span>Capture: {capture.length} frames</span>
+                <button
+                  onClick={exportPcap}
+                  disabled={capture.length === 0}
+                  className="ml-auto rounded-lg bg-white/10 px-2 py-1 font-semibold hover:bg-white/15 disabled:opacity-40"
+                >
+                  Download .pcap
+                </button>
+              </div>
             </PanelCard>
           </div>
         </div>